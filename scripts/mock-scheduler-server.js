@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// Local stand-in for the scheduling backend, for exercising the job client without the real server.
+//
+//   npm run mock-server                         # http://localhost:3001, streaming enabled
+//   npm run mock-server -- --no-stream          # stream endpoint 404s, so the app falls back to polling
+//   npm run mock-server -- --flaky              # roughly every third status check answers 503
+//   npm run mock-server -- --duration=20000     # how long a job takes (ms), default 8000
+//
+// Jobs produce a rough but well-formed result: each team works its tasks one after another, 8 hours a day,
+// with one person per team. Only the shapes matter here, not the scheduling.
+
+const http = require('http');
+const { randomUUID } = require('crypto');
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(`--${name}`);
+const option = (name, fallback) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : fallback;
+};
+
+const PORT = Number(process.env.PORT || option('port', 3001));
+const DURATION_MS = Number(option('duration', 8000));
+const STREAMING = !flag('no-stream');
+const FLAKY = flag('flaky');
+const VERSION = require('../package.json').version;
+const STEPS = ['preparing', 'simulating', 'simulating', 'simulating', 'finalizing'];
+
+const jobs = new Map();
+let statusRequests = 0;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const nextWorkday = (date) => {
+    const next = new Date(date);
+    do next.setDate(next.getDate() + 1); while (next.getDay() === 0 || next.getDay() === 6);
+    return next;
+};
+const weekOf = (date) => {
+    const monday = new Date(date);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return toKey(monday);
+};
+
+const simulate = (payload) => {
+    const tasks = [...(payload.projectTasks || [])].sort((a, b) => (
+        String(a.DueDate).localeCompare(String(b.DueDate)) || String(a.SKU).localeCompare(String(b.SKU)) || a.Order - b.Order
+    ));
+    const mapping = payload.teamDefs?.mapping || [];
+    const hoursPerDay = Number(payload.params?.hoursPerDay) || 8;
+    const start = new Date(`${payload.params?.startDate || toKey(new Date())}T00:00:00`);
+    const teamCursor = {};
+    const skuReady = {};
+    const finalSchedule = [];
+    const finish = {};
+
+    tasks.forEach(task => {
+        const team = mapping.find(m => m.operation === task.Operation)?.team || 'Unassigned';
+        const skuKey = `${task.Project}|${task.SKU}`;
+        let day = new Date(Math.max(teamCursor[team] || start, skuReady[skuKey] || start, new Date(`${task.StartDate}T00:00:00`)));
+        if (day.getDay() === 0 || day.getDay() === 6) day = nextWorkday(day);
+        let remaining = Number(task['Estimated Hours']) || 0;
+        while (remaining > 0) {
+            const hours = Math.min(hoursPerDay, remaining);
+            remaining -= hours;
+            finalSchedule.push({
+                Date: toKey(day), Project: task.Project, Store: task.Store, SKU: task.SKU, 'SKU Name': task['SKU Name'],
+                Operation: task.Operation, Team: team, TeamMember: `${team}-1`, TeamMemberName: `${team} Worker`, Order: task.Order,
+                'Task Hours Completed': hours, 'Time Spent (Hours)': hours, DynamicPriority: 1,
+                StartDate: task.StartDate, DueDate: task.DueDate,
+            });
+            day = nextWorkday(day);
+        }
+        teamCursor[team] = day;
+        skuReady[skuKey] = day;
+        const finished = finalSchedule[finalSchedule.length - 1]?.Date;
+        if (!finish[task.Project] || finished > finish[task.Project].FinishDate) {
+            finish[task.Project] = { Project: task.Project, Store: task.Store, StartDate: task.StartDate, DueDate: task.DueDate, FinishDate: finished };
+        }
+    });
+
+    const weeks = {};
+    finalSchedule.forEach(row => {
+        const week = weekOf(new Date(`${row.Date}T00:00:00`));
+        weeks[week] = weeks[week] || {};
+        weeks[week][row.Team] = (weeks[week][row.Team] || 0) + row['Time Spent (Hours)'];
+    });
+    const weekList = Object.keys(weeks).sort();
+    const capacity = hoursPerDay * 5;
+
+    return {
+        logs: [`Mock scheduler placed ${tasks.length} tasks.`],
+        finalSchedule,
+        projectSummary: Object.values(finish),
+        teamUtilization: weekList.map(week => ({
+            week,
+            teams: Object.entries(weeks[week]).map(([name, worked]) => ({ name, worked: worked.toFixed(1), capacity: capacity.toFixed(1), utilization: Math.round((worked / capacity) * 100) })),
+        })),
+        teamWorkload: weekList.map(week => ({
+            week,
+            teams: Object.entries(weeks[week]).map(([name, worked]) => ({ name, workloadRatio: Math.round((worked / capacity) * 100) })),
+        })),
+        weeklyOutput: weekList.map(week => {
+            const totalHoursWorked = Object.values(weeks[week]).reduce((sum, h) => sum + h, 0);
+            return { week, totalValue: 0, totalHoursWorked, valuePerHour: 0 };
+        }),
+        dailyCompletions: [],
+        dailyPrioritySnapshots: [],
+        completedTasks: [],
+        projectCompletionTimeline: null,
+    };
+};
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(data || '{}'));
+        } catch (err) {
+            resolve({});
+        }
+    });
+});
+
+// Advances a job on a timer; listeners are open SSE responses
+const startJob = (payload, kind) => {
+    const job = { id: randomUUID(), kind, status: 'running', progress: 0, step: 'preparing', message: 'Preparing...', listeners: new Set(), resultTaken: false };
+    jobs.set(job.id, job);
+    const tick = DURATION_MS / 20;
+    const emit = (event, data) => job.listeners.forEach(res => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+    job.timer = setInterval(() => {
+        job.progress = Math.min(100, job.progress + 5);
+        job.step = STEPS[Math.min(STEPS.length - 1, Math.floor(job.progress / 20))];
+        job.message = `${job.step === 'simulating' ? 'Simulating' : job.step === 'finalizing' ? 'Finalizing' : 'Preparing'}... (mock)`;
+        emit('progress', { progress: job.progress, message: job.message, step: job.step });
+        if (job.progress % 20 === 0) emit('partial', { logs: [`Mock progress: ${job.progress}%`], completedJobs: Math.round((job.progress / 100) * new Set((payload.projectTasks || []).map(t => t.Project)).size) });
+        if (job.progress >= 100) {
+            clearInterval(job.timer);
+            job.result = kind === 'optimize'
+                ? { success: true, logs: ['Mock optimizer made no changes.'], optimizedTeamDefs: payload.teamDefs, schedule: simulate(payload), remainingGaps: [] }
+                : simulate(payload);
+            job.status = 'complete';
+            job.step = 'done';
+            if (job.listeners.size > 0) job.resultTaken = true;
+            emit('complete', { result: job.result });
+            job.listeners.forEach(res => res.end());
+            job.listeners.clear();
+        }
+    }, tick);
+    return job;
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const [, api, resource, action, jobId] = url.pathname.split('/');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET,POST,OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type' });
+        res.end();
+        return;
+    }
+    if (api !== 'api') return send(res, 404, { error: 'Not found' });
+
+    if (req.method === 'GET' && resource === 'health') return send(res, 200, { status: 'ok', version: `mock-${VERSION}`, mock: true });
+
+    if (req.method === 'POST' && (resource === 'schedule' || resource === 'optimize') && !action) {
+        const job = startJob(await readBody(req), resource === 'optimize' ? 'optimize' : 'schedule');
+        console.log(`Started ${job.kind} job ${job.id}`);
+        return send(res, 202, { jobId: job.id });
+    }
+
+    const job = jobs.get(jobId);
+    if (resource !== 'schedule' || !job) return send(res, 404, { error: 'Job not found' });
+
+    if (req.method === 'GET' && action === 'status') {
+        statusRequests += 1;
+        if (FLAKY && statusRequests % 3 === 0) return send(res, 503, { error: 'Mock outage' });
+        // Like the real server, the result is only handed out once
+        const result = job.status === 'complete' && !job.resultTaken ? job.result : undefined;
+        if (result) job.resultTaken = true;
+        return send(res, 200, { status: job.status, progress: job.progress, message: job.message, step: job.step, error: job.error, result });
+    }
+
+    if (req.method === 'GET' && action === 'stream') {
+        if (!STREAMING) return send(res, 404, { error: 'Streaming disabled' });
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'Access-Control-Allow-Origin': '*' });
+        res.write(`event: progress\ndata: ${JSON.stringify({ progress: job.progress, message: job.message, step: job.step })}\n\n`);
+        if (job.status === 'complete') {
+            res.write(`event: complete\ndata: ${JSON.stringify({ result: job.resultTaken ? null : job.result })}\n\n`);
+            job.resultTaken = true;
+            res.end();
+            return undefined;
+        }
+        if (job.status === 'cancelled') {
+            res.write('event: cancelled\ndata: {}\n\n');
+            res.end();
+            return undefined;
+        }
+        job.listeners.add(res);
+        req.on('close', () => job.listeners.delete(res));
+        return undefined;
+    }
+
+    if (req.method === 'POST' && action === 'cancel') {
+        clearInterval(job.timer);
+        job.status = 'cancelled';
+        job.listeners.forEach(listener => {
+            listener.write('event: cancelled\ndata: {}\n\n');
+            listener.end();
+        });
+        job.listeners.clear();
+        console.log(`Cancelled job ${job.id}`);
+        return send(res, 200, { status: 'cancelled' });
+    }
+
+    return send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock scheduler listening on http://localhost:${PORT} (streaming ${STREAMING ? 'on' : 'off'}${FLAKY ? ', flaky' : ''}, jobs take ${DURATION_MS}ms)`);
+});
@@ -1,41 +1,30 @@
 import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
-import { PlusCircle, Upload, Download, Play, XCircle, ChevronDown, ChevronUp, UserPlus, Trash2, Clock, BarChart, LineChart, RefreshCw, Users, GitMerge, DollarSign, Building, Briefcase, Trello, Lightbulb, Wrench, CheckCircle, Save, TrendingUp } from 'lucide-react';
-
-const API_BASE_URL = process.env.REACT_APP_API_URL || (window.location.hostname === 'localhost' ? 'http://localhost:3001' : 'https://production-scheduler-backend-aepw.onrender.com');
-
-// Helper function to parse dates, robust to different formats
-const parseDate = (dateStr) => {
-    if (!dateStr || typeof dateStr !== 'string') return null;
-    // Handles both YYYY-MM-DD and YYYY/MM/DD
-    const sanitizedStr = dateStr.replace(/-/g, '/');
-    const date = new Date(sanitizedStr);
-    // Check if the parsed date is valid
-    return isNaN(date.getTime()) ? null : date;
-};
-
-// Helper to format date to an ISO string (YYYY-MM-DD)
-const formatDate = (date) => {
-    if (!date) return '';
-    const dateObj = date instanceof Date ? date : parseDate(date);
-    if (!dateObj || isNaN(dateObj.getTime())) return '';
-    return dateObj.toISOString().split('T')[0];
-};
-
-// Helper to format date for Gantt chart (M/D)
-const formatDateForGantt = (dateStr) => {
-    if (!dateStr) return '';
-    const d = dateStr instanceof Date ? dateStr : parseDate(dateStr);
-    if (!d) return '';
-    return `${d.getMonth() + 1}/${d.getDate()}`;
-};
-
-// Helper to add days to a date
-const addDays = (date, days) => {
-    const result = new Date(date);
-    result.setDate(result.getDate() + days);
-    return result;
-};
-
+import { PlusCircle, Upload, Download, Play, XCircle, ChevronDown, ChevronUp, UserPlus, Trash2, Clock, BarChart, LineChart, RefreshCw, Users, GitMerge, DollarSign, Building, Briefcase, Trello, Lightbulb, Wrench, CheckCircle, Save, TrendingUp, AlertTriangle, RotateCcw, Layers, Copy, User, Printer, HelpCircle, StopCircle, Server, CalendarDays, ImageDown } from 'lucide-react';
+import { loadWorkspace, saveWorkspace, clearWorkspace } from './workspaceStorage';
+import { parseDate, formatDate, formatDateForGantt, addDays, toDateKey } from './dateUtils';
+import { createBundle, migrateBundle } from './workspaceBundle';
+import { validateConfig, pickSections, summarizeSectionChange, SECTION_LABELS } from './configValidator';
+import { buildPersonSchedules, classifyPersonDays, listWorkingDays } from './personSchedule';
+import { buildCapacityCalendar, buildRoster, createAvailabilityExplainer, expandPtoEntries, normalizeHybridWorkers, SHIFT_PRESETS, isWorkingDay, parseList } from './capacity';
+import { analyzeLateJob } from './lateJobAnalysis';
+import { startJob, followJob, cancelJob, JobCancelledError, loadActiveJob, saveActiveJob, clearActiveJob } from './jobClient';
+import { readWorkbook } from './workbookImport';
+import { buildReportWorkbook } from './workbookExport';
+import { renderChartOffscreen, svgToCanvas, chartImageBlob, captureImageBlob } from './chartExport';
+import { buildPlanReportPdf } from './pdfReport';
+import { buildCalendar, buildJobMilestoneEvents, buildAssignmentEvents } from './ics';
+import { parseCsvAsync } from './csvParser';
+import { parseIcsTimeOff, parseHrCsvTimeOff, matchTimeOff } from './timeOffImport';
+import { listDirectoryMembers, buildEfficiencyInputs, directoryToRows, parseDirectoryCsv, formatEfficiency, parseSkills } from './memberDirectory';
+import { MAPPING_FIELDS, suggestMapping, saveMapping, applyMapping, missingRequiredFields } from './columnMapping';
+import { BACKEND_PRESETS, DEFAULT_BACKEND_URL, normalizeBackendUrl, loadBackendUrl, saveBackendUrl, checkBackendHealth } from './backendSettings';
+
+// 'auto' streams job progress over server-sent events when the server supports it; 'polling' always polls
+const JOB_TRANSPORT = process.env.REACT_APP_JOB_TRANSPORT || 'auto';
+// How long to wait for the server to accept a run before scheduling in the browser instead
+const SERVER_START_TIMEOUT_MS = 20000;
+// How often the header badge re-checks the backend while the page is open
+const HEALTH_CHECK_INTERVAL_MS = 2 * 60 * 1000;
 
 const buildFilename = (scheduleName, reportType, extension) => {
     const trimmed = scheduleName?.trim();
@@ -48,14 +37,78 @@ const buildFilename = (scheduleName, reportType, extension) => {
         project_summary: 'Job_Schedule_Summary',
         store_summary: 'Store_Schedule_Summary',
         config: 'Config',
+        bundle: 'Workspace_Bundle',
+        person_schedule: 'Team_Member_Schedule',
+        workbook: 'Reports',
+        plan_report: 'Production_Plan',
+        milestones: 'Job_Milestones',
+        member_directory: 'Member_Directory',
+        chart_timeline: 'Project_Timeline',
+        chart_completion: 'Project_Completion',
+        chart_priority_trend: 'Priority_Score_Trends',
+        chart_workload: 'Team_Workload',
+        chart_utilization: 'Team_Utilization',
     };
     const suffix = typeMap[reportType] || reportType;
     return `${trimmed}_${suffix}_${today}.${extension}`;
 };
 
+// Sheets of the Export Workbook download, in tab order; each is the CSV report of the same type
+const WORKBOOK_SHEETS = [
+    { type: 'schedule', name: 'Schedule' },
+    { type: 'utilization', name: 'Utilization' },
+    { type: 'completions', name: 'Completions' },
+    { type: 'project_summary', name: 'Job Summary' },
+    { type: 'store_summary', name: 'Store Summary' },
+    { type: 'priority_scores', name: 'Priority Scores' },
+    { type: 'completion_timeline', name: 'Completion Timeline' },
+];
+
+// Width the charts are drawn at for the PDF plan; the images are scaled to the page from there
+const PDF_CHART_WIDTH = 1000;
+
 const TEAM_COLORS = ['#3b82f6', '#000000', '#f97316', '#8b5cf6', '#10b981', '#ef4444', '#f59e0b', '#826c60', '#6366f1', '#d946ef', '#8b4513'];
 // UPDATED: Added Receiving and QC to the sort order
+// Seeds sortOrder/color for the default teams; each team carries its own values after that
 const TEAM_SORT_ORDER = ['Receiving', 'CNC', 'Metal', 'Scenic', 'Paint', 'Carpentry', 'Assembly', 'Tech', 'QC', 'Hybrid'];
+const HYBRID_TEAM_NAME = 'Hybrid';
+const HYBRID_TEAM_COLOR = TEAM_COLORS[TEAM_SORT_ORDER.indexOf(HYBRID_TEAM_NAME) % TEAM_COLORS.length];
+
+// Fills in sortOrder and color for teams that don't have them (defaults, older configs), then sorts
+const normalizeHeadcounts = (headcounts) => {
+    const usedOrders = headcounts.map(h => h.sortOrder).filter(o => typeof o === 'number');
+    let nextOrder = Math.max(TEAM_SORT_ORDER.length, ...usedOrders.map(o => o + 1));
+    const withDefaults = headcounts.map(h => {
+        const seedIndex = TEAM_SORT_ORDER.indexOf(h.name);
+        const sortOrder = typeof h.sortOrder === 'number' ? h.sortOrder : (seedIndex !== -1 ? seedIndex : nextOrder++);
+        const color = h.color || TEAM_COLORS[(seedIndex !== -1 ? seedIndex : sortOrder) % TEAM_COLORS.length];
+        return { ...h, sortOrder, color };
+    });
+    return withDefaults.sort((a, b) => a.sortOrder - b.sortOrder);
+};
+
+// Sorts team names by the roster's order; unknown names (e.g. Hybrid) go last
+const sortTeamNames = (names, teamOrder) => [...names].sort((a, b) => {
+    const indexA = teamOrder.indexOf(a);
+    const indexB = teamOrder.indexOf(b);
+    if (indexA === -1 && indexB === -1) return 0;
+    if (indexA === -1) return 1;
+    if (indexB === -1) return -1;
+    return indexA - indexB;
+});
+
+// Jobs a run couldn't finish come back without a FinishDate; they get unfinished: true and a null variance, and
+// count as late everywhere
+const NOT_FINISHED_LABEL = 'Not finished';
+const isLateJob = (job) => Boolean(job?.unfinished) || job?.daysVariance < 0;
+
+// Label and colors for the backend health badge
+const describeBackendHealth = (health) => {
+    if (health.status === 'ok') return { label: health.version ? `Server ${String(health.version).replace(/^v?/, 'v')}` : 'Server OK', badge: 'bg-green-50 text-green-800 border-green-200', dot: 'bg-green-500' };
+    if (health.status === 'unreachable') return { label: 'Server unreachable', badge: 'bg-red-50 text-red-800 border-red-200', dot: 'bg-red-500' };
+    if (health.status === 'error') return { label: 'Server error', badge: 'bg-amber-50 text-amber-800 border-amber-200', dot: 'bg-amber-500' };
+    return { label: 'Checking server...', badge: 'bg-slate-50 text-slate-600 border-slate-200', dot: 'bg-slate-400 animate-pulse' };
+};
 
 const EFFICIENCY_DATA_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vT-velZ6evgYWuTWpEnd6_NWzlK8hHt02sTOoYU0CrAPY9P3HCrgzFkQTCI84j2WF9_p_wef7ef-7ll/pub?gid=0&single=true&output=csv';
 const ROUTING_DATA_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTTmWdo7GyGwrG1iru8KBk166ndwV802lg3slbcrgekwdLXWWb9WF-i0snEipFq-AMVMTNH9qUWxHH_/pub?gid=1072114065&single=true&output=csv';
@@ -68,16 +121,8 @@ const createDefaultTeamDefs = () => {
         { id: 4, name: 'Metal', count: 1 }, { id: 5, name: 'Carpentry', count: 9 }, { id: 6, name: 'Assembly', count: 4 },
         { id: 7, name: 'Tech', count: 4 }, { id: 8, name: 'Receiving', count: 2 }, { id: 9, name: 'QC', count: 2 },
     ];
-    headcounts.sort((a, b) => {
-        const indexA = TEAM_SORT_ORDER.indexOf(a.name);
-        const indexB = TEAM_SORT_ORDER.indexOf(b.name);
-        if (indexA === -1) return 1;
-        if (indexB === -1) return -1;
-        return indexA - indexB;
-    });
-
     return {
-        headcounts,
+        headcounts: normalizeHeadcounts(headcounts),
         mapping: [
             { id: 1, team: 'Paint', operation: 'Scenic Paint' }, { id: 2, team: 'Paint', operation: 'Paint Prep' },
             { id: 3, team: 'Paint', operation: 'Finishing' }, { id: 4, team: 'Scenic', operation: 'Scenic Fabrication' },
@@ -102,8 +147,49 @@ const DEFAULT_SCHEDULING_PARAMETERS = {
     holidays: '2025-07-04, 2025-09-01, 2025-11-24, 2025-12-24, 2025-12-25, 2026-01-01',
 };
 
+const createHybridTeam = (team, priority) => ({ team, target: '', priority, startDate: '', endDate: '' });
+const createDefaultHybridWorkers = () => [{ id: 1, name: 'Hybrid1', teams: [createHybridTeam('Tech', 1), createHybridTeam('Metal', 2)] }];
+
+// Hybrid workers as sent to the scheduling server: the team list, plus primaryTeam/secondaryTeam (the top two by
+// priority) for servers that only read those
+const toHybridWorkersPayload = (workers) => workers.map(worker => {
+    const ordered = [...worker.teams].filter(t => t.team).sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0));
+    return { ...worker, primaryTeam: ordered[0]?.team || '', secondaryTeam: (ordered[1] || ordered[0])?.team || '' };
+});
+
+const createDefaultBottleneckConfig = () => [
+    { team: 'Paint', enabled: false, weight: 1 },
+    { team: 'Carpentry', enabled: false, weight: 1 },
+    { team: 'Assembly', enabled: true, weight: 1 },
+    { team: 'Tech', enabled: false, weight: 1 },
+];
+
+const DEFAULT_OPTIMIZATION_CONFIG = {
+    targetDeadlineBuffer: 3,
+    maxIterations: 15,
+    budgetLimit: 100000,
+    allowHiring: true,
+    allowOvertime: false,
+    maxOvertimeHours: 2,
+    costPerHour: 25,
+};
+
+// Scenarios share the project list; every other input and the run results belong to the scenario
+const SCENARIO_SHARED_INPUTS = ['scheduleName', 'projectTasks', 'projectFileName'];
+
+const createDefaultScenarios = () => [{ id: 1, name: 'Baseline', snapshot: null }];
+
+// Strips the shared inputs out of a workspace snapshot so it can be stored on a scenario
+const toScenarioSnapshot = (workspace) => {
+    const inputs = { ...workspace.inputs };
+    SCENARIO_SHARED_INPUTS.forEach(key => delete inputs[key]);
+    return { inputs, results: workspace.results };
+};
+
+
 // Reusable Collapsible Section Component
-const CollapsibleSection = ({ title, children, icon: Icon, defaultOpen = true }) => {
+// actions are extra header controls, shown only while the section is open
+const CollapsibleSection = ({ title, children, icon: Icon, defaultOpen = true, actions }) => {
     const [isOpen, setIsOpen] = useState(defaultOpen);
 
     return (
@@ -113,7 +199,10 @@ const CollapsibleSection = ({ title, children, icon: Icon, defaultOpen = true })
                     {Icon && <Icon className="w-5 h-5 mr-2 text-slate-500"/>}
                     {title}
                 </h2>
-                {isOpen ? <ChevronUp className="w-5 h-5 text-slate-500" /> : <ChevronDown className="w-5 h-5 text-slate-500" />}
+                <div className="flex items-center space-x-3">
+                    {isOpen && actions && <div onClick={(e) => e.stopPropagation()} className="cursor-default">{actions}</div>}
+                    {isOpen ? <ChevronUp className="w-5 h-5 text-slate-500" /> : <ChevronDown className="w-5 h-5 text-slate-500" />}
+                </div>
             </div>
             {isOpen && <div className="mt-4 border-t pt-4">{children}</div>}
         </div>
@@ -121,15 +210,41 @@ const CollapsibleSection = ({ title, children, icon: Icon, defaultOpen = true })
 };
 
 
+// Text input that only reports its value on blur/Enter, so renames aren't applied per keystroke.
+// If onCommit returns false the edit is rejected and the input reverts.
+const CommitOnBlurInput = ({ value, onCommit, ...inputProps }) => {
+    const [draft, setDraft] = useState(value);
+    useEffect(() => setDraft(value), [value]);
+
+    const commit = () => {
+        if (draft === value) return;
+        if (onCommit(draft) === false) setDraft(value);
+    };
+
+    return (
+        <input
+            type="text"
+            {...inputProps}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); if (e.key === 'Escape') setDraft(value); }}
+        />
+    );
+};
+
+
 // Main Application Component
 export default function App() {
     // --- STATE MANAGEMENT ---
     const [teamDefs, setTeamDefs] = useState(createDefaultTeamDefs());
     const [params, setParams] = useState(DEFAULT_SCHEDULING_PARAMETERS);
     const [teamMemberChanges, setTeamMemberChanges] = useState([]);
-    const [hybridWorkers, setHybridWorkers] = useState([{id: 1, name: 'Hybrid1', primaryTeam: 'Tech', secondaryTeam: 'Metal'}]);
+    const [hybridWorkers, setHybridWorkers] = useState(createDefaultHybridWorkers());
     const [ptoEntries, setPtoEntries] = useState([]);
     const [workHourOverrides, setWorkHourOverrides] = useState([]);
+    const [shiftPatterns, setShiftPatterns] = useState([]);
+    const [showPtoDays, setShowPtoDays] = useState(false);
     const [scheduleName, setScheduleName] = useState('');
 
     const [projectTasks, setProjectTasks] = useState([]);
@@ -143,22 +258,26 @@ export default function App() {
 
     const [efficiencyData, setEfficiencyData] = useState({});
     const [teamMemberNameMap, setTeamMemberNameMap] = useState({});
+    const [teamMemberTeamMap, setTeamMemberTeamMap] = useState({}); // Team of each member id, when the sheet has a Team column
+    const [memberDirectory, setMemberDirectory] = useState({}); // Edits on top of the efficiency sheet, by member id
+    // What the scheduler gets: the sheet's efficiency and names with the directory's edits applied
+    const efficiencyInputs = useMemo(() => ({
+        ...buildEfficiencyInputs({ memberDirectory, efficiencyData, teamMemberNameMap }),
+        teamMemberTeamMap,
+    }), [memberDirectory, efficiencyData, teamMemberNameMap, teamMemberTeamMap]);
     const [projectFileName, setProjectFileName] = useState('');
     const [finalSchedule, setFinalSchedule] = useState([]);
     const [summaryData, setSummaryData] = useState({ project: [], store: [] });
     const [summaryView, setSummaryView] = useState('store');
+    const [lateJobDetail, setLateJobDetail] = useState(null); // Project name with the "Why is this late?" panel open
+    const [rerunRequested, setRerunRequested] = useState(false);
     const [teamUtilization, setTeamUtilization] = useState([]);
     const [weeklyOutput, setWeeklyOutput] = useState([]);
     const [dailyCompletions, setDailyCompletions] = useState([]);
     const [startDateOverrides, setStartDateOverrides] = useState({});
     const [endDateOverrides, setEndDateOverrides] = useState({});
     const [teamWorkload, setTeamWorkload] = useState([]);
-    const [bottleneckConfig, setBottleneckConfig] = useState([
-        { team: 'Paint', enabled: false, weight: 1 },
-        { team: 'Carpentry', enabled: false, weight: 1 },
-        { team: 'Assembly', enabled: true, weight: 1 },
-        { team: 'Tech', enabled: false, weight: 1 },
-    ]);
+    const [bottleneckConfig, setBottleneckConfig] = useState(createDefaultBottleneckConfig());
     const [dailyPrioritySnapshots, setDailyPrioritySnapshots] = useState([]);
     const [highlightedTaskId, setHighlightedTaskId] = useState(null);
     const [trendChartFilter, setTrendChartFilter] = useState('rising');
@@ -171,29 +290,33 @@ export default function App() {
 
     const [logs, setLogs] = useState([]);
     const [isLoading, setIsLoading] = useState(false);
+    const [liveCompletedJobs, setLiveCompletedJobs] = useState(null); // Jobs finished so far, when the server streams partial results
     const [error, setError] = useState('');
     const [, setProjectedCompletion] = useState(null);
     const [isLogsVisible, setIsLogsVisible] = useState(false);
     const [utilizationView, setUtilizationView] = useState('bar');
     const [lastRunState, setLastRunState] = useState(null);
+    const [lastRunAt, setLastRunAt] = useState(null); // ISO time the current results were produced
+    const [isExportingPdf, setIsExportingPdf] = useState(false);
+    const [isCalendarExportOpen, setIsCalendarExportOpen] = useState(false);
     const [needsRerun, setNeedsRerun] = useState(false);
     const [ganttFilter, setGanttFilter] = useState('');
     const [completedTasks, setCompletedTasks] = useState([]);
     const [simulationProgress, setSimulationProgress] = useState(0);
     const [progressMessage, setProgressMessage] = useState('');
     const [progressStep, setProgressStep] = useState('');
-    const pollingIntervalRef = useRef(null);
+    // In-flight server jobs: { jobId, controller }, where aborting the controller stops polling
+    const scheduleJobRef = useRef(null);
+    const optimizeJobRef = useRef(null);
+    const [savedWorkspace, setSavedWorkspace] = useState(null); // Stored workspace waiting for a restore/discard decision
+    const [isWorkspaceReady, setIsWorkspaceReady] = useState(false); // Autosave stays off until then so it can't overwrite the stored copy
+    const [lastAutosave, setLastAutosave] = useState(null);
+    const [scenarios, setScenarios] = useState(createDefaultScenarios()); // snapshot is null for the active scenario, which lives in state
+    const [activeScenarioId, setActiveScenarioId] = useState(1);
+    const [comparisonIds, setComparisonIds] = useState({ a: null, b: null });
     
      // 👇 ADD THESE NEW STATE VARIABLES HERE 👇
-    const [optimizationConfig, setOptimizationConfig] = useState({
-        targetDeadlineBuffer: 3,
-        maxIterations: 15,
-        budgetLimit: 100000,
-        allowHiring: true,
-        allowOvertime: false,
-        maxOvertimeHours: 2,
-        costPerHour: 25,
-    });
+    const [optimizationConfig, setOptimizationConfig] = useState(DEFAULT_OPTIMIZATION_CONFIG);
     const [minHeadcount, setMinHeadcount] = useState({});
     const [maxHeadcount, setMaxHeadcount] = useState({});
     const [optimizationResults, setOptimizationResults] = useState(null);
@@ -212,17 +335,42 @@ export default function App() {
     const [completionChartDimensions, setCompletionChartDimensions] = useState({ width: 0, height: 0 });
     const [projectCompletionTimeline, setProjectCompletionTimeline] = useState(null);
     const [completionView, setCompletionView] = useState('job'); // 'job' | 'store'
+    const [personFilter, setPersonFilter] = useState({ team: 'all', search: '', from: '', to: '', idleOnly: false });
+    const [capacityMonth, setCapacityMonth] = useState(''); // YYYY-MM; empty follows the schedule start date
+    const [selectedCapacityDay, setSelectedCapacityDay] = useState(null); // { team, date }
+    const [directorySearch, setDirectorySearch] = useState('');
+    const [editingMember, setEditingMember] = useState(null); // { id } of the directory row being edited, or { isNew: true }
+    const directoryFileInputRef = useRef(null);
     const fileInputRef = useRef(null); // For loading config
+    // Loaded config awaiting review: { fileName, kind, inputs, report, selected }
+    const [pendingImport, setPendingImport] = useState(null);
+    const timeOffFileInputRef = useRef(null);
+    // Time off file awaiting review: { fileName, ptoEntries, holidays, unmatched, duplicates, warnings }
+    const [pendingTimeOffImport, setPendingTimeOffImport] = useState(null);
+    const [pendingWorkbook, setPendingWorkbook] = useState(null); // Excel upload with several sheets: { fileName, sheets, date1904 }
+    const [pendingColumnMapping, setPendingColumnMapping] = useState(null); // Upload waiting in the column wizard: { sourceName, headers, rows, parseErrors, excelDates, mapping, saved }
+    const [apiBaseUrl, setApiBaseUrl] = useState(loadBackendUrl);
+    const [backendHealth, setBackendHealth] = useState({ status: 'checking' }); // Last /api/health result for apiBaseUrl
+    const [isBackendSettingsOpen, setIsBackendSettingsOpen] = useState(false);
 
     const inputStyles = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 bg-slate-100";
     const smallInputStyles = "rounded-md border-gray-300 shadow-sm text-sm p-2 bg-slate-100";
 
+    const teamOrder = React.useMemo(() => [...teamDefs.headcounts.map(t => t.name), HYBRID_TEAM_NAME], [teamDefs.headcounts]);
+
     const teamColorMap = React.useMemo(() => {
-        return TEAM_SORT_ORDER.reduce((acc, team, i) => {
-            acc[team] = TEAM_COLORS[i % TEAM_COLORS.length];
+        return teamDefs.headcounts.reduce((acc, team) => {
+            acc[team.name] = team.color;
             return acc;
-        }, {});
-    }, []);
+        }, { [HYBRID_TEAM_NAME]: HYBRID_TEAM_COLOR });
+    }, [teamDefs.headcounts]);
+
+    // Teams drawn in the utilization line chart: the roster, teams people join later, and Hybrid when it worked
+    const utilizationChartTeams = React.useMemo(() => [
+        ...teamDefs.headcounts,
+        ...teamMemberChanges.map(c => ({ name: c.team })),
+        ...(teamUtilization.some(w => w.teams.some(t => t.name === HYBRID_TEAM_NAME)) ? [{ name: HYBRID_TEAM_NAME }] : []),
+    ], [teamDefs.headcounts, teamMemberChanges, teamUtilization]);
 
     const filteredProjects = React.useMemo(() => {
         if (!ganttFilter) {
@@ -251,6 +399,108 @@ export default function App() {
         return Object.values(projectsMap).sort((a, b) => a.name.localeCompare(b.name));
     }, [projectTasks]);
 
+    // Every distinct operation in the loaded projects and routing templates. Operations with no team are unmapped,
+    // unless the operation itself is in the ignore list. As in the engine, an operation whose mapped team is
+    // ignored has a team but its tasks are skipped; those are listed separately as skipped, with that team.
+    const operationCoverage = React.useMemo(() => {
+        const taskCounts = {};
+        [...projectTasks, ...routingData].forEach(row => {
+            if (row.Operation) taskCounts[row.Operation] = (taskCounts[row.Operation] || 0) + 1;
+        });
+        const teamByOperation = new Map(teamDefs.mapping.filter(m => m.team && m.operation).map(m => [m.operation, m.team]));
+        const ignored = parseList(params.teamsToIgnore);
+        const operations = Object.keys(taskCounts).sort();
+        const unmapped = operations.filter(op => !teamByOperation.has(op) && !ignored.has(op));
+        const skipped = operations
+            .filter(op => teamByOperation.has(op) && ignored.has(teamByOperation.get(op)))
+            .map(op => ({ operation: op, team: teamByOperation.get(op) }));
+        return { operations, unmapped, skipped, taskCounts };
+    }, [projectTasks, routingData, teamDefs.mapping, params.teamsToIgnore]);
+
+    // Available hours per team for each day of the capacity calendar's month, from the same inputs the engine uses
+    const capacityCalendar = React.useMemo(() => {
+        const month = capacityMonth || (parseDate(params.startDate) ? params.startDate.slice(0, 7) : toDateKey(new Date()).slice(0, 7));
+        const first = parseDate(`${month}-01`);
+        const last = addDays(new Date(first.getFullYear(), first.getMonth() + 1, 1), -1);
+        return {
+            month,
+            ...buildCapacityCalendar(
+                { params, teamDefs, teamMemberChanges, hybridWorkers, ptoEntries, workHourOverrides, shiftPatterns, ...efficiencyInputs },
+                { from: toDateKey(first), to: toDateKey(last), hybridTeamName: HYBRID_TEAM_NAME },
+            ),
+        };
+    }, [capacityMonth, params, teamDefs, teamMemberChanges, hybridWorkers, ptoEntries, workHourOverrides, shiftPatterns, efficiencyInputs]);
+
+    // Every PTO day, with ranges and repeats expanded, in date order
+    const ptoDays = React.useMemo(() => (
+        expandPtoEntries(ptoEntries).sort((a, b) => a.date.localeCompare(b.date) || a.memberName.localeCompare(b.memberName))
+    ), [ptoEntries]);
+
+    // The roster the engine schedules with, so people who got no work still get a row
+    const personRoster = React.useMemo(() => buildRoster({
+        teamDefs, teamMemberChanges, hybridWorkers, ...efficiencyInputs, hybridTeamName: HYBRID_TEAM_NAME,
+    }), [teamDefs, teamMemberChanges, hybridWorkers, efficiencyInputs]);
+
+    const personSchedules = React.useMemo(() => buildPersonSchedules(finalSchedule, {
+        roster: personRoster,
+        hybridWorkerNames: hybridWorkers.map(w => w.name),
+        hybridTeamName: HYBRID_TEAM_NAME,
+    }), [finalSchedule, personRoster, hybridWorkers]);
+
+    // Per-person calendars for the filtered date range, grouped by team in team order.
+    // Without a range the view starts at the first scheduled day and shows two weeks.
+    const personScheduleView = React.useMemo(() => {
+        const { startDate, endDate, people } = personSchedules;
+        if (!startDate) return { days: [], groups: [], from: '', to: '' };
+        const from = personFilter.from || startDate;
+        const to = personFilter.to || [endDate, toDateKey(addDays(parseDate(from), 13))].sort()[0];
+        const days = listWorkingDays(from, to, parseList(params.holidays));
+        const nameKey = (name) => String(name || '').trim().toLowerCase();
+        const search = nameKey(personFilter.search);
+        // Days a shift pattern or hours override gives someone no hours are days off, not idle days
+        const explain = createAvailabilityExplainer({ params, ptoEntries, workHourOverrides, shiftPatterns });
+
+        const groups = {};
+        people.forEach(person => {
+            if (personFilter.team !== 'all' && person.team !== personFilter.team) return;
+            if (search && !nameKey(person.name).includes(search)) return;
+            const changes = teamMemberChanges.filter(c => nameKey(c.name) === nameKey(person.name));
+            // People the roster doesn't know (a server's own member ids) get their team's shift and override hours
+            const member = personRoster.find(m => m.id === person.id || m.name === person.name)
+                || { id: person.id, name: person.name, team: person.team, teams: [person.team], fte: 1 };
+            const calendar = classifyPersonDays(person, days, {
+                ptoDates: new Set(ptoDays.filter(p => !p.hours && nameKey(p.memberName) === nameKey(person.name)).map(p => p.date)),
+                offDates: new Set(days.filter(day => {
+                    const availability = explain(member, day);
+                    return availability.hours <= 0 && (availability.reason === 'shift' || availability.reason === 'override');
+                })),
+                startDate: changes.find(c => c.type === 'Starts')?.date || null,
+                leaveDate: changes.find(c => c.type === 'Leaves')?.date || null,
+            });
+            const idleDays = calendar.filter(d => d.status === 'idle').length;
+            if (personFilter.idleOnly && idleDays === 0) return;
+            const hours = calendar.reduce((sum, d) => sum + d.hours, 0);
+            if (!groups[person.team]) groups[person.team] = [];
+            groups[person.team].push({ ...person, calendar, hours, idleDays });
+        });
+        return {
+            days,
+            from,
+            to,
+            groups: sortTeamNames(Object.keys(groups), teamOrder).map(team => ({ team, people: groups[team] })),
+        };
+    }, [personSchedules, personRoster, personFilter, params, ptoEntries, ptoDays, workHourOverrides, shiftPatterns, teamMemberChanges, teamOrder]);
+
+    const handlePrintPersonSchedule = () => {
+        document.body.classList.add('print-person-schedule');
+        const cleanup = () => {
+            document.body.classList.remove('print-person-schedule');
+            window.removeEventListener('afterprint', cleanup);
+        };
+        window.addEventListener('afterprint', cleanup);
+        window.print();
+    };
+
     // Priority trend data: groups snapshots by TaskID, computes score changes over time
     const priorityTrendData = React.useMemo(() => {
         if (!dailyPrioritySnapshots || dailyPrioritySnapshots.length === 0) return [];
@@ -441,16 +691,16 @@ export default function App() {
         return data;
     }, [activeTrendData, alertSortColumn, alertSortDir]);
 
+    // Serialized scheduler inputs; compared against the last run to flag a needed rerun
+    const runStateKey = React.useMemo(() => (
+        JSON.stringify({ params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides, shiftPatterns, hybridWorkers, efficiencyInputs, startDateOverrides, endDateOverrides, projectTasks, bottleneckConfig })
+    ), [params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides, shiftPatterns, hybridWorkers, efficiencyInputs, startDateOverrides, endDateOverrides, projectTasks, bottleneckConfig]);
+
     useEffect(() => {
         if (lastRunState) {
-            const currentState = JSON.stringify({ params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides, hybridWorkers, efficiencyData, startDateOverrides, endDateOverrides, projectTasks });
-            if (currentState !== lastRunState) {
-                setNeedsRerun(true);
-            } else {
-                setNeedsRerun(false);
-            }
+            setNeedsRerun(runStateKey !== lastRunState);
         }
-    }, [params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides, hybridWorkers, efficiencyData, startDateOverrides, endDateOverrides, projectTasks, lastRunState]);
+    }, [runStateKey, lastRunState]);
 
         // 👇 ADD THIS NEW useEffect HERE 👇
     useEffect(() => {
@@ -514,56 +764,33 @@ export default function App() {
         setLogs(prev => [...prev, message]);
     }, []);
 
-    const robustCsvParse = useCallback((csvText) => {
-        const data = []; const errors = []; const lines = csvText.trim().replace(/\r/g, '').split('\n');
-        if (lines.length < 2) return { data: [], errors: [{ message: "CSV has no data rows." }] };
-        const splitCsvRow = (rowString) => {
-            const fields = []; let i = 0; let field = '';
-            while (i < rowString.length) {
-                if (rowString[i] === '"') {
-                    i++; let startIndex = i;
-                    while (i < rowString.length) { if (rowString[i] === '"') { if (i + 1 < rowString.length && rowString[i + 1] === '"') i++; else break; } i++; }
-                    field = rowString.substring(startIndex, i).replace(/""/g, '"'); i++;
-                } else { let startIndex = i; while (i < rowString.length && rowString[i] !== ',') i++; field = rowString.substring(startIndex, i); }
-                fields.push(field); if (i < rowString.length && rowString[i] === ',') i++;
-            }
-            if (rowString.endsWith(',')) fields.push(''); return fields;
-        };
-        const header = splitCsvRow(lines[0]).map(h => h.trim());
-        for (let i = 1; i < lines.length; i++) {
-            if (!lines[i] || !lines[i].trim()) continue; const rowValues = splitCsvRow(lines[i]);
-            if (rowValues.length !== header.length) { errors.push({ message: `Row ${i + 1} has incorrect columns (expected ${header.length}, found ${rowValues.length}). Skipping.` }); continue; }
-            const rowObject = {};
-            for (let j = 0; j < header.length; j++) rowObject[header[j]] = rowValues[j] || '';
-            data.push(rowObject);
-        }
-        return { data, errors };
-    }, []);
-
     useEffect(() => {
         const fetchRemoteData = async () => {
             addLog("Attempting to fetch remote efficiency data...");
             try {
                 const response = await fetch(EFFICIENCY_DATA_URL);
                 if (!response.ok) throw new Error(`Network response was not ok: ${response.statusText}`);
-                const csvText = await response.text();
-                const results = robustCsvParse(csvText);
+                const results = await parseCsvAsync(await response.text());
                 if (results.errors.length > 0) results.errors.forEach(err => addLog(`Parsing Warning (Efficiency CSV): ${err.message}`));
                 
                 const efficiencyMap = {};
                 const nameMap = {};
+                const teamMap = {};
                 results.data.forEach(row => {
                     const memberId = row['TeamMemberNumber'];
                     const memberName = row['TeamMemberName'];
+                    const memberTeam = String(row['Team'] || '').trim();
                     const efficiencyString = row['Efficiency'];
                     if (memberId && efficiencyString) {
                         const efficiencyValue = parseFloat(efficiencyString.replace('%', '')) / 100;
                         if (!isNaN(efficiencyValue)) efficiencyMap[memberId] = efficiencyValue;
                     }
                     if (memberId && memberName) nameMap[memberId] = memberName;
+                    if (memberId && memberTeam) teamMap[memberId] = memberTeam;
                 });
                 setEfficiencyData(efficiencyMap);
                 setTeamMemberNameMap(nameMap);
+                setTeamMemberTeamMap(teamMap);
                 addLog(`Successfully loaded ${Object.keys(efficiencyMap).length} efficiency ratings.`);
             } catch (error) {
                 setError("Could not load efficiency data. Using defaults.");
@@ -574,8 +801,7 @@ export default function App() {
             try {
                 const response = await fetch(ROUTING_DATA_URL);
                 if (!response.ok) throw new Error(`Network response was not ok: ${response.statusText}`);
-                const csvText = await response.text();
-                const results = robustCsvParse(csvText);
+                const results = await parseCsvAsync(await response.text());
                 if (results.errors.length > 0) results.errors.forEach(err => addLog(`Parsing Warning (Routing CSV): ${err.message}`));
 
                 const requiredCols = ['TemplateName', 'SKU', 'SKU Name', 'Operation', 'Order', 'Estimated Hours', 'Value'];
@@ -595,7 +821,170 @@ export default function App() {
         };
 
         fetchRemoteData();
-    }, [addLog, robustCsvParse]);
+    }, [addLog]);
+
+    // --- WORKSPACE PERSISTENCE ---
+    // Everything needed to pick up where the planner left off: inputs and the last run's results.
+    // Efficiency and routing data are left out because they are re-fetched on every load.
+    const workspaceSnapshot = React.useMemo(() => ({
+        inputs: { scheduleName, teamDefs, params, teamMemberChanges, hybridWorkers, ptoEntries, workHourOverrides, shiftPatterns, memberDirectory, bottleneckConfig, optimizationConfig, projectTasks, projectFileName, startDateOverrides, endDateOverrides },
+        results: { finalSchedule, summaryData, teamUtilization, weeklyOutput, dailyCompletions, teamWorkload, dailyPrioritySnapshots, completedTasks, projectCompletionTimeline, lastRunState, lastRunAt },
+    }), [scheduleName, teamDefs, params, teamMemberChanges, hybridWorkers, ptoEntries, workHourOverrides, shiftPatterns, memberDirectory, bottleneckConfig, optimizationConfig, projectTasks, projectFileName, startDateOverrides, endDateOverrides,
+        finalSchedule, summaryData, teamUtilization, weeklyOutput, dailyCompletions, teamWorkload, dailyPrioritySnapshots, completedTasks, projectCompletionTimeline, lastRunState, lastRunAt]);
+
+    const applyWorkspace = useCallback(({ inputs = {}, results = {} }) => {
+        setScheduleName(inputs.scheduleName || '');
+        setTeamDefs(inputs.teamDefs ? { ...inputs.teamDefs, headcounts: normalizeHeadcounts(inputs.teamDefs.headcounts) } : createDefaultTeamDefs());
+        setParams(inputs.params || DEFAULT_SCHEDULING_PARAMETERS);
+        setTeamMemberChanges(inputs.teamMemberChanges || []);
+        setHybridWorkers(inputs.hybridWorkers ? normalizeHybridWorkers(inputs.hybridWorkers) : createDefaultHybridWorkers());
+        setPtoEntries(inputs.ptoEntries || []);
+        setWorkHourOverrides(inputs.workHourOverrides || []);
+        setShiftPatterns(inputs.shiftPatterns || []);
+        setMemberDirectory(inputs.memberDirectory || {});
+        setBottleneckConfig(inputs.bottleneckConfig || createDefaultBottleneckConfig());
+        setOptimizationConfig(inputs.optimizationConfig || DEFAULT_OPTIMIZATION_CONFIG);
+        setProjectTasks(inputs.projectTasks || []);
+        setProjectFileName(inputs.projectFileName || '');
+        setStartDateOverrides(inputs.startDateOverrides || {});
+        setEndDateOverrides(inputs.endDateOverrides || {});
+
+        setFinalSchedule(results.finalSchedule || []);
+        setSummaryData(results.summaryData || { project: [], store: [] });
+        setTeamUtilization(results.teamUtilization || []);
+        setWeeklyOutput(results.weeklyOutput || []);
+        setDailyCompletions(results.dailyCompletions || []);
+        setTeamWorkload(results.teamWorkload || []);
+        setDailyPrioritySnapshots(results.dailyPrioritySnapshots || []);
+        setCompletedTasks(results.completedTasks || []);
+        setProjectCompletionTimeline(results.projectCompletionTimeline || null);
+        setLastRunState(results.lastRunState || null);
+        setLastRunAt(results.lastRunAt || null);
+        setNeedsRerun(false);
+    }, []);
+
+    useEffect(() => {
+        loadWorkspace()
+            .then(stored => {
+                if (stored && stored.inputs) setSavedWorkspace(stored);
+                else setIsWorkspaceReady(true);
+            })
+            .catch(err => {
+                addLog(`Warning: Could not read the saved workspace: ${err.message}`);
+                setIsWorkspaceReady(true);
+            });
+    }, [addLog]);
+
+    const persistedWorkspace = React.useMemo(() => ({
+        ...workspaceSnapshot,
+        scenarios: { list: scenarios, activeId: activeScenarioId },
+    }), [workspaceSnapshot, scenarios, activeScenarioId]);
+
+    // Autosave, debounced so typing in inputs doesn't write on every keystroke. Skipped mid-run
+    // because results are cleared while a job is in flight.
+    useEffect(() => {
+        if (!isWorkspaceReady || isLoading) return;
+        const timer = setTimeout(() => {
+            saveWorkspace(persistedWorkspace)
+                .then(() => setLastAutosave(new Date()))
+                .catch(err => addLog(`Warning: Autosave failed: ${err.message}`));
+        }, 1000);
+        return () => clearTimeout(timer);
+    }, [persistedWorkspace, isWorkspaceReady, isLoading, addLog]);
+
+    const handleRestoreWorkspace = () => {
+        applyWorkspace(savedWorkspace);
+        setScenarios(savedWorkspace.scenarios?.list || createDefaultScenarios());
+        setActiveScenarioId(savedWorkspace.scenarios?.activeId || 1);
+        addLog(`Restored workspace saved ${new Date(savedWorkspace.savedAt).toLocaleString()}.`);
+        setSavedWorkspace(null);
+        setIsWorkspaceReady(true);
+    };
+
+    // Jobs left running by the discarded session belong to its inputs, so they are stopped rather than resumed
+    const handleDiscardSavedWorkspace = () => {
+        ['schedule', 'optimize'].forEach(type => {
+            const job = loadActiveJob(type);
+            if (!job) return;
+            clearActiveJob(type);
+            cancelJob(job.baseUrl || loadBackendUrl(), job.jobId).catch(() => {});
+            addLog(`Stopped the ${type === 'schedule' ? 'scheduling' : 'optimization'} job ${job.jobId} left running by the discarded workspace.`);
+        });
+        setSavedWorkspace(null);
+        setIsWorkspaceReady(true);
+    };
+
+    // --- SCENARIOS ---
+    // The active scenario lives in regular state; switching stores it on its entry and loads the target's snapshot.
+    const getScenarioWorkspace = (id) => (id === activeScenarioId ? workspaceSnapshot : scenarios.find(sc => sc.id === id)?.snapshot);
+
+    const handleSwitchScenario = (id) => {
+        if (id === activeScenarioId) return;
+        const target = scenarios.find(sc => sc.id === id);
+        if (!target) return;
+        const sharedInputs = SCENARIO_SHARED_INPUTS.reduce((acc, key) => ({ ...acc, [key]: workspaceSnapshot.inputs[key] }), {});
+        setScenarios(scenarios.map(sc => {
+            if (sc.id === activeScenarioId) return { ...sc, snapshot: toScenarioSnapshot(workspaceSnapshot) };
+            if (sc.id === id) return { ...sc, snapshot: null };
+            return sc;
+        }));
+        applyWorkspace({ inputs: { ...target.snapshot?.inputs, ...sharedInputs }, results: target.snapshot?.results });
+        setActiveScenarioId(id);
+        addLog(`Switched to scenario '${target.name}'.`);
+    };
+
+    // New scenarios start as a copy of the active one (inputs and results)
+    const handleCreateScenario = () => {
+        const id = Date.now();
+        const names = new Set(scenarios.map(sc => sc.name));
+        let n = scenarios.length + 1;
+        while (names.has(`Scenario ${n}`)) n++;
+        setScenarios([
+            ...scenarios.map(sc => sc.id === activeScenarioId ? { ...sc, snapshot: toScenarioSnapshot(workspaceSnapshot) } : sc),
+            { id, name: `Scenario ${n}`, snapshot: null },
+        ]);
+        setActiveScenarioId(id);
+    };
+
+    const handleRenameScenario = (id, name) => {
+        if (!name.trim()) return false;
+        setScenarios(scenarios.map(sc => sc.id === id ? { ...sc, name: name.trim() } : sc));
+        return true;
+    };
+
+    const handleRemoveScenario = (id) => {
+        if (scenarios.length <= 1) return;
+        const scenario = scenarios.find(sc => sc.id === id);
+        if (!window.confirm(`Delete scenario '${scenario.name}' and its results?`)) return;
+        if (id === activeScenarioId) {
+            const fallback = scenarios.find(sc => sc.id !== id);
+            const sharedInputs = SCENARIO_SHARED_INPUTS.reduce((acc, key) => ({ ...acc, [key]: workspaceSnapshot.inputs[key] }), {});
+            applyWorkspace({ inputs: { ...fallback.snapshot?.inputs, ...sharedInputs }, results: fallback.snapshot?.results });
+            setScenarios(scenarios.filter(sc => sc.id !== id).map(sc => sc.id === fallback.id ? { ...sc, snapshot: null } : sc));
+            setActiveScenarioId(fallback.id);
+        } else {
+            setScenarios(scenarios.filter(sc => sc.id !== id));
+        }
+        setComparisonIds(prev => ({ a: prev.a === id ? null : prev.a, b: prev.b === id ? null : prev.b }));
+    };
+
+    const handleResetWorkspace = async () => {
+        if (!window.confirm("Reset the workspace? This clears all projects, settings, overrides and schedule results from this browser.")) return;
+        try {
+            await clearWorkspace();
+        } catch (err) {
+            addLog(`Warning: Could not clear the saved workspace: ${err.message}`);
+        }
+        applyWorkspace({});
+        setScenarios(createDefaultScenarios());
+        setActiveScenarioId(1);
+        setComparisonIds({ a: null, b: null });
+        setLogs([]);
+        setError('');
+        setSavedWorkspace(null);
+        setIsWorkspaceReady(true);
+        addLog("Workspace reset to defaults.");
+    };
 
     const simpleCsvUnparse = (data) => {
         if (!data || data.length === 0) return '';
@@ -609,19 +998,210 @@ export default function App() {
     }
 
     const handleTeamHeadcountChange = (id, value) => setTeamDefs({...teamDefs, headcounts: teamDefs.headcounts.map(t => t.id === id ? { ...t, count: parseFloat(value) || 0 } : t)});
+    const handleTeamColorChange = (id, color) => setTeamDefs({...teamDefs, headcounts: teamDefs.headcounts.map(t => t.id === id ? { ...t, color } : t)});
+    const handleAddTeam = () => {
+        const names = new Set(teamDefs.headcounts.map(t => t.name));
+        let n = 1;
+        while (names.has(`NewTeam${n}`)) n++;
+        const usedColors = new Set(teamDefs.headcounts.map(t => t.color));
+        const color = TEAM_COLORS.find(c => !usedColors.has(c)) || TEAM_COLORS[teamDefs.headcounts.length % TEAM_COLORS.length];
+        const sortOrder = Math.max(-1, ...teamDefs.headcounts.map(t => t.sortOrder)) + 1;
+        setTeamDefs({...teamDefs, headcounts: [...teamDefs.headcounts, { id: Date.now(), name: `NewTeam${n}`, count: 0, sortOrder, color }]});
+        // Listed for the bottleneck settings too, off until chosen
+        setBottleneckConfig([...bottleneckConfig.filter(b => b.team !== `NewTeam${n}`), { team: `NewTeam${n}`, enabled: false, weight: 1 }]);
+    };
+    const handleMoveTeam = (id, direction) => {
+        const index = teamDefs.headcounts.findIndex(t => t.id === id);
+        const swapIndex = index + direction;
+        if (index === -1 || swapIndex < 0 || swapIndex >= teamDefs.headcounts.length) return;
+        const reordered = [...teamDefs.headcounts];
+        [reordered[index], reordered[swapIndex]] = [reordered[swapIndex], reordered[index]];
+        setTeamDefs({...teamDefs, headcounts: reordered.map((t, i) => ({ ...t, sortOrder: i }))});
+    };
+    // Renames a team everywhere it is referenced by name. Returns false if the new name can't be used.
+    const handleRenameTeam = (id, newName) => {
+        const name = newName.trim();
+        const team = teamDefs.headcounts.find(t => t.id === id);
+        if (!team || !name || name === HYBRID_TEAM_NAME || teamDefs.headcounts.some(t => t.id !== id && t.name === name)) return false;
+        const oldName = team.name;
+        if (name === oldName) return true;
+        const renameIn = (items, field) => items.map(item => item[field] === oldName ? { ...item, [field]: name } : item);
+        setTeamDefs({
+            headcounts: teamDefs.headcounts.map(t => t.id === id ? { ...t, name } : t),
+            mapping: renameIn(teamDefs.mapping, 'team'),
+        });
+        setHybridWorkers(hybridWorkers.map(w => ({ ...w, teams: renameIn(w.teams, 'team') })));
+        setWorkHourOverrides(renameIn(workHourOverrides, 'team'));
+        setShiftPatterns(shiftPatterns.map(p => (p.appliesTo === 'team' && p.name === oldName ? { ...p, name } : p)));
+        setBottleneckConfig(renameIn(bottleneckConfig, 'team'));
+        setTeamMemberChanges(renameIn(teamMemberChanges, 'team'));
+        addLog(`Renamed team '${oldName}' to '${name}'.`);
+        return true;
+    };
+    const handleRemoveTeam = (id) => {
+        const team = teamDefs.headcounts.find(t => t.id === id);
+        if (!team) return;
+        const mappingCount = teamDefs.mapping.filter(m => m.team === team.name).length;
+        const otherRefs = hybridWorkers.filter(w => w.teams.some(t => t.team === team.name)).length
+            + workHourOverrides.filter(o => o.team === team.name).length
+            + shiftPatterns.filter(p => p.appliesTo === 'team' && p.name === team.name).length
+            + teamMemberChanges.filter(c => c.team === team.name).length
+            + bottleneckConfig.filter(b => b.team === team.name).length;
+        if ((mappingCount > 0 || otherRefs > 0) && !window.confirm(`Delete team '${team.name}'? This also removes ${mappingCount} operation mapping(s) and ${otherRefs} hybrid worker, override, shift pattern, roster change and bottleneck entries that use it.`)) return;
+        setTeamDefs({
+            headcounts: teamDefs.headcounts.filter(t => t.id !== id),
+            mapping: teamDefs.mapping.filter(m => m.team !== team.name),
+        });
+        // Hybrid workers lose the team, and are removed if it was their only one
+        setHybridWorkers(hybridWorkers.map(w => ({ ...w, teams: w.teams.filter(t => t.team !== team.name) })).filter(w => w.teams.length > 0));
+        setWorkHourOverrides(workHourOverrides.filter(o => o.team !== team.name));
+        setShiftPatterns(shiftPatterns.filter(p => p.appliesTo !== 'team' || p.name !== team.name));
+        setBottleneckConfig(bottleneckConfig.filter(b => b.team !== team.name));
+        setTeamMemberChanges(teamMemberChanges.filter(c => c.team !== team.name));
+    };
     const handleParamChange = (e) => setParams({ ...params, [e.target.name]: e.target.value });
     const handleAddTeamMemberChange = () => setTeamMemberChanges([...teamMemberChanges, {id: Date.now(), name: `NewMember${teamMemberChanges.length+1}`, team: teamDefs.headcounts[0]?.name || '', type: 'Starts', date: formatDate(new Date())}]);
     const handleTeamMemberChangeUpdate = (id, field, value) => setTeamMemberChanges(teamMemberChanges.map(m => m.id === id ? {...m, [field]: value} : m));
     const handleRemoveTeamMemberChange = (id) => setTeamMemberChanges(teamMemberChanges.filter(m => m.id !== id));
-    const handleAddHybridWorker = () => setHybridWorkers([...hybridWorkers, { id: Date.now(), name: `Hybrid${hybridWorkers.length+1}`, primaryTeam: 'Carpentry', secondaryTeam: 'Assembly'}]);
+    const handleAddHybridWorker = () => setHybridWorkers([...hybridWorkers, { id: Date.now(), name: `Hybrid${hybridWorkers.length+1}`, teams: [
+        createHybridTeam(teamDefs.headcounts.some(t => t.name === 'Carpentry') ? 'Carpentry' : teamDefs.headcounts[0]?.name || '', 1),
+        createHybridTeam(teamDefs.headcounts.some(t => t.name === 'Assembly') ? 'Assembly' : teamDefs.headcounts[1]?.name || '', 2),
+    ]}]);
     const handleHybridWorkerUpdate = (id, field, value) => setHybridWorkers(hybridWorkers.map(w => w.id === id ? {...w, [field]:value} : w));
     const handleRemoveHybridWorker = (id) => setHybridWorkers(hybridWorkers.filter(w => w.id !== id));
-    const handleAddPto = () => setPtoEntries([...ptoEntries, { id: Date.now(), memberName: '', date: formatDate(new Date()) }]);
+    const handleAddHybridTeam = (id) => setHybridWorkers(hybridWorkers.map(w => {
+        if (w.id !== id) return w;
+        const unused = teamDefs.headcounts.find(t => !w.teams.some(existing => existing.team === t.name));
+        const priority = Math.max(0, ...w.teams.map(t => Number(t.priority) || 0)) + 1;
+        return { ...w, teams: [...w.teams, createHybridTeam(unused?.name || teamDefs.headcounts[0]?.name || '', priority)] };
+    }));
+    const handleHybridTeamUpdate = (id, index, field, value) => setHybridWorkers(hybridWorkers.map(w => (
+        w.id === id ? { ...w, teams: w.teams.map((t, i) => (i === index ? { ...t, [field]: value } : t)) } : w
+    )));
+    const handleRemoveHybridTeam = (id, index) => setHybridWorkers(hybridWorkers.map(w => (w.id === id ? { ...w, teams: w.teams.filter((t, i) => i !== index) } : w)));
+    const handleAddPto = () => setPtoEntries([...ptoEntries, { id: Date.now(), memberName: '', date: formatDate(new Date()), endDate: '', hours: '', repeat: 'none' }]);
     const handlePtoUpdate = (id, field, value) => setPtoEntries(ptoEntries.map(p => p.id === id ? { ...p, [field]: value } : p));
     const handleRemovePto = (id) => setPtoEntries(ptoEntries.filter(p => p.id !== id));
+    // Capacity calendar edits, each for a single day
+    // Reads PTO and holidays from a calendar (.ics) or HR export (.csv) and opens the review dialog
+    const handleTimeOffFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const text = String(event.target.result || '');
+            const isCalendar = /\.ics$/i.test(file.name) || /^\s*BEGIN:VCALENDAR/i.test(text);
+            const { records, warnings } = isCalendar ? parseIcsTimeOff(text) : parseHrCsvTimeOff(text);
+            if (records.length === 0) {
+                setError(`No time off found in ${file.name}: ${warnings.join(' ') || 'the file is empty.'}`);
+                return;
+            }
+            const matched = matchTimeOff(records, {
+                teamMemberNameMap: efficiencyInputs.teamMemberNameMap,
+                otherNames: [...teamMemberChanges.map(c => c.name), ...hybridWorkers.map(w => w.name)],
+                existingPto: ptoEntries,
+                existingHolidays: String(params.holidays || '').split(',').map(h => h.trim()).filter(Boolean),
+            });
+            setPendingTimeOffImport({ fileName: file.name, ...matched, warnings });
+            setError('');
+        };
+        reader.onerror = () => setError(`File reading error: ${reader.error}`);
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
+    // unmatchedToAdd: indexes into pendingTimeOffImport.unmatched to add under the name as written in the file
+    const handleApplyTimeOffImport = (unmatchedToAdd) => {
+        const { fileName, ptoEntries: newEntries, holidays: newHolidays, unmatched } = pendingTimeOffImport;
+        const entries = [...newEntries, ...unmatchedToAdd.map(index => unmatched[index].entry)];
+        const now = Date.now();
+        setPtoEntries(prev => [...prev, ...entries.map((entry, i) => ({ id: now + i, ...entry }))]);
+        if (newHolidays.length > 0) {
+            setParams(prev => {
+                const holidays = String(prev.holidays || '').split(',').map(h => h.trim()).filter(Boolean);
+                return { ...prev, holidays: [...new Set([...holidays, ...newHolidays])].sort().join(', ') };
+            });
+        }
+        const skipped = unmatched.length - unmatchedToAdd.length;
+        addLog(`Time off imported from ${fileName}: ${entries.length} PTO entr${entries.length === 1 ? 'y' : 'ies'}, ${newHolidays.length} holiday(s)${skipped > 0 ? `, ${skipped} unmatched skipped` : ''}.`);
+        setPendingTimeOffImport(null);
+    };
+
+    const handleAddPtoForDay = (memberName, date) => setPtoEntries(prev => [...prev, { id: Date.now(), memberName, date }]);
+    const handleToggleHoliday = (date) => setParams(prev => {
+        const holidays = String(prev.holidays || '').split(',').map(h => h.trim()).filter(Boolean);
+        const next = holidays.includes(date) ? holidays.filter(h => h !== date) : [...holidays, date].sort();
+        return { ...prev, holidays: next.join(', ') };
+    });
+    const handleAddHoursOverrideForDay = (team, date, hours) => setWorkHourOverrides(prev => [...prev, { id: Date.now(), team, hours, startDate: date, endDate: date }]);
+    const shiftCapacityMonth = (delta) => {
+        const [year, month] = capacityCalendar.month.split('-').map(Number);
+        setCapacityMonth(toDateKey(new Date(year, month - 1 + delta, 1)).slice(0, 7));
+    };
+
+    // Directory rows for everyone the scheduler knows about, including named roster changes and hybrid workers
+    const directoryMembers = React.useMemo(() => listDirectoryMembers({
+        memberDirectory, efficiencyData, teamMemberNameMap,
+        otherMemberIds: [...teamMemberChanges.filter(c => c.type === 'Starts').map(c => c.name), ...hybridWorkers.map(w => w.name)],
+    }), [memberDirectory, efficiencyData, teamMemberNameMap, teamMemberChanges, hybridWorkers]);
+    const mappedOperations = React.useMemo(() => [...new Set(teamDefs.mapping.map(m => m.operation).filter(Boolean))], [teamDefs.mapping]);
+    const handleSaveDirectoryEntry = (id, entry) => setMemberDirectory(prev => ({ ...prev, [id]: entry }));
+    const handleResetDirectoryEntry = (id) => setMemberDirectory(prev => {
+        const { [id]: removed, ...rest } = prev;
+        return rest;
+    });
+
+    const handleExportDirectory = () => {
+        const csv = simpleCsvUnparse(directoryToRows(directoryMembers, mappedOperations));
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = buildFilename(scheduleName, 'member_directory', 'csv') || 'member_directory.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    };
+
+    // Imported rows replace any edits for the same member ids; other members are left alone
+    const handleImportDirectory = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const { entries, warnings } = parseDirectoryCsv(String(event.target.result || ''));
+            const count = Object.keys(entries).length;
+            if (count === 0) {
+                setError(`No team members found in ${file.name}: ${warnings.join(' ') || 'the file is empty.'}`);
+                return;
+            }
+            setMemberDirectory(prev => ({ ...prev, ...entries }));
+            addLog(`Member directory imported from ${file.name}: ${count} member(s).`);
+            warnings.forEach(w => addLog(`Parsing Warning (Member directory): ${w}`));
+            setError('');
+        };
+        reader.onerror = () => setError(`File reading error: ${reader.error}`);
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
+    const handleAddShiftPattern = () => setShiftPatterns([...shiftPatterns, { id: Date.now(), appliesTo: 'member', name: '', hours: [...SHIFT_PRESETS[1].hours], startDate: formatDate(new Date()), endDate: '' }]);
+    const handleShiftPatternUpdate = (id, field, value) => setShiftPatterns(shiftPatterns.map(p => {
+        if (p.id !== id) return p;
+        // Switching between a person and a team clears a name that no longer fits
+        if (field === 'appliesTo') return { ...p, appliesTo: value, name: value === 'team' ? (teamDefs.headcounts[0]?.name || '') : '' };
+        return { ...p, [field]: value };
+    }));
+    const handleShiftPatternHoursChange = (id, weekday, value) => setShiftPatterns(shiftPatterns.map(p => (
+        p.id === id ? { ...p, hours: p.hours.map((h, i) => (i === weekday ? value : h)) } : p
+    )));
+    const handleRemoveShiftPattern = (id) => setShiftPatterns(shiftPatterns.filter(p => p.id !== id));
+
     const handleAddWorkHourOverride = () => setWorkHourOverrides([...workHourOverrides, {id: Date.now(), team: teamDefs.headcounts[0]?.name || '', hours: 10, startDate: formatDate(new Date()), endDate: formatDate(new Date())}]);
     const handleWorkHourOverrideUpdate = (id, field, value) => setWorkHourOverrides(workHourOverrides.map(o => o.id === id ? {...o, [field]: value} : o));
     const handleRemoveWorkHourOverride = (id) => setWorkHourOverrides(workHourOverrides.filter(o => o.id !== id));
+    const handleAddMapping = (operation = '', team = teamDefs.headcounts[0]?.name || '') => setTeamDefs({...teamDefs, mapping: [...teamDefs.mapping, { id: Date.now(), team, operation }]});
+    const handleMappingUpdate = (id, field, value) => setTeamDefs({...teamDefs, mapping: teamDefs.mapping.map(m => m.id === id ? { ...m, [field]: value } : m)});
+    const handleRemoveMapping = (id) => setTeamDefs({...teamDefs, mapping: teamDefs.mapping.filter(m => m.id !== id)});
     const handleStartDateChange = (projectId, newDate) => setStartDateOverrides(prev => ({ ...prev, [projectId]: newDate }));
     const handleEndDateChange = (projectId, newDate) => setEndDateOverrides(prev => ({ ...prev, [projectId]: newDate }));
 
@@ -638,38 +1218,94 @@ export default function App() {
         } catch (e) { setError(`Error processing data: ${e.message}.`); addLog(`Error processing data: ${e.message}.`); return null; }
     }, [addLog]);
 
+    // Appends uploaded rows (from a CSV or an Excel sheet) as new projects, after the usual column renaming
+    const importProjectRows = useCallback((rows, sourceName, hadWarnings = false) => {
+        const cleanedData = loadAndCleanData(rows);
+        if (cleanedData && cleanedData.length > 0) {
+            const incomingProjectNames = new Set(cleanedData.map(t => t.Project));
+            const existingProjectNames = new Set(builtProjects.map(p => p.name));
+            const duplicates = [...incomingProjectNames].filter(name => existingProjectNames.has(name));
+
+            if (duplicates.length > 0) {
+                setError(`Upload failed. The following projects already exist: ${duplicates.join(', ')}. Please remove them or use unique names in your file.`);
+                return;
+            }
+
+            setProjectTasks(prevTasks => [...prevTasks, ...cleanedData]);
+            setProjectFileName(sourceName);
+            if (!hadWarnings) setError('');
+        } else if (rows.length === 0) {
+            setError(`No valid data could be processed from '${sourceName}'.`);
+        }
+    }, [builtProjects, loadAndCleanData]);
+
+    // Every upload goes through the column wizard, prefilled from a saved mapping or from known header names.
+    // Workbook sheets pass excelDates ({ date1904 }) so serial-number dates in the mapped date columns are converted.
+    const openColumnMapping = useCallback((rows, headers, sourceName, parseErrors = [], excelDates = null) => {
+        if (rows.length === 0) {
+            setError(`No data rows found in '${sourceName}'.`);
+            return;
+        }
+        setPendingColumnMapping({ sourceName, headers, rows, parseErrors, excelDates, ...suggestMapping(headers) });
+    }, []);
+
+    const handleConfirmColumnMapping = ({ mapping, accepted, rejected, remember }) => {
+        const { sourceName, headers, parseErrors } = pendingColumnMapping;
+        setPendingColumnMapping(null);
+        if (remember) saveMapping(headers, mapping);
+        if (rejected.length > 0) addLog(`Skipped ${rejected.length} row(s) from ${sourceName} that could not be imported.`);
+        importProjectRows(accepted, sourceName, parseErrors.length > 0);
+    };
+
+    const handleWorkbookFile = useCallback(async (file) => {
+        try {
+            addLog(`Reading workbook ${file.name}...`);
+            const { sheets, date1904 } = await readWorkbook(await file.arrayBuffer());
+            const usable = sheets.filter(sheet => sheet.rows.length > 0);
+            if (usable.length === 0) {
+                setError(`Workbook '${file.name}' has no sheets with data rows.`);
+                return;
+            }
+            if (usable.length === 1) {
+                addLog(`Reading sheet '${usable[0].name}' (${usable[0].rows.length} rows).`);
+                openColumnMapping(usable[0].rows, usable[0].headers, `${file.name} / ${usable[0].name}`, [], { date1904 });
+                return;
+            }
+            setPendingWorkbook({ fileName: file.name, sheets: usable, date1904 });
+        } catch (err) {
+            setError(`Could not read workbook '${file.name}': ${err.message}`);
+            addLog(`Error reading workbook ${file.name}: ${err.message}`);
+        }
+    }, [addLog, openColumnMapping]);
+
+    const handleChooseWorkbookSheet = (sheet) => {
+        const { fileName, date1904 } = pendingWorkbook;
+        setPendingWorkbook(null);
+        addLog(`Reading sheet '${sheet.name}' from ${fileName} (${sheet.rows.length} rows).`);
+        openColumnMapping(sheet.rows, sheet.headers, `${fileName} / ${sheet.name}`, [], { date1904 });
+    };
+
     const handleFileChange = useCallback((e) => {
         const file = e.target.files[0]; if (!file) return;
+        e.target.value = ''; // so picking the same file again still fires a change
         setError('');
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const results = robustCsvParse(event.target.result);
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'xlsx') {
+            handleWorkbookFile(file);
+            return;
+        }
+        if (extension === 'xls') {
+            setError(`'${file.name}' is an old-format Excel file. Save it as .xlsx (Excel Workbook) or .csv and upload it again.`);
+            return;
+        }
+        parseCsvAsync(file).then(results => {
             if (results.errors.length > 0) {
                 results.errors.forEach(err => addLog(`Parsing Warning (${file.name}): ${err.message}`));
                 setError(`CSV file '${file.name}' has issues.`);
             }
-
-            const cleanedData = loadAndCleanData(results.data);
-            if (cleanedData && cleanedData.length > 0) {
-                const incomingProjectNames = new Set(cleanedData.map(t => t.Project));
-                const existingProjectNames = new Set(builtProjects.map(p => p.name));
-                const duplicates = [...incomingProjectNames].filter(name => existingProjectNames.has(name));
-
-                if (duplicates.length > 0) {
-                    setError(`Upload failed. The following projects already exist: ${duplicates.join(', ')}. Please remove them or use unique names in your CSV.`);
-                    return;
-                }
-
-                setProjectTasks(prevTasks => [...prevTasks, ...cleanedData]);
-                setProjectFileName(file.name);
-                if (results.errors.length === 0) setError('');
-            } else if (results.data.length === 0) {
-                setError("No valid data could be processed from the project CSV file.");
-            }
-        };
-        reader.onerror = () => setError(`File reading error: ${reader.error}`);
-        reader.readAsText(file);
-    }, [addLog, builtProjects, loadAndCleanData, robustCsvParse]);
+            openColumnMapping(results.data, results.headers, file.name, results.errors.map(err => err.message));
+        }).catch(err => setError(`File reading error: ${err.message}`));
+    }, [addLog, openColumnMapping, handleWorkbookFile]);
 
     const handleBuilderChange = (e) => {
         setBuilderState({ ...builderState, [e.target.name]: e.target.value });
@@ -761,11 +1397,49 @@ const handleClearAllProjects = () => {
         setMaxHeadcount(prev => ({ ...prev, [team]: parseFloat(value) || 0 }));
     };
 
+    // Checks the selected backend when it changes and every few minutes after, for the header badge
+    useEffect(() => {
+        const controller = new AbortController();
+        const check = () => checkBackendHealth(apiBaseUrl, { signal: controller.signal }).then(health => {
+            if (!controller.signal.aborted) setBackendHealth(health);
+        });
+        setBackendHealth({ status: 'checking' });
+        check();
+        const timer = setInterval(check, HEALTH_CHECK_INTERVAL_MS);
+        return () => {
+            controller.abort();
+            clearInterval(timer);
+        };
+    }, [apiBaseUrl]);
+
+    // Before a run: a backend the badge doesn't show as healthy is checked again, so a stale result can't block it
+    const recheckBackend = useCallback(async () => {
+        if (backendHealth.status === 'ok') return backendHealth;
+        const health = await checkBackendHealth(apiBaseUrl, { timeoutMs: 5000 });
+        setBackendHealth(health);
+        return health;
+    }, [apiBaseUrl, backendHealth]);
+
+    // Jobs already running keep talking to the backend they were started on
+    const handleSaveBackendUrl = (url) => {
+        saveBackendUrl(url);
+        if (url !== apiBaseUrl) addLog(`Scheduling server changed to ${url}.`);
+        setApiBaseUrl(url);
+        setIsBackendSettingsOpen(false);
+    };
+
     const runResourceOptimizer = async () => {
         if (projectTasks.length === 0) {
             setError("No project data loaded. Use the Project Builder or upload a CSV.");
             return;
         }
+        // Unlike scheduling, optimization has no in-browser fallback
+        const health = await recheckBackend();
+        if (health.status === 'unreachable') {
+            setError(`The optimizer needs the scheduling server, but ${apiBaseUrl} is unreachable (${health.message}). Check the connection in Backend Settings.`);
+            return;
+        }
+        if (health.status === 'error') addLog(`Warning: the scheduling server's health check reports a problem (${health.message}); optimizing anyway.`);
 
         setIsOptimizing(true);
         setOptimizationResults(null);
@@ -777,8 +1451,8 @@ const handleClearAllProjects = () => {
                 StartDate: formatDate(t.StartDate),
                 DueDate: formatDate(t.DueDate),
             })),
-            params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides,
-            hybridWorkers, efficiencyData, teamMemberNameMap, startDateOverrides, endDateOverrides,
+            params, teamDefs, ptoEntries: expandPtoEntries(ptoEntries), teamMemberChanges, workHourOverrides, shiftPatterns,
+            hybridWorkers: toHybridWorkersPayload(hybridWorkers), ...efficiencyInputs, startDateOverrides, endDateOverrides,
             optimizationConfig: {
                 ...optimizationConfig,
                 minHeadcount,
@@ -786,53 +1460,19 @@ const handleClearAllProjects = () => {
             }
         };
 
+        const controller = new AbortController();
+        const baseUrl = apiBaseUrl;
+        optimizeJobRef.current = { jobId: null, controller, baseUrl };
         try {
             addLog("Sending data to optimizer...");
-            const startResponse = await fetch(`${API_BASE_URL}/api/optimize`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (startResponse.status !== 202) {
-                const errorResult = await startResponse.json();
-                throw new Error(errorResult.error || 'Failed to start optimization job.');
+            const jobId = await startJob(baseUrl, '/api/optimize', payload);
+            if (controller.signal.aborted) {
+                cancelJob(baseUrl, jobId).catch(() => {});
+                return;
             }
-
-            const { jobId } = await startResponse.json();
+            saveActiveJob('optimize', { jobId, baseUrl });
             addLog(`Optimization job started with ID: ${jobId}`);
-
-            const pollInterval = setInterval(async () => {
-                try {
-                    const statusResponse = await fetch(`${API_BASE_URL}/api/schedule/status/${jobId}`);
-                    if (!statusResponse.ok) throw new Error(`Status check failed`);
-                    
-                    const jobStatus = await statusResponse.json();
-
-                    if (jobStatus.status === 'complete') {
-                        clearInterval(pollInterval);
-                        const results = jobStatus.result;
-                        if (!results) return;
-
-                        setOptimizationResults(results);
-                        setLogs(results.logs || []);
-                        
-                        if (!results.success) {
-                            setError(`Optimization found partial solution. ${results.remainingGaps?.length || 0} projects still miss targets.`);
-                        }
-                        
-                        setIsOptimizing(false);
-                    } else if (jobStatus.status === 'error') {
-                        clearInterval(pollInterval);
-                        throw new Error(jobStatus.error || 'Optimization failed');
-                    }
-                } catch (pollError) {
-                    clearInterval(pollInterval);
-                    setError(`Error during optimization: ${pollError.message}`);
-                    setIsOptimizing(false);
-                }
-            }, 2000);
-
+            await followOptimizeJob(jobId, controller, baseUrl);
         } catch (e) {
             console.error('Failed to start optimizer:', e);
             setError(`Failed to start optimization: ${e.message}`);
@@ -840,10 +1480,59 @@ const handleClearAllProjects = () => {
         }
     };
 
+    // Same contract as followScheduleJob: an aborted controller just stops polling
+    const followOptimizeJob = async (jobId, controller, baseUrl) => {
+        optimizeJobRef.current = { jobId, controller, baseUrl };
+        try {
+            const results = await followJob(baseUrl, jobId, {
+                transport: JOB_TRANSPORT,
+                signal: controller.signal,
+                initialDelayMs: 2000,
+                onPartial: (partial) => {
+                    if (partial.logs?.length) setLogs(prev => [...prev, ...partial.logs]);
+                },
+                onRetry: (err, attempt, delayMs) => addLog(`Warning: ${err.message}. Retrying optimizer status check (attempt ${attempt}) in ${Math.round(delayMs / 1000)}s...`),
+            });
+            clearActiveJob('optimize');
+            if (!results) throw new Error('The optimizer finished but its results were already collected. Please run it again.');
+
+            setOptimizationResults(results);
+            setLogs(results.logs || []);
+
+            if (!results.success) {
+                setError(`Optimization found partial solution. ${results.remainingGaps?.length || 0} projects still miss targets.`);
+            }
+            setIsOptimizing(false);
+        } catch (err) {
+            if (err instanceof JobCancelledError && controller.signal.aborted) return;
+            clearActiveJob('optimize');
+            setError(`Error during optimization: ${err.message}`);
+            setIsOptimizing(false);
+        } finally {
+            if (optimizeJobRef.current?.controller === controller) optimizeJobRef.current = null;
+        }
+    };
+
+    const handleCancelOptimizer = async () => {
+        const job = optimizeJobRef.current;
+        if (!job) return;
+        job.controller.abort();
+        optimizeJobRef.current = null;
+        clearActiveJob('optimize');
+        setIsOptimizing(false);
+        addLog('Optimization job cancelled.');
+        if (!job.jobId) return;
+        try {
+            await cancelJob(job.baseUrl, job.jobId);
+        } catch (err) {
+            addLog(`Warning: The server did not confirm the cancellation (${err.message}).`);
+        }
+    };
+
     const applyOptimizedResources = () => {
         if (!optimizationResults || !optimizationResults.optimizedTeamDefs) return;
         
-        setTeamDefs(optimizationResults.optimizedTeamDefs);
+        setTeamDefs({ ...optimizationResults.optimizedTeamDefs, headcounts: normalizeHeadcounts(optimizationResults.optimizedTeamDefs.headcounts) });
         setFinalSchedule(optimizationResults.schedule.finalSchedule || []);
         setSummaryData({
             project: optimizationResults.schedule.projectSummary || [],
@@ -858,6 +1547,127 @@ const handleClearAllProjects = () => {
     };
     // 👆 END NEW HANDLER FUNCTIONS 👆
 
+    // Turns a finished job's results into the summaries and charts
+    const applyScheduleResults = useCallback((results) => {
+        setLastRunAt(new Date().toISOString());
+        setLogs(results.logs || []);
+        if (results.error) setError(results.error);
+        
+        setFinalSchedule(results.finalSchedule || []);
+        
+        const projectSummaryList = (results.projectSummary || []).map(p => {
+            const effectiveDueDateStr = endDateOverrides[p.Project] || p.DueDate;
+            const effectiveDueDate = parseDate(effectiveDueDateStr);
+            const finishDate = parseDate(p.FinishDate);
+            if (!finishDate) return { ...p, FinishDate: null, OriginalStartDate: p.StartDate, daysVariance: null, unfinished: true };
+            const diffDays = effectiveDueDate
+                ? Math.round((effectiveDueDate.getTime() - finishDate.getTime()) / (1000 * 60 * 60 * 24))
+                : 0;
+            return { ...p, OriginalStartDate: p.StartDate, daysVariance: diffDays, unfinished: false };
+        }).sort((a,b) => a.Store.localeCompare(b.Store) || a.Project.localeCompare(b.Project));
+
+        const storeSummaryMap = {};
+        projectSummaryList.forEach(p => {
+            const store = p.Store;
+            const startDate = parseDate(p.StartDate);
+            const finishDate = parseDate(p.FinishDate);
+            const effectiveDueDateStr = endDateOverrides[p.Project] || p.DueDate;
+            const dueDate = parseDate(effectiveDueDateStr);
+
+            if (!startDate || !dueDate || (!finishDate && !p.unfinished)) return;
+
+            // A store with any unfinished job is unfinished too
+            if (!storeSummaryMap[store]) {
+                storeSummaryMap[store] = { Store: store, StartDate: startDate, FinishDate: finishDate, DueDate: dueDate, unfinished: p.unfinished };
+            } else {
+                if (startDate < storeSummaryMap[store].StartDate) storeSummaryMap[store].StartDate = startDate;
+                if (finishDate && (!storeSummaryMap[store].FinishDate || finishDate > storeSummaryMap[store].FinishDate)) storeSummaryMap[store].FinishDate = finishDate;
+                if (dueDate > storeSummaryMap[store].DueDate) storeSummaryMap[store].DueDate = dueDate;
+                if (p.unfinished) storeSummaryMap[store].unfinished = true;
+            }
+        });
+        const storeSummaryList = Object.values(storeSummaryMap).map(s => {
+            if (s.unfinished) return { ...s, StartDate: formatDate(s.StartDate), FinishDate: null, DueDate: formatDate(s.DueDate), daysVariance: null };
+            const diffDays = Math.round((s.DueDate.getTime() - s.FinishDate.getTime()) / (1000 * 60 * 60 * 24));
+            return { ...s, StartDate: formatDate(s.StartDate), FinishDate: formatDate(s.FinishDate), DueDate: formatDate(s.DueDate), daysVariance: diffDays };
+        }).sort((a, b) => a.Store.localeCompare(b.Store));
+        
+        setSummaryData({ project: projectSummaryList, store: storeSummaryList });
+        setTeamUtilization(results.teamUtilization || []);
+        setProjectedCompletion(results.projectedCompletion || null);
+        setWeeklyOutput(results.weeklyOutput || []);
+        setDailyCompletions(results.dailyCompletions || []);
+        setTeamWorkload(results.teamWorkload || []);
+        setDailyPrioritySnapshots(results.dailyPrioritySnapshots || []);
+
+        setCompletedTasks(results.completedTasks || []);
+        setProjectCompletionTimeline(results.projectCompletionTimeline || null);
+    }, [endDateOverrides]);
+
+    const showJobStatus = useCallback((jobStatus) => {
+        setProgressMessage(jobStatus.message || 'Processing...');
+        setSimulationProgress(jobStatus.progress || 0);
+        setProgressStep(jobStatus.step || 'simulating');
+    }, []);
+
+    const finishScheduleRun = useCallback((results) => {
+        applyScheduleResults(results);
+        setProgressMessage("Schedule complete!");
+        setProgressStep('done');
+        setTimeout(() => setIsLoading(false), 1000);
+    }, [applyScheduleResults]);
+
+    // Fallback for when the server can't be reached: same payload, same results, computed in a Web Worker.
+    // The engine is loaded on first use, so it stays out of the main bundle.
+    const runScheduleInBrowser = useCallback(async (payload, controller) => {
+        scheduleJobRef.current = { jobId: null, controller };
+        try {
+            const { runInBrowser } = await import('./localScheduler');
+            const results = await runInBrowser(payload, { signal: controller.signal, onStatus: showJobStatus });
+            addLog("In-browser run complete. Processing final results.");
+            finishScheduleRun(results);
+        } catch (err) {
+            if (err instanceof JobCancelledError && controller.signal.aborted) return;
+            setError(`The in-browser scheduler failed: ${err.message}`);
+            setIsLoading(false);
+        } finally {
+            if (scheduleJobRef.current?.controller === controller) scheduleJobRef.current = null;
+        }
+    }, [addLog, showJobStatus, finishScheduleRun]);
+
+    // Follows a started (or resumed) scheduling job through to its results. Aborting the controller stops
+    // following without cancelling on the server, so on unmount the job can be resumed after a reload.
+    // baseUrl is the backend the job was started on, which may no longer be the selected one.
+    const followScheduleJob = useCallback(async (jobId, controller, baseUrl) => {
+        scheduleJobRef.current = { jobId, controller, baseUrl };
+        try {
+            const results = await followJob(baseUrl, jobId, {
+                transport: JOB_TRANSPORT,
+                signal: controller.signal,
+                initialDelayMs: 1500,
+                onStatus: showJobStatus,
+                onPartial: (partial) => {
+                    if (partial.logs?.length) setLogs(prev => [...prev, ...partial.logs]);
+                    if (typeof partial.completedJobs === 'number') setLiveCompletedJobs(partial.completedJobs);
+                },
+                onFallback: () => addLog('Live progress stream unavailable; checking job status by polling.'),
+                onRetry: (err, attempt, delayMs) => addLog(`Warning: ${err.message}. Retrying status check (attempt ${attempt}) in ${Math.round(delayMs / 1000)}s...`),
+            });
+            clearActiveJob('schedule');
+            if (!results) throw new Error('The job finished but its results were already collected. Please run the schedule again.');
+            addLog("Job complete. Processing final results.");
+            finishScheduleRun(results);
+        } catch (err) {
+            if (err instanceof JobCancelledError && controller.signal.aborted) return;
+            clearActiveJob('schedule');
+            setError(`Error checking job status: ${err.message}`);
+            setIsLoading(false);
+        } finally {
+            if (scheduleJobRef.current?.controller === controller) scheduleJobRef.current = null;
+            setLiveCompletedJobs(null);
+        }
+    }, [addLog, showJobStatus, finishScheduleRun]);
+
     const runSchedulingEngine = useCallback(async () => {
         if (projectTasks.length === 0) {
             setError("No project data loaded. Use the Project Builder or upload a CSV.");
@@ -865,6 +1675,26 @@ const handleClearAllProjects = () => {
         }
         setIsLoading(true);
         setProgressStep('starting');
+        setProgressMessage("Checking the scheduling server...");
+        // Registered before anything is awaited, so Cancel works from the moment the progress modal shows
+        const controller = new AbortController();
+        const baseUrl = apiBaseUrl;
+        scheduleJobRef.current = { jobId: null, controller, baseUrl };
+
+        // Warn before relying on a backend that can't be reached, and offer the in-browser engine instead. A failed
+        // health check on a server that answers is only logged: the schedule request itself is the real test.
+        let scheduleLocally = false;
+        const health = await recheckBackend();
+        if (controller.signal.aborted) return;
+        if (health.status === 'unreachable') {
+            if (!window.confirm(`The scheduling server at ${apiBaseUrl} is unreachable (${health.message}). Hosted servers can take up to a minute to wake up.\n\nSchedule in this browser instead? Choose Cancel to check the connection in Backend Settings first.`)) {
+                if (scheduleJobRef.current?.controller === controller) scheduleJobRef.current = null;
+                setIsLoading(false);
+                setIsBackendSettingsOpen(true);
+                return;
+            }
+            scheduleLocally = true;
+        }
         setProgressMessage("Initializing schedule...");
         setSimulationProgress(0);
 
@@ -878,12 +1708,12 @@ const handleClearAllProjects = () => {
         setDailyPrioritySnapshots([]);
 
         setLogs([]);
+        if (health.status === 'error') addLog(`Warning: the scheduling server's health check reports a problem (${health.message}).`);
         setError('');
         setProjectedCompletion(null);
         setCompletedTasks([]);
         
-        const currentState = JSON.stringify({ params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides, hybridWorkers, efficiencyData, teamMemberNameMap, startDateOverrides, endDateOverrides, projectTasks, bottleneckConfig });
-        setLastRunState(currentState);
+        setLastRunState(runStateKey);
         setNeedsRerun(false);
 
         const payload = {
@@ -892,120 +1722,127 @@ const handleClearAllProjects = () => {
                 StartDate: formatDate(t.StartDate),
                 DueDate: formatDate(t.DueDate),
             })),
-            params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides,
-            hybridWorkers, efficiencyData, teamMemberNameMap, startDateOverrides, endDateOverrides,
+            params, teamDefs, ptoEntries: expandPtoEntries(ptoEntries), teamMemberChanges, workHourOverrides, shiftPatterns,
+            hybridWorkers: toHybridWorkersPayload(hybridWorkers), ...efficiencyInputs, startDateOverrides, endDateOverrides,
             bottleneckConfig: bottleneckConfig.filter(b => b.enabled).map(b => ({ team: b.team, weight: b.weight }))
         };
 
         try {
+            if (scheduleLocally) {
+                addLog(`Scheduling server at ${baseUrl} is unreachable; scheduling in the browser.`);
+                setProgressMessage('Scheduling in the browser...');
+                await runScheduleInBrowser(payload, controller);
+                return;
+            }
+            if (controller.signal.aborted) return;
             addLog("Sending data to scheduling server to start job...");
-            const startResponse = await fetch(`${API_BASE_URL}/api/schedule`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (startResponse.status !== 202) {
-                const errorResult = await startResponse.json();
-                throw new Error(errorResult.error || 'Failed to start scheduling job.');
+            let jobId;
+            try {
+                jobId = await startJob(baseUrl, '/api/schedule', payload, { signal: controller.signal, timeoutMs: SERVER_START_TIMEOUT_MS });
+            } catch (err) {
+                if (err instanceof JobCancelledError) return;
+                if (!err.unreachable) throw err;
+                addLog(`Warning: ${err.message}. Scheduling in the browser instead.`);
+                setProgressMessage('Server unavailable; scheduling in the browser...');
+                await runScheduleInBrowser(payload, controller);
+                return;
             }
-
-            const { jobId } = await startResponse.json();
+            if (controller.signal.aborted) {
+                cancelJob(baseUrl, jobId).catch(() => {});
+                return;
+            }
+            saveActiveJob('schedule', { jobId, runStateKey, baseUrl });
             addLog(`Scheduling job started with ID: ${jobId}`);
-
-            // Start polling for status
-            pollingIntervalRef.current = setInterval(async () => {
-                try {
-                    const statusResponse = await fetch(`${API_BASE_URL}/api/schedule/status/${jobId}`);
-                    if (!statusResponse.ok) {
-                        throw new Error(`Status check failed with status: ${statusResponse.status}`);
-                    }
-                    const jobStatus = await statusResponse.json();
-
-                    setProgressMessage(jobStatus.message || 'Processing...');
-                    setSimulationProgress(jobStatus.progress || 0);
-                    setProgressStep(jobStatus.step || 'simulating');
-
-                    if (jobStatus.status === 'complete') {
-                        clearInterval(pollingIntervalRef.current);
-                        addLog("Job complete. Processing final results.");
-                        
-                        const results = jobStatus.result;
-                        if (!results) return; // Result already delivered on a previous poll
-                        setLogs(results.logs || []);
-                        if (results.error) setError(results.error);
-                        
-                        setFinalSchedule(results.finalSchedule || []);
-                        
-                        const projectSummaryList = (results.projectSummary || []).map(p => {
-                            const effectiveDueDateStr = endDateOverrides[p.Project] || p.DueDate;
-                            const effectiveDueDate = parseDate(effectiveDueDateStr);
-                            const finishDate = parseDate(p.FinishDate);
-                            const diffDays = (effectiveDueDate && finishDate)
-                                ? Math.round((effectiveDueDate.getTime() - finishDate.getTime()) / (1000 * 60 * 60 * 24))
-                                : 0;
-                            return { ...p, OriginalStartDate: p.StartDate, daysVariance: diffDays };
-                        }).sort((a,b) => a.Store.localeCompare(b.Store) || a.Project.localeCompare(b.Project));
-
-                        const storeSummaryMap = {};
-                        projectSummaryList.forEach(p => {
-                            const store = p.Store;
-                            const startDate = parseDate(p.StartDate);
-                            const finishDate = parseDate(p.FinishDate);
-                            const effectiveDueDateStr = endDateOverrides[p.Project] || p.DueDate;
-                            const dueDate = parseDate(effectiveDueDateStr);
-
-                            if (!startDate || !finishDate || !dueDate) return;
-
-                            if (!storeSummaryMap[store]) {
-                                storeSummaryMap[store] = { Store: store, StartDate: startDate, FinishDate: finishDate, DueDate: dueDate };
-                            } else {
-                                if (startDate < storeSummaryMap[store].StartDate) storeSummaryMap[store].StartDate = startDate;
-                                if (finishDate > storeSummaryMap[store].FinishDate) storeSummaryMap[store].FinishDate = finishDate;
-                                if (dueDate > storeSummaryMap[store].DueDate) storeSummaryMap[store].DueDate = dueDate;
-                            }
-                        });
-                        const storeSummaryList = Object.values(storeSummaryMap).map(s => {
-                            const diffDays = Math.round((s.DueDate.getTime() - s.FinishDate.getTime()) / (1000 * 60 * 60 * 24));
-                            return { ...s, StartDate: formatDate(s.StartDate), FinishDate: formatDate(s.FinishDate), DueDate: formatDate(s.DueDate), daysVariance: diffDays };
-                        }).sort((a, b) => a.Store.localeCompare(b.Store));
-                        
-                        setSummaryData({ project: projectSummaryList, store: storeSummaryList });
-                        setTeamUtilization(results.teamUtilization || []);
-                        setProjectedCompletion(results.projectedCompletion || null);
-                        setWeeklyOutput(results.weeklyOutput || []);
-                        setDailyCompletions(results.dailyCompletions || []);
-                        setTeamWorkload(results.teamWorkload || []);
-                        setDailyPrioritySnapshots(results.dailyPrioritySnapshots || []);
-
-                        setCompletedTasks(results.completedTasks || []);
-                        setProjectCompletionTimeline(results.projectCompletionTimeline || null);
-
-                        setProgressMessage("Schedule complete!");
-                        setProgressStep('done');
-                        setTimeout(() => setIsLoading(false), 1000);
-
-                    } else if (jobStatus.status === 'error') {
-                        clearInterval(pollingIntervalRef.current);
-                        throw new Error(jobStatus.error || 'The scheduling job failed on the server.');
-                    }
-                } catch (pollError) {
-                    clearInterval(pollingIntervalRef.current);
-                    setError(`Error checking job status: ${pollError.message}`);
-                    setIsLoading(false);
-                }
-            }, 1500);
-
+            await followScheduleJob(jobId, controller, baseUrl);
         } catch (e) {
             console.error('Failed to start scheduling engine:', e);
             setError(`Failed to start scheduling job: ${e.message}`);
             setIsLoading(false);
         }
-    }, [projectTasks, params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides, hybridWorkers, efficiencyData, teamMemberNameMap, addLog, startDateOverrides, endDateOverrides, bottleneckConfig]);
+    }, [projectTasks, params, teamDefs, ptoEntries, teamMemberChanges, workHourOverrides, shiftPatterns, hybridWorkers, efficiencyInputs, addLog, startDateOverrides, endDateOverrides, bottleneckConfig, runStateKey, followScheduleJob, runScheduleInBrowser, apiBaseUrl, recheckBackend]);
+
+    // Stops following the job and asks the server to stop it too
+    const handleCancelSchedule = async () => {
+        const job = scheduleJobRef.current;
+        if (!job) return;
+        job.controller.abort();
+        scheduleJobRef.current = null;
+        clearActiveJob('schedule');
+        setIsLoading(false);
+        setLastRunState(null);
+        addLog('Scheduling job cancelled.');
+        if (!job.jobId) return;
+        try {
+            await cancelJob(job.baseUrl, job.jobId);
+        } catch (err) {
+            addLog(`Warning: The server did not confirm the cancellation (${err.message}).`);
+        }
+    };
+
+    // Jobs still running when the page was closed or refreshed are picked back up on load, once the saved
+    // workspace has been restored or discarded so the results land on the inputs they belong to. The followers
+    // are read through a ref so this runs once per mount; the unmount cleanup only stops polling.
+    const jobFollowersRef = useRef(null);
+    jobFollowersRef.current = { followScheduleJob, followOptimizeJob };
+    const resumedJobsRef = useRef(false);
+    useEffect(() => {
+        if (!isWorkspaceReady || resumedJobsRef.current) return;
+        resumedJobsRef.current = true;
+        const scheduleJob = loadActiveJob('schedule');
+        if (scheduleJob) {
+            addLog(`Resuming scheduling job ${scheduleJob.jobId} started ${new Date(scheduleJob.startedAt).toLocaleString()}.`);
+            setIsLoading(true);
+            setProgressStep('simulating');
+            setProgressMessage('Reconnecting to the running job...');
+            setLastRunState(scheduleJob.runStateKey || null);
+            jobFollowersRef.current.followScheduleJob(scheduleJob.jobId, new AbortController(), scheduleJob.baseUrl || loadBackendUrl());
+        }
+        const optimizeJob = loadActiveJob('optimize');
+        if (optimizeJob) {
+            addLog(`Resuming optimization job ${optimizeJob.jobId}.`);
+            setIsOptimizing(true);
+            jobFollowersRef.current.followOptimizeJob(optimizeJob.jobId, new AbortController(), optimizeJob.baseUrl || loadBackendUrl());
+        }
+    }, [isWorkspaceReady, addLog]);
+    useEffect(() => () => {
+        [scheduleJobRef, optimizeJobRef].forEach(ref => ref.current?.controller.abort());
+    }, []);
+
+    // Reruns once the state change that requested it has rendered, so the run sees the new inputs
+    useEffect(() => {
+        if (!rerunRequested || isLoading) return;
+        setRerunRequested(false);
+        runSchedulingEngine();
+    }, [rerunRequested, isLoading, runSchedulingEngine]);
+
+    const lateJobAnalysis = React.useMemo(() => {
+        const job = lateJobDetail && summaryData.project.find(row => row.Project === lateJobDetail);
+        if (!isLateJob(job)) return null;
+        return analyzeLateJob(job, { finalSchedule, dailyPrioritySnapshots, dueDate: endDateOverrides[job.Project] || job.DueDate, holidays: parseList(params.holidays) });
+    }, [lateJobDetail, summaryData.project, finalSchedule, dailyPrioritySnapshots, endDateOverrides, params.holidays]);
+
+    const handleAddCapacityAndRerun = (teamName) => {
+        setTeamDefs({ ...teamDefs, headcounts: teamDefs.headcounts.map(t => t.name === teamName ? { ...t, count: (Number(t.count) || 0) + 1 } : t) });
+        addLog(`Added 1 headcount to ${teamName} from the late job analysis for ${lateJobDetail}; rerunning.`);
+        setRerunRequested(true);
+    };
 
     // --- CONFIGURATION SAVE/LOAD ---
+    const downloadJson = (data, filename) => {
+        const dataStr = JSON.stringify(data, null, 2);
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    };
+
     const handleSaveConfig = () => {
-        const config = {
+        const config = createBundle('config', {
             scheduleName,
             teamDefs,
             params,
@@ -1013,20 +1850,39 @@ const handleClearAllProjects = () => {
             hybridWorkers,
             ptoEntries,
             workHourOverrides,
+            shiftPatterns,
+            memberDirectory,
             bottleneckConfig,
+        });
+        downloadJson(config, buildFilename(scheduleName, 'config', 'json') || 'schedule_config.json');
+    };
+
+    // Everything a teammate needs to reproduce the current run, including the efficiency data it used
+    const handleExportBundle = () => {
+        const bundle = createBundle('workspace', {
+            ...workspaceSnapshot.inputs,
+            efficiencyData,
+            teamMemberNameMap,
+            teamMemberTeamMap,
+        });
+        downloadJson(bundle, buildFilename(scheduleName, 'bundle', 'json') || 'workspace_bundle.json');
+    };
+
+    // Applies only the sections present, so a settings-only config leaves the loaded projects alone
+    const applyImportedInputs = (inputs) => {
+        const setters = {
+            scheduleName: setScheduleName, params: setParams, teamMemberChanges: setTeamMemberChanges, hybridWorkers: (value) => setHybridWorkers(normalizeHybridWorkers(value)),
+            ptoEntries: setPtoEntries, workHourOverrides: setWorkHourOverrides, shiftPatterns: setShiftPatterns, memberDirectory: setMemberDirectory, bottleneckConfig: setBottleneckConfig, optimizationConfig: setOptimizationConfig,
+            projectTasks: setProjectTasks, projectFileName: setProjectFileName, startDateOverrides: setStartDateOverrides, endDateOverrides: setEndDateOverrides,
+            efficiencyData: setEfficiencyData, teamMemberNameMap: setTeamMemberNameMap, teamMemberTeamMap: setTeamMemberTeamMap,
         };
-        const dataStr = JSON.stringify(config, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.download = buildFilename(scheduleName, 'config', 'json') || 'schedule_config.json';
-        link.href = url;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        Object.entries(inputs).forEach(([key, value]) => {
+            if (key === 'teamDefs') setTeamDefs({ ...value, headcounts: normalizeHeadcounts(value.headcounts || []), mapping: value.mapping || [] });
+            else if (setters[key] && value !== undefined && value !== null) setters[key](value);
+        });
     };
 
+    // Validates the file and opens the import preview; nothing is applied until the user confirms
     const handleLoadConfig = (e) => {
         const file = e.target.files[0];
         if (!file) return;
@@ -1034,59 +1890,49 @@ const handleClearAllProjects = () => {
         const reader = new FileReader();
         reader.onload = (event) => {
             try {
-                const config = JSON.parse(event.target.result);
-                // Basic validation
-                if (config.teamDefs && config.params) {
-                    // Merge loaded teamDefs with current defaults to preserve new teams (QC, Receiving, etc.)
-                    const defaultTeamDefs = createDefaultTeamDefs();
-
-                    // Merge headcounts: keep loaded values, add any missing new teams from defaults
-                    const loadedHeadcountNames = new Set(config.teamDefs.headcounts.map(h => h.name));
-                    const mergedHeadcounts = [
-                        ...config.teamDefs.headcounts,
-                        ...defaultTeamDefs.headcounts.filter(h => !loadedHeadcountNames.has(h.name))
-                    ];
-
-                    // Merge mappings: keep loaded mappings, add any new mappings from defaults
-                    const loadedMappingKeys = new Set(
-                        config.teamDefs.mapping.map(m => `${m.team}-${m.operation}`)
-                    );
-                    const mergedMappings = [
-                        ...config.teamDefs.mapping,
-                        ...defaultTeamDefs.mapping.filter(
-                            m => !loadedMappingKeys.has(`${m.team}-${m.operation}`)
-                        )
-                    ];
-
-                    // Reassign IDs to ensure uniqueness
-                    mergedMappings.forEach((m, idx) => { m.id = idx + 1; });
-
-                    setTeamDefs({
-                        headcounts: mergedHeadcounts,
-                        mapping: mergedMappings
-                    });
-                    setParams(config.params);
-                    setTeamMemberChanges(config.teamMemberChanges || []);
-                    setHybridWorkers(config.hybridWorkers || []);
-                    setPtoEntries(config.ptoEntries || []);
-                    setWorkHourOverrides(config.workHourOverrides || []);
-                    if (config.bottleneckConfig) setBottleneckConfig(config.bottleneckConfig);
-                    setScheduleName(config.scheduleName || '');
-                    addLog("Configuration loaded successfully. New teams (if any) have been added.");
-                    setError('');
-                } else {
-                    throw new Error("Invalid configuration file structure.");
+                const raw = JSON.parse(event.target.result);
+                const defaultTeamDefs = createDefaultTeamDefs();
+                const report = validateConfig(raw, {
+                    currentTeams: teamDefs.headcounts.map(h => h.name),
+                    defaultTeams: defaultTeamDefs.headcounts.map(h => h.name),
+                });
+                const validKeys = Object.keys(report.sections).filter(key => report.sections[key].errors.length === 0);
+                if (validKeys.length === 0) {
+                    setError(`Failed to load the configuration file: ${report.errors.map(err => err.message).join('; ')}`);
+                    return;
                 }
+                const bundle = migrateBundle(pickSections(raw, validKeys), { defaultTeamDefs });
+                setPendingImport({
+                    fileName: file.name,
+                    kind: bundle.kind,
+                    inputs: bundle.inputs,
+                    report,
+                    selected: Object.fromEntries(validKeys.map(key => [key, true])),
+                });
+                setError('');
             } catch (err) {
                 console.error("Error loading config:", err);
-                setError("Failed to load or parse the configuration file. Please ensure it's a valid JSON config file.");
+                setError(`Failed to load the configuration file: ${err instanceof SyntaxError ? 'it is not valid JSON' : err.message}`);
             }
         };
         reader.onerror = () => setError(`File reading error: ${reader.error}`);
         reader.readAsText(file);
         e.target.value = null; // Reset file input
     };
-    
+
+    const handleToggleImportSection = (key) => {
+        setPendingImport(prev => ({ ...prev, selected: { ...prev.selected, [key]: !prev.selected[key] } }));
+    };
+
+    const handleApplyImport = () => {
+        const keys = Object.keys(pendingImport.selected).filter(key => pendingImport.selected[key]);
+        applyImportedInputs(Object.fromEntries(keys.map(key => [key, pendingImport.inputs[key]])));
+        const skipped = Object.keys(pendingImport.report.sections).length - keys.length;
+        const projectCount = new Set((keys.includes('projectTasks') ? pendingImport.inputs.projectTasks : []).map(t => t.Project)).size;
+        addLog(`${pendingImport.kind === 'workspace' ? 'Workspace bundle' : 'Configuration'} loaded from ${pendingImport.fileName}: ${keys.length} section(s) applied${skipped > 0 ? `, ${skipped} skipped` : ''}${projectCount > 0 ? ` (${projectCount} jobs)` : ''}.`);
+        setPendingImport(null);
+    };
+
     // --- PROJECT TASKS DOWNLOAD ---
     const handleDownloadProjects = () => {
         if (projectTasks.length === 0) {
@@ -1121,10 +1967,11 @@ const handleClearAllProjects = () => {
         document.body.removeChild(link);
     };
 
-    const downloadCSV = (type) => {
+    // Rows and default file name for one report, or null when the report has no data yet
+    const buildReportRows = (type) => {
         let dataToExport; let filename;
         if (type === 'schedule') {
-            if (finalSchedule.length === 0) return;
+            if (finalSchedule.length === 0) return null;
             dataToExport = finalSchedule.map(row => ({
                 Date: row.Date,
                 Job: row.Project,
@@ -1144,11 +1991,11 @@ const handleClearAllProjects = () => {
             }));
             filename = 'master_daily_work_log.csv';
         } else if (type === 'utilization') {
-             if (teamUtilization.length === 0) return;
+             if (teamUtilization.length === 0) return null;
              dataToExport = teamUtilization.flatMap(week => week.teams.map(team => ({ Week: week.week, Team: team.name, WorkedHours: team.worked, CapacityHours: team.capacity, Utilization: (team.utilization / 100).toFixed(2) })));
              filename = 'weekly_team_utilization.csv';
         } else if (type === 'completions') {
-            if (dailyCompletions.length === 0) return;
+            if (dailyCompletions.length === 0) return null;
             dataToExport = dailyCompletions.map(item => ({
                 Date: item.Date,
                 Job: item.Job,
@@ -1159,7 +2006,7 @@ const handleClearAllProjects = () => {
             }));
             filename = 'daily_completions_report.csv';
         } else if (type === 'project_summary') {
-            if (summaryData.project.length === 0) return;
+            if (summaryData.project.length === 0) return null;
             dataToExport = [...summaryData.project]
                 .sort((a, b) => {
                     const dateA = parseDate(startDateOverrides[a.Project] || a.StartDate);
@@ -1171,12 +2018,12 @@ const handleClearAllProjects = () => {
                     Job: row.Project,
                     'Start Date': startDateOverrides[row.Project] || row.StartDate,
                     'Due Date': endDateOverrides[row.Project] || row.DueDate,
-                    'Finish Date': row.FinishDate,
-                    'Days +/-': row.daysVariance,
+                    'Finish Date': row.unfinished ? NOT_FINISHED_LABEL : row.FinishDate,
+                    'Days +/-': row.unfinished ? NOT_FINISHED_LABEL : row.daysVariance,
                 }));
             filename = 'job_schedule_summary.csv';
         } else if (type === 'store_summary') {
-            if (summaryData.store.length === 0) return;
+            if (summaryData.store.length === 0) return null;
             dataToExport = [...summaryData.store]
                 .sort((a, b) => {
                     const dateA = parseDate(a.StartDate);
@@ -1187,12 +2034,12 @@ const handleClearAllProjects = () => {
                     Store: row.Store,
                     'Start Date': row.StartDate,
                     'Due Date': row.DueDate,
-                    'Finish Date': row.FinishDate,
-                    'Days +/-': row.daysVariance,
+                    'Finish Date': row.unfinished ? NOT_FINISHED_LABEL : row.FinishDate,
+                    'Days +/-': row.unfinished ? NOT_FINISHED_LABEL : row.daysVariance,
                 }));
             filename = 'store_schedule_summary.csv';
         } else if (type === 'priority_scores') {
-            if (dailyPrioritySnapshots.length === 0) return;
+            if (dailyPrioritySnapshots.length === 0) return null;
             dataToExport = dailyPrioritySnapshots.map(row => ({
                 Date: row.Date,
                 Job: row.Project,
@@ -1213,9 +2060,23 @@ const handleClearAllProjects = () => {
                 DaysSinceLastStep: row.DaysSinceLastStep,
             }));
             filename = 'daily_priority_scores.csv';
+        } else if (type === 'person_schedule') {
+            if (personScheduleView.groups.length === 0) return null;
+            dataToExport = personScheduleView.groups.flatMap(({ team, people }) => people.flatMap(person =>
+                person.calendar.map(day => ({
+                    Team: team,
+                    TeamMember: person.id,
+                    'Team Member Name': person.name,
+                    Date: day.date,
+                    Status: day.status,
+                    Hours: Number(day.hours.toFixed(2)),
+                    Work: day.tasks.map(t => `${t.project} / ${t.sku} / ${t.operation} (${t.hours.toFixed(1)}h)`).join('; '),
+                }))
+            ));
+            filename = 'team_member_schedule.csv';
         } else if (type === 'completion_timeline') {
             const source = activeCompletionData;
-            if (!source || !source.projects || source.projects.length === 0) return;
+            if (!source || !source.projects || source.projects.length === 0) return null;
             dataToExport = source.projects.flatMap(p =>
                 p.timeline.map(day => ({
                     [completionView === 'store' ? 'Store' : 'Job']: p.project,
@@ -1228,17 +2089,129 @@ const handleClearAllProjects = () => {
             );
             filename = 'project_completion_timeline.csv';
         } else {
-            return;
+            return null;
         }
 
-        filename = buildFilename(scheduleName, type, 'csv') || filename;
+        return { rows: dataToExport, filename };
+    };
 
-        const csv = simpleCsvUnparse(dataToExport);
+    const downloadCSV = (type) => {
+        const report = buildReportRows(type);
+        if (!report) return;
+        const filename = buildFilename(scheduleName, type, 'csv') || report.filename;
+
+        const csv = simpleCsvUnparse(report.rows);
         const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
         const link = document.createElement('a'); link.href = URL.createObjectURL(blob); link.download = filename;
         document.body.appendChild(link); link.click(); document.body.removeChild(link);
     };
 
+    // Every report in one .xlsx, for sending the plan around as a single file
+    const downloadWorkbook = async () => {
+        const sheets = WORKBOOK_SHEETS.map(({ type, name }) => ({ name, rows: buildReportRows(type)?.rows || [] }));
+        if (sheets.every(sheet => sheet.rows.length === 0)) return;
+        try {
+            const blob = await buildReportWorkbook(sheets, { title: scheduleName.trim() || 'Production Schedule' });
+            const link = document.createElement('a'); link.href = URL.createObjectURL(blob);
+            link.download = buildFilename(scheduleName, 'workbook', 'xlsx') || 'production_schedule_reports.xlsx';
+            document.body.appendChild(link); link.click(); document.body.removeChild(link);
+        } catch (err) {
+            setError(`Could not create the workbook: ${err.message}`);
+        }
+    };
+
+    // One-document plan for leadership: cover with the run's key settings, the full timeline, utilization and the
+    // summary tables. The charts are drawn off screen, so it works whichever sections are open or filtered.
+    const downloadPlanPdf = async () => {
+        if (summaryData.project.length === 0 || isExportingPdf) return;
+        setIsExportingPdf(true);
+        try {
+            const charts = [];
+            const noop = () => {};
+            const gantt = await renderChartOffscreen(
+                <ProjectGanttChartComponent projects={summaryData.project} finalSchedule={finalSchedule} teamColorMap={teamColorMap} width={PDF_CHART_WIDTH} height={0} holidays={params.holidays}
+                    onDateChange={noop} onEndDateChange={noop} startDateOverrides={startDateOverrides} endDateOverrides={endDateOverrides} />,
+                { width: PDF_CHART_WIDTH },
+            );
+            if (gantt) charts.push({ title: 'Project Timeline', canvas: await svgToCanvas(gantt.markup, gantt) });
+            if (teamUtilization.length > 0) {
+                const utilization = await renderChartOffscreen(
+                    <UtilizationLineChartComponent data={teamUtilization} teams={utilizationChartTeams} teamOrder={teamOrder} teamColorMap={teamColorMap} width={PDF_CHART_WIDTH} height={520} />,
+                    { width: PDF_CHART_WIDTH },
+                );
+                if (utilization) charts.push({ title: 'Weekly Team Utilization', canvas: await svgToCanvas(utilization.markup, utilization) });
+            }
+
+            const reportTable = (type, title) => {
+                const rows = buildReportRows(type)?.rows || [];
+                const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+                return { title, columns, rows: rows.map(row => columns.map(column => String(row[column] ?? ''))), lateColumn: 'Days +/-' };
+            };
+            const currency = (value) => value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+            const tables = [
+                reportTable('project_summary', 'Job Schedule Summary'),
+                reportTable('store_summary', 'Store Schedule Summary'),
+                {
+                    title: 'Weekly Output',
+                    columns: ['Week Start', 'Total Paid Hours', 'Completed Value', 'Value / Paid Hour'],
+                    rows: weeklyOutput.map(w => [w.week, w.totalHoursWorked.toFixed(1), currency(w.totalValue), currency(w.valuePerHour)]),
+                },
+            ];
+
+            const bottlenecks = bottleneckConfig.filter(b => b.enabled).map(b => `${b.team} (weight ${b.weight})`);
+            const lateJobs = summaryData.project.filter(isLateJob).length;
+            const finishDates = summaryData.project.map(p => p.FinishDate).filter(Boolean).sort();
+            const blob = await buildPlanReportPdf({
+                title: scheduleName.trim() || 'Production Plan',
+                subtitle: `Schedule run ${lastRunAt ? new Date(lastRunAt).toLocaleString() : 'date not recorded'} · generated ${new Date().toLocaleString()}`,
+                parameters: [
+                    { label: 'Schedule start', value: params.startDate },
+                    { label: 'Hours per day', value: String(params.hoursPerDay) },
+                    { label: 'Productivity assumption', value: `${Math.round(params.productivityAssumption * 100)}%` },
+                    { label: 'Global buffer', value: `${params.globalBuffer}%` },
+                    { label: 'Bottleneck teams', value: bottlenecks.length > 0 ? bottlenecks.join(', ') : 'None' },
+                    { label: 'Jobs scheduled', value: String(summaryData.project.length) },
+                    { label: 'Jobs finishing late', value: String(lateJobs) },
+                    { label: 'Last job finishes', value: finishDates[finishDates.length - 1] || '-' },
+                ],
+                charts,
+                tables,
+            });
+            const link = document.createElement('a'); link.href = URL.createObjectURL(blob);
+            link.download = buildFilename(scheduleName, 'plan_report', 'pdf') || 'production_plan.pdf';
+            document.body.appendChild(link); link.click(); document.body.removeChild(link);
+        } catch (err) {
+            setError(`Could not create the PDF: ${err.message}`);
+        } finally {
+            setIsExportingPdf(false);
+        }
+    };
+
+    // feed: { by: 'milestones' } for start/finish/due events per job, or { by: 'team' | 'member', value, label } for
+    // that team's or person's assignments
+    const downloadCalendar = (feed) => {
+        const title = scheduleName.trim() || 'Production Schedule';
+        let calendar;
+        let filename;
+        if (feed.by === 'milestones') {
+            if (summaryData.project.length === 0) return;
+            calendar = buildCalendar({
+                name: `${title} - Job Milestones`,
+                events: buildJobMilestoneEvents(summaryData.project, { scheduleName, startDates: startDateOverrides, dueDates: endDateOverrides }),
+            });
+            filename = buildFilename(scheduleName, 'milestones', 'ics') || 'job_milestones.ics';
+        } else {
+            const events = buildAssignmentEvents(finalSchedule, { by: feed.by, value: feed.value, scheduleName });
+            if (events.length === 0) return;
+            calendar = buildCalendar({ name: `${title} - ${feed.label}`, events });
+            const suffix = `${feed.label.replace(/[^A-Za-z0-9]+/g, '_')}_Calendar`;
+            filename = buildFilename(scheduleName, suffix, 'ics') || `${suffix.toLowerCase()}.ics`;
+        }
+        const blob = new Blob([calendar], { type: 'text/calendar;charset=utf-8' });
+        const link = document.createElement('a'); link.href = URL.createObjectURL(blob); link.download = filename;
+        document.body.appendChild(link); link.click(); document.body.removeChild(link);
+    };
+
     const downloadSampleCSV = (type) => {
         let headers, rows, filename;
         if (type === 'project') {
@@ -1282,19 +2255,132 @@ const handleClearAllProjects = () => {
                         </div>
                         <h3 className="text-xl font-bold mb-4 text-center text-slate-800">Scheduling in Progress...</h3>
                         <p className="text-sm mb-2 text-slate-600 text-center">{progressMessage} ({simulationProgress}%)</p>
+                        {liveCompletedJobs !== null && <p className="text-xs mb-2 text-slate-500 text-center">{liveCompletedJobs} job(s) finished so far</p>}
                         <div className="w-full bg-slate-200 rounded-full h-4 overflow-hidden">
                            <div className="bg-blue-600 h-4 rounded-full transition-all duration-300" style={{width: `${simulationProgress}%`}}></div>
                         </div>
+                        {progressStep !== 'done' && (
+                            <div className="flex justify-center mt-4">
+                                <button onClick={handleCancelSchedule} className="flex items-center px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold"><StopCircle className="w-5 h-5 mr-2" />Cancel Run</button>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+            {editingMember && (
+                <MemberDirectoryModal
+                    member={editingMember.isNew ? null : directoryMembers.find(m => m.id === editingMember.id)}
+                    entry={editingMember.isNew ? null : memberDirectory[editingMember.id]}
+                    existingIds={directoryMembers.map(m => m.id)}
+                    mapping={teamDefs.mapping}
+                    suggestedSkills={[...teamDefs.headcounts.map(t => t.name), ...mappedOperations]}
+                    onSave={handleSaveDirectoryEntry}
+                    onReset={handleResetDirectoryEntry}
+                    onClose={() => setEditingMember(null)}
+                />
+            )}
+            {selectedCapacityDay && (() => {
+                const team = capacityCalendar.teams.find(t => t.name === selectedCapacityDay.team);
+                const cell = team?.cells.find(c => c.date === selectedCapacityDay.date);
+                if (!cell) return null;
+                return (
+                    <CapacityDayModal team={team} cell={cell} isHybridTeam={team.name === HYBRID_TEAM_NAME} productivity={params.productivityAssumption}
+                        onAddPto={handleAddPtoForDay} onToggleHoliday={handleToggleHoliday} onAddHoursOverride={handleAddHoursOverrideForDay} onClose={() => setSelectedCapacityDay(null)} />
+                );
+            })()}
+            {pendingTimeOffImport && (
+                <TimeOffImportModal pending={pendingTimeOffImport} onConfirm={handleApplyTimeOffImport} onCancel={() => setPendingTimeOffImport(null)} />
+            )}
+            {isCalendarExportOpen && (
+                <CalendarExportModal finalSchedule={finalSchedule} teamOrder={teamOrder} onDownload={downloadCalendar} onClose={() => setIsCalendarExportOpen(false)} />
+            )}
+            {isBackendSettingsOpen && (
+                <BackendSettingsModal currentUrl={apiBaseUrl} health={backendHealth} onSave={handleSaveBackendUrl} onClose={() => setIsBackendSettingsOpen(false)} />
+            )}
+            {pendingColumnMapping && (
+                <ColumnMappingWizard pending={pendingColumnMapping} onConfirm={handleConfirmColumnMapping} onCancel={() => setPendingColumnMapping(null)} />
+            )}
+            {pendingWorkbook && (
+                <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+                    <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                        <h3 className="text-xl font-bold text-slate-800">Choose a Sheet</h3>
+                        <p className="text-sm text-slate-500 mb-4">{pendingWorkbook.fileName} has several sheets with data. Pick the one with the project tasks.</p>
+                        <div className="overflow-y-auto border rounded-md divide-y divide-slate-200">
+                            {pendingWorkbook.sheets.map(sheet => (
+                                <button key={sheet.name} onClick={() => handleChooseWorkbookSheet(sheet)} className="block w-full text-left px-4 py-3 hover:bg-blue-50">
+                                    <span className="font-semibold text-slate-800">{sheet.name}</span>
+                                    <span className="text-xs text-slate-500 ml-2">{sheet.rows.length} rows{sheet.hidden ? ' · hidden sheet' : ''}</span>
+                                    <span className="block text-xs text-slate-500 truncate mt-1">Columns: {sheet.headers.join(', ')}</span>
+                                </button>
+                            ))}
+                        </div>
+                        <div className="flex justify-end mt-6">
+                            <button onClick={() => setPendingWorkbook(null)} className="px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+            {pendingImport && (
+                <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+                    <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                        <h3 className="text-xl font-bold text-slate-800">Review Import</h3>
+                        <p className="text-sm text-slate-500 mb-4">{pendingImport.fileName} &middot; choose which sections to apply. Unselected sections keep their current values.</p>
+                        {pendingImport.report.errors.length > 0 && (
+                            <div className="mb-4 p-3 bg-red-50 rounded-md border border-red-200">
+                                <h4 className="text-sm font-semibold text-red-800 flex items-center mb-2"><AlertTriangle className="w-4 h-4 mr-2" />{pendingImport.report.errors.length} problem(s) found; the affected sections can't be imported</h4>
+                                <ul className="max-h-40 overflow-y-auto text-xs text-red-700 font-mono space-y-1">
+                                    {pendingImport.report.errors.map((err, idx) => <li key={idx}>{err.message}</li>)}
+                                </ul>
+                            </div>
+                        )}
+                        <div className="overflow-y-auto border rounded-md">
+                            <table className="min-w-full divide-y divide-slate-200 text-sm">
+                                <thead className="bg-slate-100 sticky top-0"><tr><th className="px-3 py-2 w-8"></th><th className="px-3 py-2 text-left font-medium text-slate-500">Section</th><th className="px-3 py-2 text-left font-medium text-slate-500">Change</th></tr></thead>
+                                <tbody className="divide-y divide-slate-200">
+                                    {Object.keys(SECTION_LABELS).filter(key => pendingImport.report.sections[key]).map(key => {
+                                        const sectionErrors = pendingImport.report.sections[key].errors;
+                                        const current = { ...workspaceSnapshot.inputs, efficiencyData, teamMemberNameMap, teamMemberTeamMap }[key];
+                                        return (
+                                            <tr key={key} className={sectionErrors.length > 0 ? 'bg-red-50 text-slate-400' : ''}>
+                                                <td className="px-3 py-2"><input type="checkbox" checked={!!pendingImport.selected[key]} disabled={sectionErrors.length > 0} onChange={() => handleToggleImportSection(key)} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" /></td>
+                                                <td className="px-3 py-2 font-medium whitespace-nowrap">{SECTION_LABELS[key]}</td>
+                                                <td className="px-3 py-2">{sectionErrors.length > 0 ? `Skipped: ${sectionErrors.length} problem(s)` : summarizeSectionChange(key, current, pendingImport.inputs[key])}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="flex justify-end space-x-2 mt-4">
+                            <button onClick={() => setPendingImport(null)} className="px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">Cancel</button>
+                            <button onClick={handleApplyImport} disabled={!Object.values(pendingImport.selected).some(Boolean)} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">Apply Selected Sections</button>
+                        </div>
                     </div>
                 </div>
             )}
             <header className="bg-white shadow-md sticky top-0 z-20"><div className="container mx-auto px-4 sm:px-6 lg:px-8"><div className="flex justify-between items-center py-4"><h1 className="text-2xl font-bold text-slate-900">Production Scheduling Engine v2</h1><div className="flex items-center space-x-4">
+                {(() => {
+                    const { label, badge, dot } = describeBackendHealth(backendHealth);
+                    const host = apiBaseUrl !== DEFAULT_BACKEND_URL ? new URL(apiBaseUrl).host : null;
+                    return (
+                        <button onClick={() => setIsBackendSettingsOpen(true)} title={`Scheduling server: ${apiBaseUrl}${backendHealth.message ? ` (${backendHealth.message})` : ''}. Click to change.`} className={`flex items-center px-2 py-1 border rounded-full text-xs font-semibold whitespace-nowrap ${badge}`}>
+                            <span className={`w-2 h-2 rounded-full mr-1.5 ${dot}`}></span><Server className="w-3.5 h-3.5 mr-1" />{label}{host && <span className="ml-1 font-normal">&middot; {host}</span>}
+                        </button>
+                    );
+                })()}
+                {lastAutosave && <span className="text-xs text-slate-400" title="Workspace is saved in this browser automatically">Autosaved {lastAutosave.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</span>}
                 <input type="text" value={scheduleName} onChange={(e) => setScheduleName(e.target.value)} placeholder="Schedule Name (optional)" className="px-3 py-2 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-56" />
+                <button onClick={handleResetWorkspace} className="flex items-center px-4 py-2 bg-slate-200 text-slate-700 rounded-md hover:bg-slate-300 font-semibold"><RotateCcw className="w-5 h-5 mr-2" />Reset Workspace</button>
                 <button onClick={handleSaveConfig} className="flex items-center px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-700 font-semibold"><Save className="w-5 h-5 mr-2" />Save Config</button>
-                <button onClick={() => fileInputRef.current.click()} className="flex items-center px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-700 font-semibold"><Upload className="w-5 h-5 mr-2" />Load Config</button>
+                <button onClick={() => fileInputRef.current.click()} title="Load a saved config or workspace bundle (.json)" className="flex items-center px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-700 font-semibold"><Upload className="w-5 h-5 mr-2" />Load Config</button>
+                <button onClick={handleExportBundle} title="Download settings, projects, date overrides and efficiency data as one file" className="flex items-center px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-700 font-semibold"><Download className="w-5 h-5 mr-2" />Export Workspace</button>
                 <input type="file" ref={fileInputRef} onChange={handleLoadConfig} className="hidden" accept=".json" />
                 <div className="relative group"><button disabled={finalSchedule.length === 0 && completedTasks.length === 0} className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed"><Download className="w-5 h-5 mr-2" />Download Reports</button>
             <div className="absolute hidden group-hover:block bg-white text-black rounded-md shadow-lg py-1 w-full z-30">
+                <button onClick={downloadWorkbook} className="block w-full text-left px-4 py-2 text-sm font-semibold hover:bg-slate-100">Export Workbook (.xlsx)</button>
+                <button onClick={downloadPlanPdf} disabled={isExportingPdf || summaryData.project.length === 0} className="block w-full text-left px-4 py-2 text-sm font-semibold hover:bg-slate-100 border-b border-slate-200 disabled:text-slate-400">{isExportingPdf ? 'Building PDF...' : 'Production Plan (PDF)'}</button>
+                <button onClick={() => downloadCalendar({ by: 'milestones' })} disabled={summaryData.project.length === 0} className="block w-full text-left px-4 py-2 text-sm font-semibold hover:bg-slate-100 disabled:text-slate-400">Job Milestones (.ics)</button>
+                <button onClick={() => setIsCalendarExportOpen(true)} disabled={finalSchedule.length === 0} className="block w-full text-left px-4 py-2 text-sm font-semibold hover:bg-slate-100 border-b border-slate-200 disabled:text-slate-400">Team / Member Calendar (.ics)...</button>
                 <button onClick={() => downloadCSV('schedule')} className="block w-full text-left px-4 py-2 text-sm hover:bg-slate-100">Full Schedule</button>
                 <button onClick={() => downloadCSV('utilization')} className="block w-full text-left px-4 py-2 text-sm hover:bg-slate-100">Weekly Utilization</button>
                 <button onClick={() => downloadCSV('completions')} className="block w-full text-left px-4 py-2 text-sm hover:bg-slate-100">Daily Completions</button>
@@ -1302,7 +2388,22 @@ const handleClearAllProjects = () => {
                 <button onClick={() => downloadCSV('store_summary')} className="block w-full text-left px-4 py-2 text-sm hover:bg-slate-100">Store Schedule Summary</button>
                 <button onClick={() => downloadCSV('priority_scores')} className="block w-full text-left px-4 py-2 text-sm hover:bg-slate-100">Daily Priority Scores</button>
                 <button onClick={() => downloadCSV('completion_timeline')} className="block w-full text-left px-4 py-2 text-sm hover:bg-slate-100">Completion Timeline</button>
+                <button onClick={() => downloadCSV('person_schedule')} className="block w-full text-left px-4 py-2 text-sm hover:bg-slate-100">Team Member Schedule</button>
             </div></div><button onClick={runSchedulingEngine} disabled={isLoading || projectTasks.length === 0} className={`flex items-center px-4 py-2 text-white rounded-md font-semibold transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed ${needsRerun ? 'bg-orange-500 hover:bg-orange-600' : 'bg-blue-600 hover:bg-blue-700'}`}>{isLoading ? (<svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>) : (needsRerun ? <RefreshCw className="w-5 h-5 mr-2" /> : <Play className="w-5 h-5 mr-2" />)}{isLoading ? 'Running...' : (needsRerun ? 'Rerun Schedule' : 'Run Schedule')}</button></div></div></div></header>
+            {savedWorkspace && (
+                <div className="container mx-auto px-4 sm:px-6 lg:px-8 pt-4">
+                    <div className="flex items-center justify-between p-3 bg-blue-50 rounded-md border border-blue-200">
+                        <p className="text-sm text-blue-800">
+                            <strong>Saved workspace found</strong> from {new Date(savedWorkspace.savedAt).toLocaleString()}
+                            {` (${new Set((savedWorkspace.inputs.projectTasks || []).map(t => t.Project)).size} jobs${(savedWorkspace.results?.finalSchedule || []).length > 0 ? ', with schedule results' : ''}).`}
+                        </p>
+                        <div className="flex items-center space-x-2">
+                            <button onClick={handleRestoreWorkspace} className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-semibold">Restore</button>
+                            <button onClick={handleDiscardSavedWorkspace} className="px-3 py-1 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 text-sm font-semibold">Start Fresh</button>
+                        </div>
+                    </div>
+                </div>
+            )}
             <main className="container mx-auto p-4 sm:p-6 lg:p-8 grid grid-cols-1 lg:grid-cols-3 gap-6">
                 <div className="lg-col-span-1 flex flex-col space-y-6">
                     
@@ -1385,6 +2486,21 @@ const handleClearAllProjects = () => {
                             )}
                         </div>
                     </CollapsibleSection>
+                    <CollapsibleSection title="Scenarios" icon={Layers} defaultOpen={false}>
+                        <p className="text-xs text-slate-500 mb-3">Each scenario keeps its own team roster, parameters, overrides, bottleneck settings and schedule results. All scenarios share the same projects.</p>
+                        <div className="space-y-2">{scenarios.map(sc => {
+                            const isActive = sc.id === activeScenarioId;
+                            const hasResults = ((isActive ? workspaceSnapshot : sc.snapshot)?.results?.summaryData?.project || []).length > 0;
+                            return (<div key={sc.id} className={`flex items-center gap-2 p-2 rounded-md ${isActive ? 'bg-blue-50 border border-blue-200' : 'bg-slate-100'}`}>
+                                <input type="radio" name="active-scenario" checked={isActive} onChange={() => handleSwitchScenario(sc.id)} disabled={isLoading} className="h-4 w-4 text-blue-600 focus:ring-blue-500" title="Make active" />
+                                <CommitOnBlurInput value={sc.name} onCommit={(name) => handleRenameScenario(sc.id, name)} className={`${smallInputStyles} flex-grow min-w-0`} />
+                                <span className={`text-xs shrink-0 ${hasResults ? 'text-green-600' : 'text-slate-400'}`}>{hasResults ? 'Results' : 'Not run'}</span>
+                                <button onClick={() => handleRemoveScenario(sc.id)} disabled={scenarios.length <= 1 || isLoading} className="text-red-500 hover:text-red-700 disabled:text-slate-300 shrink-0"><Trash2 className="w-5 h-5"/></button>
+                            </div>);
+                        })}</div>
+                        <button onClick={handleCreateScenario} disabled={isLoading} className="mt-3 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800 disabled:text-slate-400"><Copy className="w-4 h-4 mr-1"/> Duplicate Active as New Scenario</button>
+                    </CollapsibleSection>
+
                     <CollapsibleSection title="Resource Optimizer" icon={Lightbulb} defaultOpen={false}>
     <div className="space-y-4">
         <div className="p-3 bg-blue-50 rounded-md border border-blue-200">
@@ -1513,6 +2629,11 @@ const handleClearAllProjects = () => {
                 </>
             )}
         </button>
+        {isOptimizing && (
+            <button onClick={handleCancelOptimizer} className="w-full flex items-center justify-center px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">
+                <StopCircle className="w-5 h-5 mr-2" />Cancel Optimization
+            </button>
+        )}
 
         {/* Results Display */}
         {optimizationResults && (
@@ -1576,13 +2697,13 @@ const handleClearAllProjects = () => {
 </CollapsibleSection>
                     <CollapsibleSection title="Add Projects from File" defaultOpen={false}>
                         <div className="space-y-4">
-                            <p className="text-xs text-center text-slate-500">Use this to add unique projects (e.g., renovations) from a CSV file. This will append to, not replace, the projects added above.</p>
+                            <p className="text-xs text-center text-slate-500">Use this to add unique projects (e.g., renovations) from a CSV file or Excel workbook (.xlsx). This will append to, not replace, the projects added above.</p>
                             <div>
                                 <label htmlFor="project-file-upload" className="w-full flex items-center justify-center px-4 py-6 bg-slate-100 text-slate-600 rounded-lg border-2 border-dashed border-slate-300 cursor-pointer hover:bg-slate-200 hover:border-slate-400">
                                     <Upload className="w-8 h-8 mr-3" />
-                                    <span className="text-center font-medium">{projectFileName ? `Added: ${projectFileName}` : 'Upload Project CSV'}</span>
+                                    <span className="text-center font-medium">{projectFileName ? `Added: ${projectFileName}` : 'Upload Project CSV or Excel'}</span>
                                 </label>
-                                <input id="project-file-upload" type="file" className="hidden" accept=".csv" onChange={handleFileChange} />
+                                <input id="project-file-upload" type="file" className="hidden" accept=".csv,.xlsx,.xls" onChange={handleFileChange} />
                             </div>
                              <button onClick={() => downloadSampleCSV('project')} className="w-full flex items-center justify-center px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 font-semibold">
                                 <Download className="w-5 h-5 mr-2" />
@@ -1663,20 +2784,145 @@ const handleClearAllProjects = () => {
 
                     <CollapsibleSection title="Time Off" defaultOpen={false}>
                         <div className="space-y-4"><div><label className="block text-sm font-medium text-slate-600">Holidays (YYYY-MM-DD, ...)</label><textarea name="holidays" value={params.holidays} onChange={handleParamChange} className={`${inputStyles} h-16`}/></div>
-                        <div className="flex flex-col"><label className="block text-sm font-medium text-slate-600">Individual PTO</label><div className="space-y-2 mt-1 pr-1 max-h-28 overflow-y-auto">{ptoEntries.map(p=>(<div key={p.id} className="grid grid-cols-[1fr_auto_auto] items-center gap-2"><input type="text" placeholder="Member Name" value={p.memberName} onChange={e=>handlePtoUpdate(p.id, 'memberName', e.target.value)} className={smallInputStyles} /><input type="date" value={p.date} onChange={e=>handlePtoUpdate(p.id, 'date', e.target.value)} className={smallInputStyles} /><button onClick={()=>handleRemovePto(p.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button></div>))}</div><button onClick={handleAddPto} className="mt-2 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><PlusCircle className="w-4 h-4 mr-1"/> Add PTO Day</button></div>
+                        <div className="flex flex-col">
+                            <label className="block text-sm font-medium text-slate-600">Individual PTO</label>
+                            <p className="text-xs text-slate-500">Set an end date for a range, a repeat for patterns like every Friday off (through the end date, or a year), and hours for a partial day.</p>
+                            <div className="space-y-2 mt-1 pr-1 max-h-72 overflow-y-auto">{ptoEntries.map(p => (
+                                <div key={p.id} className="p-2 border border-slate-200 rounded-md space-y-2">
+                                    <div className="grid grid-cols-[1fr_auto] items-center gap-2"><input type="text" placeholder="Member Name" value={p.memberName} onChange={e => handlePtoUpdate(p.id, 'memberName', e.target.value)} className={smallInputStyles} /><button onClick={() => handleRemovePto(p.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button></div>
+                                    <div className="grid grid-cols-2 gap-2">
+                                        <label className="text-xs text-slate-500">From<input type="date" value={p.date} onChange={e => handlePtoUpdate(p.id, 'date', e.target.value)} className={`${smallInputStyles} w-full`} /></label>
+                                        <label className="text-xs text-slate-500">{p.repeat && p.repeat !== 'none' ? 'Repeat until' : 'To'}<input type="date" value={p.endDate || ''} min={p.date} onChange={e => handlePtoUpdate(p.id, 'endDate', e.target.value)} className={`${smallInputStyles} w-full`} /></label>
+                                        <label className="text-xs text-slate-500">Repeat<select value={p.repeat || 'none'} onChange={e => handlePtoUpdate(p.id, 'repeat', e.target.value)} className={`${smallInputStyles} w-full`}><option value="none">Does not repeat</option><option value="weekly">Every week</option><option value="biweekly">Every 2 weeks</option></select></label>
+                                        <label className="text-xs text-slate-500">Hours off<input type="number" min="0" step="0.5" placeholder="Full day" value={p.hours ?? ''} onChange={e => handlePtoUpdate(p.id, 'hours', e.target.value)} className={`${smallInputStyles} w-full`} /></label>
+                                    </div>
+                                </div>
+                            ))}</div>
+                            <div className="flex items-center justify-between mt-2">
+                                <div className="flex items-center space-x-4">
+                                    <button onClick={handleAddPto} className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><PlusCircle className="w-4 h-4 mr-1"/> Add PTO</button>
+                                    <button onClick={() => timeOffFileInputRef.current.click()} title="Import PTO and holidays from a calendar (.ics) or an HR system export (.csv)" className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><Upload className="w-4 h-4 mr-1"/> Import</button>
+                                    <input type="file" ref={timeOffFileInputRef} onChange={handleTimeOffFile} className="hidden" accept=".ics,.csv,text/calendar,text/csv" />
+                                </div>
+                                {ptoDays.length > 0 && <button onClick={() => setShowPtoDays(!showPtoDays)} className="text-xs font-medium text-slate-500 hover:text-slate-700">{showPtoDays ? 'Hide' : 'Show'} all {ptoDays.length} PTO days</button>}
+                            </div>
+                            {showPtoDays && ptoDays.length > 0 && (
+                                <div className="mt-2 max-h-48 overflow-y-auto border rounded-md">
+                                    <table className="min-w-full text-xs">
+                                        <tbody className="divide-y divide-slate-100">{ptoDays.map(day => (
+                                            <tr key={`${day.memberName}|${day.date}|${day.hours || ''}`}>
+                                                <td className="px-2 py-1 whitespace-nowrap text-slate-500">{parseDate(day.date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</td>
+                                                <td className="px-2 py-1">{day.memberName}</td>
+                                                <td className="px-2 py-1 text-right whitespace-nowrap">{day.hours ? `${day.hours}h` : 'Full day'}</td>
+                                            </tr>
+                                        ))}</tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                        </div>
+                    </CollapsibleSection>
+
+                    <CollapsibleSection title="Initial Team Roster" defaultOpen={false}>
+                        <div className="space-y-2 pr-2">{teamDefs.headcounts.map((team, i) => (<div key={team.id} className="flex items-center space-x-2">
+                            <input type="color" value={team.color} onChange={(e) => handleTeamColorChange(team.id, e.target.value)} className="h-6 w-6 shrink-0 rounded border-0 p-0 cursor-pointer" title="Team color" />
+                            <CommitOnBlurInput value={team.name} onCommit={(name) => handleRenameTeam(team.id, name)} className={`${smallInputStyles} w-32 font-medium text-slate-700`} title="Rename team (names must be unique)" />
+                            <svg className="flex-grow h-px text-slate-300" viewBox="0 0 100 1"><line x1="0" y1="0" x2="100" y2="0" stroke="currentColor" strokeWidth="2" strokeDasharray="2 2" /></svg>
+                            <input type="number" step="0.1" value={team.count} onChange={(e) => handleTeamHeadcountChange(team.id, e.target.value)} className={`${smallInputStyles} w-20`}/>
+                            <div className="flex flex-col shrink-0">
+                                <button onClick={() => handleMoveTeam(team.id, -1)} disabled={i === 0} className="text-slate-500 hover:text-slate-800 disabled:text-slate-300"><ChevronUp className="w-4 h-4"/></button>
+                                <button onClick={() => handleMoveTeam(team.id, 1)} disabled={i === teamDefs.headcounts.length - 1} className="text-slate-500 hover:text-slate-800 disabled:text-slate-300"><ChevronDown className="w-4 h-4"/></button>
+                            </div>
+                            <button onClick={() => handleRemoveTeam(team.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button>
+                        </div>))}</div>
+                        <button onClick={handleAddTeam} className="mt-3 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><PlusCircle className="w-4 h-4 mr-1"/> Add Team</button>
+                    </CollapsibleSection>
+
+                    <CollapsibleSection title="Team Mapping" defaultOpen={false}>
+                        <div className="space-y-4">
+                            {operationCoverage.unmapped.length > 0 ? (
+                                <div className="p-3 bg-yellow-50 rounded-md border border-yellow-200">
+                                    <p className="flex items-center text-sm font-semibold text-yellow-800"><AlertTriangle className="w-4 h-4 mr-1"/> {operationCoverage.unmapped.length} operation{operationCoverage.unmapped.length === 1 ? ' has' : 's have'} no team</p>
+                                    <div className="space-y-2 mt-2">{operationCoverage.unmapped.map(op => (<div key={op} className="grid grid-cols-[1fr_auto] items-center gap-2">
+                                        <span className="text-sm text-slate-700 truncate" title={op}>{op} <span className="text-xs text-slate-400">({operationCoverage.taskCounts[op]} tasks)</span></span>
+                                        <select value="" onChange={e => e.target.value && handleAddMapping(op, e.target.value)} className={smallInputStyles}><option value="">Assign team...</option>{teamDefs.headcounts.map(t => <option key={t.id} value={t.name}>{t.name}</option>)}</select>
+                                    </div>))}</div>
+                                </div>
+                            ) : (
+                                <p className="text-xs text-slate-500">{operationCoverage.operations.length > 0 ? `All ${operationCoverage.operations.length} operations in the loaded projects and templates have a team.` : 'Operations from loaded projects and routing templates will be checked here.'}</p>
+                            )}
+                            {operationCoverage.skipped.length > 0 && (
+                                <p className="text-xs text-slate-500">Skipped because their team is in Teams to Ignore: {operationCoverage.skipped.map(s => `${s.operation} (${s.team})`).join(', ')}.</p>
+                            )}
+                            <div className="space-y-2 pr-1 max-h-72 overflow-y-auto">{teamDefs.mapping.map(m => (<div key={m.id} className="grid grid-cols-[1fr_auto_auto] items-center gap-2">
+                                <input type="text" list="known-operations" placeholder="Operation" value={m.operation} onChange={e => handleMappingUpdate(m.id, 'operation', e.target.value)} className={`${smallInputStyles} ${operationCoverage.operations.length > 0 && !operationCoverage.taskCounts[m.operation] ? 'text-slate-400' : ''}`} title={operationCoverage.taskCounts[m.operation] ? `${operationCoverage.taskCounts[m.operation]} tasks` : 'Not used by any loaded project or template'} />
+                                <select value={m.team} onChange={e => handleMappingUpdate(m.id, 'team', e.target.value)} className={smallInputStyles}>{!teamDefs.headcounts.some(t => t.name === m.team) && <option value={m.team}>{m.team || 'No team'}</option>}{teamDefs.headcounts.map(t => <option key={t.id} value={t.name}>{t.name}</option>)}</select>
+                                <button onClick={() => handleRemoveMapping(m.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button>
+                            </div>))}</div>
+                            <datalist id="known-operations">{operationCoverage.operations.map(op => <option key={op} value={op} />)}</datalist>
                         </div>
+                        <button onClick={() => handleAddMapping()} className="mt-3 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><PlusCircle className="w-4 h-4 mr-1"/> Add Mapping</button>
                     </CollapsibleSection>
 
-                    <CollapsibleSection title="Initial Team Roster" defaultOpen={false}>
-                        <div className="space-y-2 pr-2">{teamDefs.headcounts.map((team) => (<div key={team.id} className="flex items-center space-x-2">
-                            <span className="font-medium text-slate-700">{team.name}</span>
-                            <svg className="flex-grow h-px text-slate-300" viewBox="0 0 100 1"><line x1="0" y1="0" x2="100" y2="0" stroke="currentColor" strokeWidth="2" strokeDasharray="2 2" /></svg>
-                            <input type="number" step="0.1" value={team.count} onChange={(e) => handleTeamHeadcountChange(team.id, e.target.value)} className={`${smallInputStyles} w-20`}/>
-                        </div>))}</div>
+                    <CollapsibleSection title="Hybrid Workers" defaultOpen={false}>
+                        <p className="text-xs text-slate-500 mb-2">Teams each hybrid worker can cover. Targets aim a share of their hours at a team; hours left over go by priority (1 first). Dates limit when a team is eligible.</p>
+                        <div className="space-y-2 overflow-y-auto">{hybridWorkers.map(w => {
+                            const targetTotal = w.teams.reduce((sum, t) => sum + (Number(t.target) || 0), 0);
+                            return (
+                                <div key={w.id} className="p-2 border border-slate-200 rounded-md space-y-2">
+                                    <div className="grid grid-cols-[1fr_auto] items-center gap-2"><input type="text" placeholder="Hybrid Worker Name" value={w.name} onChange={e => handleHybridWorkerUpdate(w.id, 'name', e.target.value)} className={smallInputStyles} /><button onClick={() => handleRemoveHybridWorker(w.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button></div>
+                                    {w.teams.map((t, index) => (
+                                        <div key={index} className="grid grid-cols-[1fr_4rem_3.5rem_auto] gap-1 items-end">
+                                            <label className="text-xs text-slate-500">Team<select value={t.team} onChange={e => handleHybridTeamUpdate(w.id, index, 'team', e.target.value)} className={`${smallInputStyles} w-full`}>{teamDefs.headcounts.map(h => <option key={h.id} value={h.name}>{h.name}</option>)}</select></label>
+                                            <label className="text-xs text-slate-500">Target %<input type="number" min="0" max="100" step="5" placeholder="—" value={t.target ?? ''} onChange={e => handleHybridTeamUpdate(w.id, index, 'target', e.target.value)} className={`${smallInputStyles} w-full px-1`} /></label>
+                                            <label className="text-xs text-slate-500">Priority<input type="number" min="1" step="1" value={t.priority ?? ''} onChange={e => handleHybridTeamUpdate(w.id, index, 'priority', e.target.value)} className={`${smallInputStyles} w-full px-1`} /></label>
+                                            <button onClick={() => handleRemoveHybridTeam(w.id, index)} disabled={w.teams.length <= 1} title="Remove team" className="text-red-500 hover:text-red-700 disabled:text-slate-300 pb-2"><XCircle className="w-4 h-4"/></button>
+                                            <div className="col-span-4 grid grid-cols-2 gap-1">
+                                                <label className="text-xs text-slate-500">Eligible from<input type="date" value={t.startDate || ''} onChange={e => handleHybridTeamUpdate(w.id, index, 'startDate', e.target.value)} className={`${smallInputStyles} w-full`} /></label>
+                                                <label className="text-xs text-slate-500">Until<input type="date" value={t.endDate || ''} min={t.startDate || undefined} onChange={e => handleHybridTeamUpdate(w.id, index, 'endDate', e.target.value)} className={`${smallInputStyles} w-full`} /></label>
+                                            </div>
+                                        </div>
+                                    ))}
+                                    <div className="flex items-center justify-between">
+                                        <button onClick={() => handleAddHybridTeam(w.id)} className="flex items-center text-xs font-medium text-blue-600 hover:text-blue-800"><PlusCircle className="w-3.5 h-3.5 mr-1"/> Add Team</button>
+                                        {targetTotal > 0 && <span className={`text-xs ${targetTotal > 100 ? 'text-red-600 font-semibold' : 'text-slate-500'}`}>Targets: {targetTotal}%{targetTotal > 100 ? ' (over 100%, scaled down)' : ''}</span>}
+                                    </div>
+                                </div>
+                            );
+                        })}</div>
+                        <button onClick={handleAddHybridWorker} className="mt-3 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><GitMerge className="w-4 h-4 mr-1"/> Add Hybrid Worker</button>
                     </CollapsibleSection>
 
-                    <CollapsibleSection title="Hybrid Workers" defaultOpen={false}>
-                        <div className="space-y-2 overflow-y-auto">{hybridWorkers.map(w => (<div key={w.id} className="grid grid-cols-1 md:grid-cols-2 gap-2 items-center"><input type="text" placeholder="Hybrid Worker Name" value={w.name} onChange={e=>handleHybridWorkerUpdate(w.id, 'name', e.target.value)} className={smallInputStyles} /><div><select value={w.primaryTeam} onChange={e=>handleHybridWorkerUpdate(w.id, 'primaryTeam', e.target.value)} className={smallInputStyles}>{teamDefs.headcounts.map(t=><option key={t.id} value={t.name}>Primary: {t.name}</option>)}</select></div><div><select value={w.secondaryTeam} onChange={e=>handleHybridWorkerUpdate(w.id, 'secondaryTeam', e.target.value)} className={smallInputStyles}>{teamDefs.headcounts.map(t=><option key={t.id} value={t.name}>Secondary: {t.name}</option>)}</select></div><div className="flex justify-end"><button onClick={()=>handleRemoveHybridWorker(w.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button></div></div>))}</div><button onClick={handleAddHybridWorker} className="mt-3 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><GitMerge className="w-4 h-4 mr-1"/> Add Hybrid Worker</button>
+                    <CollapsibleSection title="Member Directory" defaultOpen={false}>
+                        <p className="text-xs text-slate-500 mb-2">Efficiency per person and per operation, on top of the published efficiency sheet. Skill tags name teams or operations; a hybrid worker with tags only picks up work that matches one.</p>
+                        <input type="text" placeholder="Search members or skills" value={directorySearch} onChange={e => setDirectorySearch(e.target.value)} className={`${smallInputStyles} w-full mb-2`} />
+                        <div className="max-h-80 overflow-y-auto border rounded-md divide-y divide-slate-100">{directoryMembers
+                            .filter(m => !directorySearch.trim() || [m.name, m.id, ...m.skills].some(text => text.toLowerCase().includes(directorySearch.trim().toLowerCase())))
+                            .map(m => {
+                                const operationCount = Object.keys(m.operations).length;
+                                return (
+                                    <button key={m.id} onClick={() => setEditingMember({ id: m.id })} className="w-full text-left px-3 py-2 hover:bg-slate-50">
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className="text-sm font-medium text-slate-800 truncate">{m.name}{m.name !== m.id && <span className="ml-1 text-xs font-normal text-slate-400">{m.id}</span>}</span>
+                                            <span className="text-sm text-slate-600 whitespace-nowrap">{formatEfficiency(m.efficiency) || '100%'}{m.edited && <span className="ml-1 text-xs text-blue-600" title="Edited in the app">&bull;</span>}</span>
+                                        </div>
+                                        {(m.skills.length > 0 || operationCount > 0) && (
+                                            <div className="flex flex-wrap items-center gap-1 mt-1">
+                                                {m.skills.map(skill => <span key={skill} className="px-1.5 py-0.5 bg-slate-100 text-slate-600 rounded text-xs">{skill}</span>)}
+                                                {operationCount > 0 && <span className="text-xs text-slate-400">{operationCount} operation rate(s)</span>}
+                                            </div>
+                                        )}
+                                    </button>
+                                );
+                            })}
+                            {directoryMembers.length === 0 && <p className="px-3 py-2 text-sm text-slate-400">No team members yet. Add one, or import a directory CSV.</p>}
+                        </div>
+                        <div className="flex items-center space-x-4 mt-3">
+                            <button onClick={() => setEditingMember({ isNew: true })} className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><UserPlus className="w-4 h-4 mr-1"/> Add Member</button>
+                            <button onClick={() => directoryFileInputRef.current.click()} title="Import a directory CSV, or the efficiency sheet itself" className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><Upload className="w-4 h-4 mr-1"/> Import</button>
+                            <button onClick={handleExportDirectory} disabled={directoryMembers.length === 0} className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800 disabled:text-slate-400"><Download className="w-4 h-4 mr-1"/> Export</button>
+                            <input type="file" ref={directoryFileInputRef} onChange={handleImportDirectory} className="hidden" accept=".csv,text/csv" />
+                        </div>
                     </CollapsibleSection>
 
                     <CollapsibleSection title="Team Roster Changes" defaultOpen={false}>
@@ -1686,10 +2932,35 @@ const handleClearAllProjects = () => {
                     <CollapsibleSection title="Work Hour Overrides" defaultOpen={false}>
                         <div className="space-y-2 overflow-y-auto">{workHourOverrides.map(o => (<div key={o.id} className="grid grid-cols-1 md:grid-cols-2 gap-2 items-center"><select value={o.team} onChange={e => handleWorkHourOverrideUpdate(o.id, 'team', e.target.value)} className={smallInputStyles}>{teamDefs.headcounts.map(t => <option key={t.id} value={t.name}>{t.name}</option>)}</select><div className="flex items-center gap-1"><input type="number" placeholder="Hrs/Day" value={o.hours} onChange={e => handleWorkHourOverrideUpdate(o.id, 'hours', e.target.value)} className={smallInputStyles} /><span className="text-xs text-slate-500">hrs</span></div><input type="date" value={o.startDate} onChange={e => handleWorkHourOverrideUpdate(o.id, 'startDate', e.target.value)} className={smallInputStyles} /><div className="flex items-center gap-2"><input type="date" value={o.endDate} onChange={e => handleWorkHourOverrideUpdate(o.id, 'endDate', e.target.value)} className={smallInputStyles} /><button onClick={() => handleRemoveWorkHourOverride(o.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button></div></div>))}</div><button onClick={handleAddWorkHourOverride} className="mt-3 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><Clock className="w-4 h-4 mr-1"/> Add Override</button>
                     </CollapsibleSection>
+
+                    <CollapsibleSection title="Shift Patterns" defaultOpen={false}>
+                        <p className="text-xs text-slate-500 mb-2">Weekly hours for a person or a whole team, such as 4 x 10s. A person's own pattern comes first, then work hour overrides for their team, then their team's pattern.</p>
+                        <div className="space-y-2 overflow-y-auto">{shiftPatterns.map(p => (
+                            <div key={p.id} className="p-2 border border-slate-200 rounded-md space-y-2">
+                                <div className="grid grid-cols-[auto_1fr_auto] items-center gap-2">
+                                    <select value={p.appliesTo} onChange={e => handleShiftPatternUpdate(p.id, 'appliesTo', e.target.value)} className={smallInputStyles}><option value="member">Person</option><option value="team">Team</option></select>
+                                    {p.appliesTo === 'team'
+                                        ? <select value={p.name} onChange={e => handleShiftPatternUpdate(p.id, 'name', e.target.value)} className={smallInputStyles}>{teamDefs.headcounts.map(t => <option key={t.id} value={t.name}>{t.name}</option>)}</select>
+                                        : <input type="text" placeholder="Member Name" value={p.name} onChange={e => handleShiftPatternUpdate(p.id, 'name', e.target.value)} className={smallInputStyles} />}
+                                    <button onClick={() => handleRemoveShiftPattern(p.id)} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 className="w-5 h-5"/></button>
+                                </div>
+                                <div className="grid grid-cols-5 gap-1">{[1, 2, 3, 4, 5].map(weekday => (
+                                    <label key={weekday} className="text-xs text-slate-500 text-center">{['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][weekday]}<input type="number" min="0" max="24" step="0.5" value={p.hours[weekday]} onChange={e => handleShiftPatternHoursChange(p.id, weekday, e.target.value)} className={`${smallInputStyles} w-full text-center px-1`} /></label>
+                                ))}</div>
+                                <div className="grid grid-cols-3 gap-2 items-end">
+                                    <select value="" onChange={e => e.target.value !== '' && handleShiftPatternUpdate(p.id, 'hours', [...SHIFT_PRESETS[Number(e.target.value)].hours])} className={smallInputStyles}><option value="">Preset...</option>{SHIFT_PRESETS.map((preset, i) => <option key={preset.label} value={i}>{preset.label}</option>)}</select>
+                                    <label className="text-xs text-slate-500">From<input type="date" value={p.startDate} onChange={e => handleShiftPatternUpdate(p.id, 'startDate', e.target.value)} className={`${smallInputStyles} w-full`} /></label>
+                                    <label className="text-xs text-slate-500">Until<input type="date" value={p.endDate || ''} min={p.startDate} onChange={e => handleShiftPatternUpdate(p.id, 'endDate', e.target.value)} className={`${smallInputStyles} w-full`} /></label>
+                                </div>
+                            </div>
+                        ))}</div>
+                        <button onClick={handleAddShiftPattern} className="mt-3 flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"><Clock className="w-4 h-4 mr-1"/> Add Shift Pattern</button>
+                    </CollapsibleSection>
                 </div>
 
                 <div className="lg:col-span-2 flex flex-col space-y-6">
-                    <CollapsibleSection title="Project Timeline" icon={Trello} defaultOpen={true}>
+                    <CollapsibleSection title="Project Timeline" icon={Trello} defaultOpen={true}
+                        actions={filteredProjects.length > 0 && <ChartDownloadButtons containerRef={ganttChartContainerRef} scheduleName={scheduleName} type="chart_timeline" onError={setError} />}>
                         <div className="mb-4 px-1">
                             <label htmlFor="gantt-filter" className="block text-sm font-medium text-slate-600 mb-1">Filter by Job Name or Store</label>
                             <input
@@ -1700,17 +2971,21 @@ const handleClearAllProjects = () => {
                                 placeholder="e.g., Prison Break, Store-A..."
                                 className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 bg-slate-100 text-sm p-2"
                             />
+                            {finalSchedule.length > 0 && <p className="mt-1 text-xs text-slate-500">Click a job name to break it down by SKU and operation. Bars are colored by team; dashed lines show working days a SKU waited between operations.</p>}
                         </div>
                         <div ref={ganttChartContainerRef} className="flex-grow min-h-[24rem] relative">
                             {filteredProjects.length > 0 ? (
                                 <ProjectGanttChartComponent
                                     projects={filteredProjects}
+                                    finalSchedule={finalSchedule}
+                                    teamColorMap={teamColorMap}
                                     width={ganttChartDimensions.width}
                                     height={ganttChartDimensions.height}
                                     onDateChange={handleStartDateChange}
                                     onEndDateChange={handleEndDateChange}
                                     startDateOverrides={startDateOverrides}
                                     endDateOverrides={endDateOverrides}
+                                    holidays={params.holidays}
                                 />
                             ) : (
                                 <div className="h-full flex items-center justify-center text-slate-500">
@@ -1720,7 +2995,8 @@ const handleClearAllProjects = () => {
                         </div>
                     </CollapsibleSection>
 
-                    <CollapsibleSection title="Project Completion Over Time" icon={TrendingUp} defaultOpen={true}>
+                    <CollapsibleSection title="Project Completion Over Time" icon={TrendingUp} defaultOpen={true}
+                        actions={activeCompletionData?.projects?.length > 0 && <ChartDownloadButtons containerRef={completionChartContainerRef} scheduleName={scheduleName} type="chart_completion" onError={setError} />}>
                         <div className="flex items-center gap-2 mb-3">
                             <span className="text-xs font-medium text-slate-500">View:</span>
                             <div className="flex items-center space-x-1 bg-slate-100 rounded-md p-0.5">
@@ -1747,6 +3023,31 @@ const handleClearAllProjects = () => {
                         </div>
                     </CollapsibleSection>
 
+                    {scenarios.length > 1 && (
+                        <CollapsibleSection title="Scenario Comparison" icon={Layers} defaultOpen={false}>
+                            {(() => {
+                                const idA = comparisonIds.a ?? scenarios.find(sc => sc.id !== activeScenarioId)?.id;
+                                const idB = comparisonIds.b ?? activeScenarioId;
+                                return (
+                                    <>
+                                        <div className="flex items-center gap-3 mb-4 text-sm">
+                                            <select value={idA} onChange={e => setComparisonIds(prev => ({ ...prev, a: Number(e.target.value) }))} className={smallInputStyles}>{scenarios.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}</select>
+                                            <span className="text-slate-500">compared to</span>
+                                            <select value={idB} onChange={e => setComparisonIds(prev => ({ ...prev, b: Number(e.target.value) }))} className={smallInputStyles}>{scenarios.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}</select>
+                                        </div>
+                                        <ScenarioComparisonComponent
+                                            nameA={scenarios.find(sc => sc.id === idA)?.name}
+                                            nameB={scenarios.find(sc => sc.id === idB)?.name}
+                                            resultsA={getScenarioWorkspace(idA)?.results}
+                                            resultsB={getScenarioWorkspace(idB)?.results}
+                                            teamOrder={teamOrder}
+                                        />
+                                    </>
+                                );
+                            })()}
+                        </CollapsibleSection>
+                    )}
+
                     <CollapsibleSection title="Job Schedule Summary" icon={Briefcase} defaultOpen={false}>
                         <div className="flex justify-end mb-4">
                             <div className="flex items-center rounded-lg bg-slate-100 p-1">
@@ -1776,7 +3077,8 @@ const handleClearAllProjects = () => {
                                         </thead>
                                         <tbody className="bg-white divide-y divide-slate-200">
                                             {summaryData[summaryView].map((row) => (
-                                                <tr key={summaryView === 'project' ? row.Project : row.Store} className="hover:bg-slate-50">
+                                                <React.Fragment key={summaryView === 'project' ? row.Project : row.Store}>
+                                                <tr className="hover:bg-slate-50">
                                                     {summaryView === 'project' ? (
                                                         <>
                                                             <td className="px-3 py-2 whitespace-nowrap">{row.Store}</td>
@@ -1809,9 +3111,29 @@ const handleClearAllProjects = () => {
                                                             row.DueDate
                                                         )}
                                                     </td>
-                                                    <td className={`px-3 py-2 whitespace-nowrap font-semibold ${row.daysVariance < 0 ? 'text-red-600' : 'text-green-600'}`}>{row.FinishDate}</td>
-                                                    <td className={`px-3 py-2 whitespace-nowrap font-semibold ${row.daysVariance < 0 ? 'text-red-600' : 'text-green-600'}`}>{row.daysVariance >= 0 ? `+${row.daysVariance}` : row.daysVariance}</td>
+                                                    <td className={`px-3 py-2 whitespace-nowrap font-semibold ${isLateJob(row) ? 'text-red-600' : 'text-green-600'}`}>{row.unfinished ? NOT_FINISHED_LABEL : row.FinishDate}</td>
+                                                    <td className={`px-3 py-2 whitespace-nowrap font-semibold ${isLateJob(row) ? 'text-red-600' : 'text-green-600'}`}>
+                                                        {row.unfinished ? '—' : row.daysVariance >= 0 ? `+${row.daysVariance}` : row.daysVariance}
+                                                        {summaryView === 'project' && isLateJob(row) && (
+                                                            <button onClick={() => setLateJobDetail(lateJobDetail === row.Project ? null : row.Project)} className="ml-2 inline-flex items-center text-xs font-medium text-blue-600 hover:text-blue-800" title="Why is this late?"><HelpCircle className="w-4 h-4 mr-1" />Why?</button>
+                                                        )}
+                                                    </td>
                                                 </tr>
+                                                {summaryView === 'project' && lateJobDetail === row.Project && lateJobAnalysis && (
+                                                    <tr>
+                                                        <td colSpan={6} className="px-3 py-3 bg-red-50">
+                                                            <LateJobAnalysisComponent
+                                                                analysis={lateJobAnalysis}
+                                                                headcountTeams={teamDefs.headcounts.map(t => t.name)}
+                                                                teamColorMap={teamColorMap}
+                                                                isLoading={isLoading}
+                                                                onAddCapacity={handleAddCapacityAndRerun}
+                                                                onClose={() => setLateJobDetail(null)}
+                                                            />
+                                                        </td>
+                                                    </tr>
+                                                )}
+                                                </React.Fragment>
                                             ))}
                                         </tbody>
                                     </table>
@@ -2025,6 +3347,7 @@ const handleClearAllProjects = () => {
                                                     <span className="text-xs text-slate-500">items</span>
                                                 </div>
                                                 <span className="text-xs text-slate-400">{filteredTrendLines.length} shown</span>
+                                                <div className="ml-auto"><ChartDownloadButtons containerRef={priorityTrendChartRef} scheduleName={scheduleName} type="chart_priority_trend" onError={setError} /></div>
                                             </div>
                                             <div ref={priorityTrendChartCallbackRef} className="min-h-[22rem] relative border border-slate-200 rounded-lg bg-white">
                                                 <PriorityTrendChartComponent
@@ -2050,7 +3373,8 @@ const handleClearAllProjects = () => {
                         )}
                     </CollapsibleSection>
 
-                    <CollapsibleSection title="Team Workload Ratio" icon={Clock} defaultOpen={true}>
+                    <CollapsibleSection title="Team Workload Ratio" icon={Clock} defaultOpen={true}
+                        actions={teamWorkload.length > 0 && <ChartDownloadButtons containerRef={workloadChartContainerRef} scheduleName={scheduleName} type="chart_workload" onError={setError} />}>
                         <div ref={workloadChartContainerRef} className="flex-grow min-h-[24rem] relative">
                             {teamWorkload.length > 0 ? (
                                 <TeamWorkloadChartComponent
@@ -2062,6 +3386,8 @@ const handleClearAllProjects = () => {
                                         return teamWorkload.slice(0, lastActiveIndex + 1);
                                     })()}
                                     teams={teamDefs.headcounts}
+                                    teamOrder={teamOrder}
+                                    teamColorMap={teamColorMap}
                                     width={workloadChartDimensions.width}
                                     height={workloadChartDimensions.height}
                                 />
@@ -2073,7 +3399,12 @@ const handleClearAllProjects = () => {
                         </div>
                     </CollapsibleSection>
 
-                    <CollapsibleSection title="Weekly Team Utilization" icon={Users} defaultOpen={true}>
+                    <CollapsibleSection title="Weekly Team Utilization" icon={Users} defaultOpen={true}
+                        actions={teamUtilization.length > 0 && (utilizationView === 'line'
+                            ? <ChartDownloadButtons containerRef={utilizationChartContainerRef} scheduleName={scheduleName} type="chart_utilization" onError={setError} />
+                            // The bar view is plain HTML, so the same weeks are exported as the line chart
+                            : <ChartDownloadButtons containerRef={utilizationChartContainerRef} scheduleName={scheduleName} type="chart_utilization" onError={setError} note="Exports the line chart"
+                                offscreen={{ element: <UtilizationLineChartComponent data={teamUtilization} teams={utilizationChartTeams} teamOrder={teamOrder} teamColorMap={teamColorMap} width={PDF_CHART_WIDTH} height={520} />, width: PDF_CHART_WIDTH }} />)}>
                         <div className="flex justify-end mb-4">
                             <div className="flex items-center space-x-2"><button onClick={()=>setUtilizationView('bar')} className={`p-1 rounded-md ${utilizationView === 'bar' ? 'bg-blue-600 text-white' : 'bg-slate-200 text-slate-600'}`}><BarChart className="w-5 h-5" /></button><button onClick={()=>setUtilizationView('line')} className={`p-1 rounded-md ${utilizationView === 'line' ? 'bg-blue-600 text-white' : 'bg-slate-200 text-slate-600'}`}><LineChart className="w-5 h-5" /></button></div>
                         </div>
@@ -2085,10 +3416,10 @@ const handleClearAllProjects = () => {
                                 const utilColor = utilForColoring < 30 ? 'bg-red-500' : utilForColoring <= 50 ? 'bg-yellow-500' : 'bg-green-500';
 
                                 return (<div key={team.name}><div className="flex justify-between text-xs mb-1"><span className="font-medium text-slate-700">{team.name}</span><span className="text-slate-500">{utilForDisplay}% ({team.worked} / {team.capacity} hrs)</span></div><div className="w-full bg-slate-200 rounded-full h-3">
-                                {team.name === 'Hybrid' && team.breakdown && parseFloat(team.worked) > 0 ? (
+                                {team.name === HYBRID_TEAM_NAME && team.breakdown && parseFloat(team.worked) > 0 ? (
                                     <div className="flex h-3 rounded-full overflow-hidden" style={{ width: `${utilForDisplay}%` }}>
                                         {Object.entries(team.breakdown)
-                                            .sort(([teamA], [teamB]) => TEAM_SORT_ORDER.indexOf(teamA) - TEAM_SORT_ORDER.indexOf(teamB))
+                                            .sort(([teamA], [teamB]) => teamOrder.indexOf(teamA) - teamOrder.indexOf(teamB))
                                             .map(([breakdownTeam, hours]) => (
                                                 <div
                                                     key={breakdownTeam}
@@ -2104,9 +3435,45 @@ const handleClearAllProjects = () => {
                                 ) : (
                                     <div className={`${utilColor} h-3 rounded-full`} style={{ width: `${utilForDisplay}%` }}></div>
                                 )}
-                                </div></div>);})}</div></div>))}</div>) : <UtilizationLineChartComponent data={teamUtilization} teams={[...teamDefs.headcounts, ...teamMemberChanges.map(c => ({name: c.team})), ...(teamUtilization.some(w => w.teams.some(t => t.name === 'Hybrid')) ? [{name: 'Hybrid'}] : [])]} width={utilizationChartDimensions.width} height={utilizationChartDimensions.height} />) : <div className="h-full flex items-center justify-center text-slate-500"><p>Run the schedule to see team utilization.</p></div>}
+                                </div>{team.name === HYBRID_TEAM_NAME && <HybridSplitComparison actual={team.breakdown} planned={team.plannedBreakdown} teamOrder={teamOrder} teamColorMap={teamColorMap} />}</div>);})}</div></div>))}</div>) : <UtilizationLineChartComponent data={teamUtilization} teams={utilizationChartTeams} teamOrder={teamOrder} teamColorMap={teamColorMap} width={utilizationChartDimensions.width} height={utilizationChartDimensions.height} />) : <div className="h-full flex items-center justify-center text-slate-500"><p>Run the schedule to see team utilization.</p></div>}
                         </div>
                     </CollapsibleSection>
+                    <CollapsibleSection title="Team Member Schedules" icon={User} defaultOpen={false}>
+                        {personSchedules.startDate ? (
+                            <div className="space-y-4">
+                                <div className="flex flex-wrap items-end gap-3 text-sm">
+                                    <div><label className="block text-xs font-medium text-slate-500">Team</label><select value={personFilter.team} onChange={e => setPersonFilter({ ...personFilter, team: e.target.value })} className={smallInputStyles}><option value="all">All teams</option>{sortTeamNames([...new Set(personSchedules.people.map(p => p.team))], teamOrder).map(team => <option key={team} value={team}>{team}</option>)}</select></div>
+                                    <div><label className="block text-xs font-medium text-slate-500">Name</label><input type="text" value={personFilter.search} onChange={e => setPersonFilter({ ...personFilter, search: e.target.value })} placeholder="Search..." className={`${smallInputStyles} w-32`} /></div>
+                                    <div><label className="block text-xs font-medium text-slate-500">From</label><input type="date" value={personScheduleView.from} min={personSchedules.startDate} max={personSchedules.endDate} onChange={e => setPersonFilter({ ...personFilter, from: e.target.value })} className={smallInputStyles} /></div>
+                                    <div><label className="block text-xs font-medium text-slate-500">To</label><input type="date" value={personScheduleView.to} min={personSchedules.startDate} max={personSchedules.endDate} onChange={e => setPersonFilter({ ...personFilter, to: e.target.value })} className={smallInputStyles} /></div>
+                                    <label className="flex items-center pb-2"><input type="checkbox" checked={personFilter.idleOnly} onChange={e => setPersonFilter({ ...personFilter, idleOnly: e.target.checked })} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2" />Only people with idle days</label>
+                                    <div className="flex items-center space-x-2 pb-1 ml-auto">
+                                        <button onClick={() => setPersonFilter({ team: 'all', search: '', from: '', to: '', idleOnly: false })} className="px-3 py-1 bg-slate-200 text-slate-700 rounded-md hover:bg-slate-300 font-semibold">Reset</button>
+                                        <button onClick={handlePrintPersonSchedule} className="flex items-center px-3 py-1 bg-slate-600 text-white rounded-md hover:bg-slate-700 font-semibold"><Printer className="w-4 h-4 mr-1" />Print</button>
+                                        <button onClick={() => downloadCSV('person_schedule')} className="flex items-center px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 font-semibold"><Download className="w-4 h-4 mr-1" />CSV</button>
+                                    </div>
+                                </div>
+                                <div id="person-schedule-print">
+                                    <PersonScheduleComponent view={personScheduleView} title={scheduleName} teamColorMap={teamColorMap} />
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="h-24 flex items-center justify-center text-slate-500">
+                                <p>Run the schedule to see each team member's daily assignments.</p>
+                            </div>
+                        )}
+                    </CollapsibleSection>
+                    <CollapsibleSection title="Capacity Calendar" icon={CalendarDays} defaultOpen={false}>
+                        <div className="flex flex-wrap items-center justify-between gap-3 mb-3 text-sm">
+                            <div className="flex items-center space-x-2">
+                                <button onClick={() => shiftCapacityMonth(-1)} className="px-2 py-1 bg-slate-200 text-slate-700 rounded-md hover:bg-slate-300 font-semibold">&lsaquo;</button>
+                                <input type="month" value={capacityCalendar.month} onChange={e => setCapacityMonth(e.target.value)} className={smallInputStyles} />
+                                <button onClick={() => shiftCapacityMonth(1)} className="px-2 py-1 bg-slate-200 text-slate-700 rounded-md hover:bg-slate-300 font-semibold">&rsaquo;</button>
+                            </div>
+                            <p className="text-xs text-slate-500">Hours each team can work per day, from headcount, roster changes, hybrid workers, PTO, holidays, hours overrides and shift patterns. Click a day to add PTO, a holiday or an override.</p>
+                        </div>
+                        <CapacityCalendarComponent calendar={capacityCalendar} teamColorMap={teamColorMap} onSelectDay={(team, date) => setSelectedCapacityDay({ team, date })} />
+                    </CollapsibleSection>
                     <div className="bg-white p-5 rounded-lg shadow"><div className="flex justify-between items-center border-b pb-2"><h2 className="text-xl font-bold">Logs</h2><button onClick={() => setIsLogsVisible(!isLogsVisible)} className="text-sm text-blue-600 font-semibold hover:text-blue-800 flex items-center">{isLogsVisible ? 'Hide Logs' : 'Show Logs'}{isLogsVisible ? <ChevronUp className="w-4 h-4 ml-1" /> : <ChevronDown className="w-4 h-4 ml-1" />}</button></div>{isLogsVisible && (<div className="mt-4 h-64 flex-grow overflow-y-auto bg-slate-900 text-slate-200 rounded-md p-3 font-mono text-xs">{logs.length > 0 ? logs.map((log, i) => (<p key={i} className={log.startsWith('Warning') || log.startsWith('Error') || log.startsWith('Parsing Warning') || log.includes('could not be scheduled') || log.startsWith('  -') ? 'text-yellow-400' : 'text-green-400'}><span className="text-slate-500 mr-2">{`[${i+1}]`}</span> {log}</p>)) : <p className="text-slate-400">No logs to display yet.</p>}</div>)}</div>
                 </div>
             </main>
@@ -2115,10 +3482,59 @@ const handleClearAllProjects = () => {
 }
 
 // --- Gantt Chart Component (FIXED) ---
-function ProjectGanttChartComponent({ projects, width, height, onDateChange, onEndDateChange, startDateOverrides, endDateOverrides }) {
+function ProjectGanttChartComponent({ projects, finalSchedule = [], teamColorMap = {}, width, height, onDateChange, onEndDateChange, startDateOverrides, endDateOverrides, holidays = '' }) {
     const [dragState, setDragState] = useState(null);
+    const [expandedProjects, setExpandedProjects] = useState([]);
     const svgRef = useRef(null);
 
+    // Per-project SKU/operation spans from the daily work log, in routing order within each SKU.
+    // gapDays is the idle time since the previous operation on the same SKU finished, in working days (weekends
+    // and holidays between the two don't count as waiting).
+    const operationRows = useMemo(() => {
+        const holidaySet = parseList(holidays);
+        const workingDaysBetween = (from, to) => {
+            let count = 0;
+            for (let day = addDays(from, 1); day < to; day = addDays(day, 1)) {
+                if (isWorkingDay(day, holidaySet)) count++;
+            }
+            return count;
+        };
+        const spans = {};
+        finalSchedule.forEach(row => {
+            const date = parseDate(row.Date);
+            if (!date) return;
+            const key = `${row.Project}|${row.SKU}|${row.Operation}`;
+            if (!spans[key]) {
+                spans[key] = { project: row.Project, sku: row.SKU, skuName: row['SKU Name'], operation: row.Operation, team: row.Team, order: Number(row.Order) || 0, start: date, end: date, hours: 0, teams: new Set() };
+            }
+            const span = spans[key];
+            if (date < span.start) span.start = date;
+            if (date > span.end) span.end = date;
+            span.hours += Number(row['Time Spent (Hours)']) || 0;
+            span.teams.add(row.Team);
+        });
+        const byProject = {};
+        Object.values(spans)
+            .sort((a, b) => String(a.sku).localeCompare(String(b.sku)) || a.order - b.order || a.start - b.start)
+            .forEach(span => {
+                const rows = byProject[span.project] || (byProject[span.project] = []);
+                const previous = rows[rows.length - 1];
+                const gapDays = previous && previous.sku === span.sku ? workingDaysBetween(previous.end, span.start) : 0;
+                rows.push({ ...span, gapDays, previousEnd: previous && previous.sku === span.sku ? previous.end : null });
+            });
+        return byProject;
+    }, [finalSchedule, holidays]);
+
+    const toggleProject = (project) => {
+        setExpandedProjects(prev => prev.includes(project) ? prev.filter(p => p !== project) : [...prev, project]);
+    };
+
+    // Teams whose colors are on screen in the expanded operation rows, for the legend
+    const legendTeams = useMemo(() => {
+        const shown = new Set(expandedProjects.flatMap(project => (operationRows[project] || []).map(op => op.team)));
+        return [...shown].sort((a, b) => String(a).localeCompare(String(b)));
+    }, [expandedProjects, operationRows]);
+
     const margin = { top: 20, right: 20, bottom: 20, left: 150 };
 
     // Memoize the date range calculation for performance and correctness.
@@ -2226,7 +3642,17 @@ function ProjectGanttChartComponent({ projects, width, height, onDateChange, onE
 
     const barHeight = 35;
     const barPadding = 15;
-    const chartHeight = projects.length * (barHeight + barPadding) + margin.top + margin.bottom;
+    const opBarHeight = 14;
+    const opRowHeight = 22;
+    // Each project row is followed by its operation rows when expanded
+    const projectY = {};
+    let nextY = margin.top;
+    projects.forEach(p => {
+        projectY[p.Project] = nextY;
+        nextY += barHeight + barPadding;
+        if (expandedProjects.includes(p.Project)) nextY += (operationRows[p.Project] || []).length * opRowHeight + (operationRows[p.Project] ? barPadding : 0);
+    });
+    const chartHeight = nextY + margin.bottom;
     
     const totalDays = (maxDate.getTime() - minDate.getTime()) / (1000 * 60 * 60 * 24);
     const chartWidth = width - margin.left - margin.right;
@@ -2281,8 +3707,10 @@ function ProjectGanttChartComponent({ projects, width, height, onDateChange, onE
                     ))}
                 </g>
 
-                {projects.map((p, i) => {
+                {projects.map((p) => {
                     const isInteracting = dragState?.project.Project === p.Project;
+                    const isExpanded = expandedProjects.includes(p.Project);
+                    const opRows = operationRows[p.Project] || [];
                     
                     const planStartDate = parseDate(startDateOverrides[p.Project] || p.OriginalStartDate);
                     const planDueDate = parseDate(endDateOverrides[p.Project] || p.DueDate);
@@ -2303,8 +3731,8 @@ function ProjectGanttChartComponent({ projects, width, height, onDateChange, onE
                     const actualFinishX = getX(actualFinishDate);
                     const actualBarWidth = (actualStartDate && actualFinishDate) ? Math.max(0, actualFinishX - actualStartX) : 0;
                     
-                    const y = margin.top + i * (barHeight + barPadding);
-                    const isLate = actualFinishDate && planDueDate && actualFinishDate > planDueDate;
+                    const y = projectY[p.Project];
+                    const isLate = p.unfinished || (actualFinishDate && planDueDate && actualFinishDate > planDueDate);
                     
                     const planDateLabel = `${formatDateForGantt(visualPlanStartDate)} - ${formatDateForGantt(visualPlanDueDate)}`;
                     const textWidthEstimate = planDateLabel.length * 5;
@@ -2312,9 +3740,14 @@ function ProjectGanttChartComponent({ projects, width, height, onDateChange, onE
 
                     return (
                         <g key={p.Project} className="group">
-                            <title>{`Project: ${p.Project}\nStore: ${p.Store}\n\nPlan: ${formatDate(planStartDate)} to ${formatDate(planDueDate)}\nActual: ${p.StartDate} to ${p.FinishDate}`}</title>
-                            <text x={margin.left - 10} y={y + barHeight / 2 - 2} textAnchor="end" className="text-xs fill-slate-800 font-bold pointer-events-none">
-                                {p.Project}
+                            <title>{`Project: ${p.Project}\nStore: ${p.Store}\n\nPlan: ${formatDate(planStartDate)} to ${formatDate(planDueDate)}\nActual: ${p.StartDate} to ${p.unfinished ? NOT_FINISHED_LABEL.toLowerCase() : p.FinishDate}`}</title>
+                            {opRows.length > 0 && (
+                                <rect x={0} y={y} width={margin.left - 4} height={barHeight} onClick={() => toggleProject(p.Project)} className="fill-transparent cursor-pointer">
+                                    <title>{isExpanded ? 'Hide operations' : 'Show SKU/operation breakdown'}</title>
+                                </rect>
+                            )}
+                            <text x={margin.left - 10} y={y + barHeight / 2 - 2} textAnchor="end" className={`text-xs font-bold pointer-events-none ${opRows.length > 0 ? 'fill-blue-700' : 'fill-slate-800'}`}>
+                                {opRows.length > 0 ? `${isExpanded ? '▾' : '▸'} ` : ''}{p.Project}
                             </text>
                             <text x={margin.left - 10} y={y + barHeight / 2 + 12} textAnchor="end" className="text-[10px] fill-slate-500 pointer-events-none">
                                 {p.Store}
@@ -2356,17 +3789,51 @@ function ProjectGanttChartComponent({ projects, width, height, onDateChange, onE
                                 />
                                 <path d={`M ${getX(planDueDate)} ${y-2} l -3 -3 l 6 0 z`} className={`fill-current ${isLate ? 'text-red-600' : 'text-slate-500'}`} />
                             </>}
+                            {isExpanded && opRows.map((op, j) => {
+                                const opY = y + barHeight + barPadding / 2 + j * opRowHeight;
+                                const opStartX = getX(op.start);
+                                const opEndX = getX(addDays(op.end, 1));
+                                const midY = opY + opRowHeight / 2;
+                                const label = `${op.sku} · ${op.operation}`;
+                                return (
+                                    <g key={`${op.sku}-${op.operation}`}>
+                                        <title>{`${op.sku}${op.skuName ? ` (${op.skuName})` : ''}\n${op.operation} (${[...op.teams].join(', ')})\n${formatDate(op.start)} to ${formatDate(op.end)}, ${op.hours.toFixed(1)} hrs${op.gapDays > 0 ? `\nWaited ${op.gapDays} working day(s) after the previous operation` : ''}`}</title>
+                                        <text x={margin.left - 10} y={midY + 3} textAnchor="end" className="text-[10px] fill-slate-600">
+                                            {label.length > 26 ? `${label.slice(0, 25)}…` : label}
+                                        </text>
+                                        {op.gapDays > 0 && op.previousEnd && (
+                                            <>
+                                                <line x1={getX(addDays(op.previousEnd, 1))} y1={midY} x2={opStartX} y2={midY} strokeDasharray="3 3" className="stroke-slate-400" />
+                                                {opStartX - getX(addDays(op.previousEnd, 1)) > 18 && (
+                                                    <text x={(getX(addDays(op.previousEnd, 1)) + opStartX) / 2} y={midY - 3} textAnchor="middle" className="text-[9px] fill-slate-500">{op.gapDays}d</text>
+                                                )}
+                                            </>
+                                        )}
+                                        <rect x={opStartX} y={midY - opBarHeight / 2} width={Math.max(2, opEndX - opStartX)} height={opBarHeight} rx="2" style={{ fill: teamColorMap[op.team] || '#94a3b8' }} />
+                                    </g>
+                                );
+                            })}
                         </g>
                     );
                 })}
             </svg>
+            {legendTeams.length > 0 && (
+                <div className="flex flex-wrap justify-center items-center pt-2 gap-x-4 gap-y-1">
+                    {legendTeams.map(team => (
+                        <div key={team} data-legend-item className="flex items-center text-xs">
+                            <div data-legend-swatch className="w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: teamColorMap[team] || '#94a3b8' }}></div>
+                            <span>{team}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
         </div>
     );
 }
 
 
 // --- Utilization Chart Component (REBUILT WITH INTERACTIVITY) ---
-function UtilizationLineChartComponent({ data, teams, width, height }) {
+function UtilizationLineChartComponent({ data, teams, teamOrder, teamColorMap, width, height }) {
     const [tooltip, setTooltip] = useState(null);
     const [hoveredTeam, setHoveredTeam] = useState(null);
     const [selectedTeam, setSelectedTeam] = useState(null);
@@ -2378,15 +3845,9 @@ function UtilizationLineChartComponent({ data, teams, width, height }) {
 
     const uniqueTeams = useMemo(() => {
         const teamSet = new Set(teams.map(t => t.name));
-        const sorted = [...teamSet].sort((a, b) => {
-            const indexA = TEAM_SORT_ORDER.indexOf(a);
-            const indexB = TEAM_SORT_ORDER.indexOf(b);
-            if (indexA === -1) return 1;
-            if (indexB === -1) return -1;
-            return indexA - indexB;
-        });
-        return sorted.map((name, i) => ({ name, color: TEAM_COLORS[i % TEAM_COLORS.length] }));
-    }, [teams]);
+        const sorted = sortTeamNames([...teamSet], teamOrder);
+        return sorted.map((name, i) => ({ name, color: teamColorMap[name] || TEAM_COLORS[i % TEAM_COLORS.length] }));
+    }, [teams, teamOrder, teamColorMap]);
 
     const chartData = useMemo(() => {
         if (!data || data.length === 0) return { lines: [], points: [], minDate: null, maxDate: null };
@@ -2513,12 +3974,12 @@ function UtilizationLineChartComponent({ data, teams, width, height }) {
                     return (
                         <div
                             key={team.name}
-                            className="flex items-center text-xs cursor-pointer"
+                            data-legend-item className="flex items-center text-xs cursor-pointer"
                             onClick={() => handleLegendClick(team.name)}
                             onMouseEnter={() => setHoveredTeam(team.name)}
                             onMouseLeave={() => setHoveredTeam(null)}
                         >
-                            <div className="w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: team.color }}></div>
+                            <div data-legend-swatch className="w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: team.color }}></div>
                             <span className={`transition-opacity duration-200 ${isDimmed ? 'opacity-30' : 'opacity-100'} ${isSelected ? 'font-bold' : ''}`}>{team.name}</span>
                         </div>
                     )
@@ -2682,12 +4143,12 @@ function ProjectCompletionChartComponent({ data, width, height }) {
                     return (
                         <div
                             key={line.name}
-                            className="flex items-center text-xs cursor-pointer"
+                            data-legend-item className="flex items-center text-xs cursor-pointer"
                             onClick={() => handleLegendClick(line.name)}
                             onMouseEnter={() => setHoveredProject(line.name)}
                             onMouseLeave={() => setHoveredProject(null)}
                         >
-                            <div className="w-3 h-3 rounded-sm mr-1 flex-shrink-0" style={{ backgroundColor: line.color }}></div>
+                            <div data-legend-swatch className="w-3 h-3 rounded-sm mr-1 flex-shrink-0" style={{ backgroundColor: line.color }}></div>
                             <span className={`transition-opacity duration-200 whitespace-nowrap ${isDimmed ? 'opacity-30' : 'opacity-100'} ${isSelected ? 'font-bold' : ''}`}>{line.name}</span>
                         </div>
                     );
@@ -2698,7 +4159,7 @@ function ProjectCompletionChartComponent({ data, width, height }) {
 }
 
 // --- Team Workload Chart Component (REBUILT WITH INTERACTIVITY) ---
-function TeamWorkloadChartComponent({ data, teams, width, height }) {
+function TeamWorkloadChartComponent({ data, teams, teamOrder, teamColorMap, width, height }) {
     const [tooltip, setTooltip] = useState(null);
     const [hoveredTeam, setHoveredTeam] = useState(null);
     const [selectedTeam, setSelectedTeam] = useState(null);
@@ -2710,15 +4171,9 @@ function TeamWorkloadChartComponent({ data, teams, width, height }) {
 
     const uniqueTeams = useMemo(() => {
         const teamSet = new Set(teams.map(t => t.name));
-        const sorted = [...teamSet].sort((a, b) => {
-            const indexA = TEAM_SORT_ORDER.indexOf(a);
-            const indexB = TEAM_SORT_ORDER.indexOf(b);
-            if (indexA === -1) return 1;
-            if (indexB === -1) return -1;
-            return indexA - indexB;
-        });
-        return sorted.map((name, i) => ({ name, color: TEAM_COLORS[i % TEAM_COLORS.length] }));
-    }, [teams]);
+        const sorted = sortTeamNames([...teamSet], teamOrder);
+        return sorted.map((name, i) => ({ name, color: teamColorMap[name] || TEAM_COLORS[i % TEAM_COLORS.length] }));
+    }, [teams, teamOrder, teamColorMap]);
 
     const { lines, points, minDate, maxDate, maxWorkloadRatio } = useMemo(() => {
         if (!data || data.length === 0) return { lines: [], points: [], minDate: null, maxDate: null, maxWorkloadRatio: 125 };
@@ -2855,12 +4310,12 @@ function TeamWorkloadChartComponent({ data, teams, width, height }) {
                     return (
                         <div
                             key={team.name}
-                            className="flex items-center text-xs cursor-pointer"
+                            data-legend-item className="flex items-center text-xs cursor-pointer"
                             onClick={() => handleLegendClick(team.name)}
                             onMouseEnter={() => setHoveredTeam(team.name)}
                             onMouseLeave={() => setHoveredTeam(null)}
                         >
-                            <div className="w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: team.color }}></div>
+                            <div data-legend-swatch className="w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: team.color }}></div>
                             <span className={`transition-opacity duration-200 ${isDimmed ? 'opacity-30' : 'opacity-100'} ${isSelected ? 'font-bold' : ''}`}>{team.name}</span>
                         </div>
                     )
@@ -3034,14 +4489,14 @@ function PriorityTrendChartComponent({ lines, allDates, width, height, teamColor
                     const isDimmed = (highlightedTaskId || hoveredLine) && !isHighlighted && hoveredLine !== line.taskId;
                     if (isJourneyMode && line.isJourney) {
                         return (
-                            <div key={line.taskId} className="flex items-center text-xs cursor-pointer"
+                            <div key={line.taskId} data-legend-item className="flex items-center text-xs cursor-pointer"
                                 onClick={() => onHighlight && onHighlight(line.taskId)}
                                 onMouseEnter={() => setHoveredLine(line.taskId)}
                                 onMouseLeave={() => setHoveredLine(null)}
                             >
                                 <div className="flex mr-1">
                                     {(line.allTeams || [line.team]).slice(0, 5).map((t, i) => (
-                                        <div key={t} className="w-2.5 h-2.5 rounded-sm border border-white" title={t}
+                                        <div key={t} data-legend-swatch className="w-2.5 h-2.5 rounded-sm border border-white" title={t}
                                             style={{ backgroundColor: teamColorMap[t] || '#6b7280', marginLeft: i > 0 ? '-2px' : 0 }}></div>
                                     ))}
                                 </div>
@@ -3053,12 +4508,12 @@ function PriorityTrendChartComponent({ lines, allDates, width, height, teamColor
                     }
                     const color = teamColorMap[line.team] || '#6b7280';
                     return (
-                        <div key={line.taskId} className="flex items-center text-xs cursor-pointer"
+                        <div key={line.taskId} data-legend-item className="flex items-center text-xs cursor-pointer"
                             onClick={() => onHighlight && onHighlight(line.taskId)}
                             onMouseEnter={() => setHoveredLine(line.taskId)}
                             onMouseLeave={() => setHoveredLine(null)}
                         >
-                            <div className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: color }}></div>
+                            <div data-legend-swatch className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: color }}></div>
                             <span className={`transition-opacity duration-200 ${isDimmed ? 'opacity-30' : 'opacity-100'} ${isHighlighted ? 'font-bold' : ''}`}>
                                 {line.sku}/{line.operation}
                             </span>
@@ -3069,3 +4524,823 @@ function PriorityTrendChartComponent({ lines, allDates, width, height, teamColor
         </div>
     );
 }
+
+// --- Scenario Comparison ---
+// Diffs two scenarios' results: per-job finish dates, weekly team utilization and weekly output.
+// Deltas are B minus A, so a positive days delta means B finishes with more slack.
+function ScenarioComparisonComponent({ nameA, nameB, resultsA, resultsB, teamOrder }) {
+    const comparison = useMemo(() => {
+        const projectsA = resultsA?.summaryData?.project || [];
+        const projectsB = resultsB?.summaryData?.project || [];
+        if (projectsA.length === 0 || projectsB.length === 0) return null;
+
+        const byProjectA = new Map(projectsA.map(p => [p.Project, p]));
+        const byProjectB = new Map(projectsB.map(p => [p.Project, p]));
+        const projectNames = [...new Set([...byProjectA.keys(), ...byProjectB.keys()])];
+        const jobs = projectNames.map(name => {
+            const a = byProjectA.get(name);
+            const b = byProjectB.get(name);
+            return {
+                project: name,
+                store: (a || b).Store,
+                finishA: a?.unfinished ? NOT_FINISHED_LABEL : a?.FinishDate, finishB: b?.unfinished ? NOT_FINISHED_LABEL : b?.FinishDate,
+                lateA: isLateJob(a), lateB: isLateJob(b),
+                varianceA: a?.daysVariance, varianceB: b?.daysVariance,
+                delta: typeof a?.daysVariance === 'number' && typeof b?.daysVariance === 'number' ? b.daysVariance - a.daysVariance : null,
+            };
+        }).sort((x, y) => (x.delta ?? 0) - (y.delta ?? 0) || x.project.localeCompare(y.project));
+
+        const utilLookup = (results) => {
+            const lookup = {};
+            (results?.teamUtilization || []).forEach(({ week, teams }) => teams.forEach(t => { lookup[`${week}|${t.name}`] = Number(t.utilization) || 0; }));
+            return lookup;
+        };
+        const utilA = utilLookup(resultsA);
+        const utilB = utilLookup(resultsB);
+        const weeks = [...new Set([...(resultsA.teamUtilization || []), ...(resultsB.teamUtilization || [])].map(w => w.week))].sort();
+        const teamNames = sortTeamNames([...new Set([...(resultsA.teamUtilization || []), ...(resultsB.teamUtilization || [])].flatMap(w => w.teams.map(t => t.name)))], teamOrder);
+
+        const outputA = new Map((resultsA.weeklyOutput || []).map(w => [w.week, w]));
+        const outputB = new Map((resultsB.weeklyOutput || []).map(w => [w.week, w]));
+        const outputWeeks = [...new Set([...outputA.keys(), ...outputB.keys()])].sort();
+
+        const lateCount = (projects) => projects.filter(isLateJob).length;
+        const totalValue = (results) => (results.weeklyOutput || []).reduce((sum, w) => sum + (w.totalValue || 0), 0);
+
+        return {
+            jobs, weeks, teamNames, utilA, utilB, outputWeeks, outputA, outputB,
+            totals: {
+                lateA: lateCount(projectsA), lateB: lateCount(projectsB),
+                valueA: totalValue(resultsA), valueB: totalValue(resultsB),
+            },
+        };
+    }, [resultsA, resultsB, teamOrder]);
+
+    if (!comparison) {
+        return (
+            <div className="h-40 flex items-center justify-center text-slate-500">
+                <p>Run the schedule in both scenarios to compare them.</p>
+            </div>
+        );
+    }
+
+    const thStyle = "px-3 py-2 text-left text-xs font-medium text-slate-500 uppercase tracking-wider whitespace-nowrap";
+    const deltaClass = (delta) => delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-slate-500';
+    const signed = (n, digits = 0) => `${n > 0 ? '+' : ''}${Number(n).toFixed(digits)}`;
+    const currency = (n) => (n || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+    const { totals } = comparison;
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-2 gap-4 text-sm">
+                <div className="p-3 bg-slate-50 rounded-md">
+                    <span className="text-slate-600">Late jobs</span>
+                    <div className="font-bold text-lg text-slate-800">{totals.lateA} → {totals.lateB} <span className={`text-sm ${deltaClass(totals.lateA - totals.lateB)}`}>({signed(totals.lateB - totals.lateA)})</span></div>
+                </div>
+                <div className="p-3 bg-slate-50 rounded-md">
+                    <span className="text-slate-600">Completed value</span>
+                    <div className="font-bold text-lg text-slate-800">{currency(totals.valueA)} → {currency(totals.valueB)}</div>
+                </div>
+            </div>
+
+            <div>
+                <h4 className="text-sm font-semibold text-slate-700 mb-2">Job Finish Dates</h4>
+                <div className="overflow-auto relative max-h-80 border border-slate-200 rounded-lg">
+                    <table className="min-w-full divide-y divide-slate-200 text-sm">
+                        <thead className="bg-slate-50 sticky top-0">
+                            <tr>
+                                <th className={thStyle}>Job</th>
+                                <th className={thStyle}>{nameA} Finish</th>
+                                <th className={thStyle}>{nameB} Finish</th>
+                                <th className={thStyle}>{nameA} Days +/-</th>
+                                <th className={thStyle}>{nameB} Days +/-</th>
+                                <th className={thStyle}>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-slate-200">
+                            {comparison.jobs.map(job => (
+                                <tr key={job.project} className="hover:bg-slate-50">
+                                    <td className="px-3 py-2 whitespace-nowrap font-medium" title={job.store}>{job.project}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap">{job.finishA || '—'}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap">{job.finishB || '—'}</td>
+                                    <td className={`px-3 py-2 whitespace-nowrap ${job.lateA ? 'text-red-600' : 'text-green-600'}`}>{job.varianceA ?? '—'}</td>
+                                    <td className={`px-3 py-2 whitespace-nowrap ${job.lateB ? 'text-red-600' : 'text-green-600'}`}>{job.varianceB ?? '—'}</td>
+                                    <td className={`px-3 py-2 whitespace-nowrap font-semibold ${deltaClass(job.delta)}`}>{job.delta === null ? '—' : `${signed(job.delta)} days`}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div>
+                <h4 className="text-sm font-semibold text-slate-700 mb-1">Weekly Utilization Change</h4>
+                <p className="text-xs text-slate-500 mb-2">Percentage points, {nameB} minus {nameA}. Hover a cell for both values.</p>
+                <div className="overflow-auto relative max-h-80 border border-slate-200 rounded-lg">
+                    <table className="min-w-full divide-y divide-slate-200 text-xs">
+                        <thead className="bg-slate-50 sticky top-0">
+                            <tr>
+                                <th className={thStyle}>Team</th>
+                                {comparison.weeks.map(week => <th key={week} className={thStyle}>{formatDateForGantt(week)}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-slate-200">
+                            {comparison.teamNames.map(team => (
+                                <tr key={team}>
+                                    <td className="px-3 py-1.5 whitespace-nowrap font-medium">{team}</td>
+                                    {comparison.weeks.map(week => {
+                                        const a = comparison.utilA[`${week}|${team}`] ?? 0;
+                                        const b = comparison.utilB[`${week}|${team}`] ?? 0;
+                                        const delta = b - a;
+                                        return (
+                                            <td key={week} className={`px-3 py-1.5 whitespace-nowrap text-right ${Math.abs(delta) >= 10 ? 'font-semibold' : ''} ${delta === 0 ? 'text-slate-400' : 'text-slate-700'}`} title={`${nameA}: ${a}%  ${nameB}: ${b}%`}>
+                                                {delta === 0 ? '0' : signed(delta)}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div>
+                <h4 className="text-sm font-semibold text-slate-700 mb-2">Weekly Output</h4>
+                <div className="overflow-auto relative max-h-64 border border-slate-200 rounded-lg">
+                    <table className="min-w-full divide-y divide-slate-200 text-sm">
+                        <thead className="bg-slate-50 sticky top-0">
+                            <tr>
+                                <th className={thStyle}>Week Start</th>
+                                <th className={thStyle}>{nameA} Value</th>
+                                <th className={thStyle}>{nameB} Value</th>
+                                <th className={thStyle}>Change</th>
+                                <th className={thStyle}>{nameA} Paid Hrs</th>
+                                <th className={thStyle}>{nameB} Paid Hrs</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-slate-200">
+                            {comparison.outputWeeks.map(week => {
+                                const a = comparison.outputA.get(week);
+                                const b = comparison.outputB.get(week);
+                                const delta = (b?.totalValue || 0) - (a?.totalValue || 0);
+                                return (
+                                    <tr key={week} className="hover:bg-slate-50">
+                                        <td className="px-3 py-2 whitespace-nowrap font-medium">{week}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap">{currency(a?.totalValue)}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap">{currency(b?.totalValue)}</td>
+                                        <td className={`px-3 py-2 whitespace-nowrap font-semibold ${deltaClass(delta)}`}>{delta > 0 ? '+' : ''}{currency(delta)}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap text-slate-600">{(a?.totalHoursWorked || 0).toFixed(1)}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap text-slate-600">{(b?.totalHoursWorked || 0).toFixed(1)}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Team Member Schedule Component ---
+// One calendar row per person, grouped by team: what they work on each working day, their hours, and idle/PTO days
+function PersonScheduleComponent({ view, title, teamColorMap }) {
+    const { days, groups, from, to } = view;
+    if (groups.length === 0) {
+        return <p className="text-sm text-slate-500">No team members match the current filters.</p>;
+    }
+    const statusStyles = {
+        idle: 'bg-red-50 text-red-600',
+        pto: 'bg-amber-50 text-amber-700',
+        off: 'bg-slate-50 text-slate-500',
+        inactive: 'bg-slate-100 text-slate-400',
+        work: '',
+    };
+    const statusLabels = { idle: 'Idle', pto: 'PTO', off: 'Off', inactive: '—' };
+
+    return (
+        <div className="space-y-6">
+            <h3 className="hidden print:block text-lg font-bold">{title ? `${title}: ` : ''}Team Member Schedule, {from} to {to}</h3>
+            {groups.map(({ team, people }) => (
+                <div key={team} className="break-inside-avoid">
+                    <h4 className="flex items-center font-semibold text-slate-700 mb-2">
+                        <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: teamColorMap[team] || '#94a3b8' }}></span>
+                        {team} <span className="ml-2 text-xs font-normal text-slate-500">({people.length} {people.length === 1 ? 'person' : 'people'})</span>
+                    </h4>
+                    <div className="overflow-x-auto border rounded-md">
+                        <table className="min-w-full text-xs border-collapse">
+                            <thead className="bg-slate-100">
+                                <tr>
+                                    <th className="sticky left-0 bg-slate-100 px-2 py-1 text-left font-medium text-slate-500 min-w-[10rem]">Team Member</th>
+                                    {days.map(day => (
+                                        <th key={day} className="px-2 py-1 text-left font-medium text-slate-500 min-w-[7rem]">
+                                            {parseDate(day).toLocaleDateString([], { weekday: 'short' })} {formatDateForGantt(day)}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-200">
+                                {people.map(person => (
+                                    <tr key={person.id} className="align-top">
+                                        <td className="sticky left-0 bg-white px-2 py-1 border-r">
+                                            <div className="font-semibold text-slate-800">{person.name}</div>
+                                            <div className="text-slate-500">{person.hours.toFixed(1)} hrs{person.idleDays > 0 && <span className="text-red-600">, {person.idleDays} idle {person.idleDays === 1 ? 'day' : 'days'}</span>}</div>
+                                        </td>
+                                        {person.calendar.map(day => (
+                                            <td key={day.date} className={`px-2 py-1 border-r ${statusStyles[day.status]}`}>
+                                                {day.status === 'work' ? (
+                                                    <>
+                                                        <div className="font-semibold text-slate-700">{day.hours.toFixed(1)} hrs</div>
+                                                        {day.tasks.map((task, idx) => (
+                                                            <div key={idx} className="truncate max-w-[10rem]" title={`${task.project} / ${task.sku}${task.skuName ? ` (${task.skuName})` : ''} / ${task.operation}: ${task.hours.toFixed(1)} hrs`}>
+                                                                <span className="font-medium">{task.sku}</span> · {task.operation}
+                                                            </div>
+                                                        ))}
+                                                    </>
+                                                ) : (
+                                                    <span className="font-medium">{statusLabels[day.status]}</span>
+                                                )}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// --- Late Job Analysis Component ---
+// "Why is this late?" panel: where the job's work sat waiting, and what each team's delay cost
+function LateJobAnalysisComponent({ analysis, headcountTeams, teamColorMap, isLoading, onAddCapacity, onClose }) {
+    const { project, unfinished, daysLate, dueDate, finishDate, criticalSku, source, operations, teams, unexplainedDays } = analysis;
+    const topTeam = teams.find(t => t.estimatedDaysCost > 0 && headcountTeams.includes(t.team));
+
+    return (
+        <div className="space-y-3 text-sm whitespace-normal">
+            <div className="flex justify-between items-start">
+                <div>
+                    <h4 className="font-bold text-slate-800">Why is {project} late?</h4>
+                    <p className="text-slate-600">
+                        {unfinished
+                            ? `Not finished by the end of the run; its last work was on ${finishDate}, ${daysLate} day(s) after its due date of ${dueDate}.`
+                            : `Finished ${finishDate}, ${daysLate} day(s) after its due date of ${dueDate}.`} The last SKU to finish was <strong>{criticalSku}</strong>, so waits on its operations are what pushed the job out.
+                    </p>
+                </div>
+                <button onClick={onClose} className="text-slate-400 hover:text-slate-600"><XCircle className="w-5 h-5" /></button>
+            </div>
+
+            {operations.length === 0 ? (
+                <p className="text-slate-600">This job never waited on a team once its work was ready. The hands-on hours alone don't fit before the due date; consider an earlier start date.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <h5 className="font-semibold text-slate-700 mb-1">Estimated days lost by team</h5>
+                        <ul className="space-y-1">
+                            {teams.map(t => (
+                                <li key={t.team} className="flex items-center justify-between">
+                                    <span className="flex items-center">
+                                        <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: teamColorMap[t.team] || '#94a3b8' }}></span>
+                                        <span className="font-medium">{t.team}</span>
+                                    </span>
+                                    <span className="text-slate-600">
+                                        {t.estimatedDaysCost > 0 ? <strong className="text-red-700">~{t.estimatedDaysCost} day(s)</strong> : 'off the critical path'}
+                                        <span className="text-xs text-slate-400"> ({t.waitDays} waiting day(s))</span>
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                        {unexplainedDays > 0 && <p className="mt-1 text-xs text-slate-500">{unexplainedDays} late day(s) aren't explained by waiting; the critical SKU's work itself runs past the due date.</p>}
+                        {topTeam && (
+                            <button onClick={() => onAddCapacity(topTeam.team)} disabled={isLoading} className="mt-3 flex items-center px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">
+                                <UserPlus className="w-4 h-4 mr-2" />Add 1 to {topTeam.team} &amp; Rerun
+                            </button>
+                        )}
+                    </div>
+                    <div>
+                        <h5 className="font-semibold text-slate-700 mb-1">Longest waits</h5>
+                        <table className="min-w-full text-xs">
+                            <thead><tr className="text-left text-slate-500"><th className="py-1 pr-2">SKU / Operation</th><th className="py-1 pr-2">Team</th><th className="py-1 pr-2">Days waiting</th><th className="py-1">When</th></tr></thead>
+                            <tbody>
+                                {operations.slice(0, 8).map(op => (
+                                    <tr key={`${op.sku}-${op.operation}`} className={op.critical ? 'font-semibold text-slate-800' : 'text-slate-500'}>
+                                        <td className="py-1 pr-2">{op.sku} · {op.operation}</td>
+                                        <td className="py-1 pr-2">{op.team}</td>
+                                        <td className="py-1 pr-2">{op.waitDays}</td>
+                                        <td className="py-1">{formatDateForGantt(op.firstWait)}{op.lastWait !== op.firstWait ? ` - ${formatDateForGantt(op.lastWait)}` : ''}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <p className="mt-1 text-xs text-slate-400">Bold rows are on the critical SKU. {source === 'gaps' ? 'Estimated from gaps between operations (this run has no daily priority snapshots).' : 'Days with hours remaining but no work logged.'}</p>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Picks the scheduling backend: a preset or any http(s) URL, with a connection test before saving
+function BackendSettingsModal({ currentUrl, health, onSave, onClose }) {
+    const [draft, setDraft] = useState(currentUrl);
+    const [testResult, setTestResult] = useState(null); // { url, ...health } for the last tested draft
+    const testControllerRef = useRef(null);
+    const normalized = normalizeBackendUrl(draft);
+    const preset = BACKEND_PRESETS.find(p => p.url === normalized);
+    const shownHealth = testResult?.url === normalized ? testResult : (normalized === currentUrl ? health : null);
+
+    useEffect(() => () => testControllerRef.current?.abort(), []);
+
+    const handleTest = async () => {
+        if (!normalized) return;
+        testControllerRef.current?.abort();
+        const controller = new AbortController();
+        testControllerRef.current = controller;
+        setTestResult({ url: normalized, status: 'checking' });
+        const result = await checkBackendHealth(normalized, { signal: controller.signal });
+        if (!controller.signal.aborted) setTestResult({ url: normalized, ...result });
+    };
+
+    const described = shownHealth && describeBackendHealth(shownHealth);
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+            <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-lg">
+                <h3 className="text-xl font-bold text-slate-800 flex items-center"><Server className="w-5 h-5 mr-2" />Scheduling Server</h3>
+                <p className="text-sm text-slate-500 mb-4">Runs and optimizations are sent here. The choice is saved in this browser; jobs already running stay on their server.</p>
+                <label className="block text-sm font-medium text-slate-700">Server</label>
+                <select value={preset ? preset.url : 'custom'} onChange={(e) => e.target.value !== 'custom' && setDraft(e.target.value)} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 bg-slate-100 text-sm p-2">
+                    {BACKEND_PRESETS.map(p => <option key={p.url} value={p.url}>{p.label}{p.url === DEFAULT_BACKEND_URL ? ' (default)' : ''}</option>)}
+                    <option value="custom">Custom URL...</option>
+                </select>
+                <label className="block text-sm font-medium text-slate-700 mt-3">URL</label>
+                <input type="text" value={draft} onChange={(e) => setDraft(e.target.value)} placeholder="https://staging-scheduler.example.com" className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 bg-slate-100 text-sm p-2 font-mono" />
+                {!normalized && <p className="text-xs text-red-600 mt-1">Enter a full http:// or https:// URL.</p>}
+                <div className="mt-4 p-3 rounded-md border bg-slate-50 text-sm min-h-[3.5rem]">
+                    {described ? (
+                        <div>
+                            <span className={`inline-flex items-center px-2 py-0.5 border rounded-full text-xs font-semibold ${described.badge}`}><span className={`w-2 h-2 rounded-full mr-1.5 ${described.dot}`}></span>{described.label}</span>
+                            {shownHealth.checkedAt && <span className="text-xs text-slate-500 ml-2">checked {new Date(shownHealth.checkedAt).toLocaleTimeString()}{typeof shownHealth.latencyMs === 'number' ? `, ${shownHealth.latencyMs} ms` : ''}</span>}
+                            {shownHealth.message && <p className="text-xs text-slate-600 mt-1">{shownHealth.message}</p>}
+                        </div>
+                    ) : (
+                        <p className="text-xs text-slate-500">Not tested yet.</p>
+                    )}
+                </div>
+                <div className="flex justify-between items-center mt-6">
+                    <button onClick={handleTest} disabled={!normalized || testResult?.status === 'checking'} className="flex items-center px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold disabled:opacity-50 disabled:cursor-not-allowed"><RefreshCw className="w-4 h-4 mr-2" />Test Connection</button>
+                    <div className="flex space-x-3">
+                        <button onClick={onClose} className="px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">Cancel</button>
+                        <button onClick={() => onSave(normalized)} disabled={!normalized} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">Save</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Import step for uploaded project files: map source columns to scheduler fields, preview the result, and see
+// every row that would be skipped and why
+function ColumnMappingWizard({ pending, onConfirm, onCancel }) {
+    const [mapping, setMapping] = useState(pending.mapping);
+    const [remember, setRemember] = useState(true);
+    const { accepted, rejected } = React.useMemo(() => applyMapping(pending.rows, mapping, { excelDates: pending.excelDates }), [pending.rows, pending.excelDates, mapping]);
+    const missing = missingRequiredFields(mapping);
+    const firstRow = pending.rows[0] || {};
+
+    const handleFieldChange = (key, header) => setMapping(prev => {
+        const { [key]: removed, ...rest } = prev;
+        return header ? { ...rest, [key]: header } : rest;
+    });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+            <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+                <h3 className="text-xl font-bold text-slate-800">Map Columns</h3>
+                <p className="text-sm text-slate-500 mb-4">
+                    {pending.sourceName} &middot; {pending.rows.length} rows. {pending.saved ? 'Using the mapping saved for files with these columns.' : 'Match each field to a column in the file.'}
+                </p>
+                <div className="overflow-y-auto space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                        {MAPPING_FIELDS.map(field => (
+                            <div key={field.key} className="flex items-center space-x-2 text-sm">
+                                <label className="w-32 font-medium text-slate-700">{field.label}{field.required && <span className="text-red-600"> *</span>}</label>
+                                <select value={mapping[field.key] || ''} onChange={(e) => handleFieldChange(field.key, e.target.value)} className={`flex-1 rounded-md border-gray-300 shadow-sm text-sm p-1.5 bg-slate-100 ${field.required && !mapping[field.key] ? 'ring-2 ring-red-300' : ''}`}>
+                                    <option value="">{field.required ? '— choose a column —' : '— not in file —'}</option>
+                                    {pending.headers.map(header => <option key={header} value={header}>{header}</option>)}
+                                </select>
+                                <span className="w-28 text-xs text-slate-400 truncate" title="Value in the first row">{mapping[field.key] ? firstRow[mapping[field.key]] : ''}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <div>
+                        <h4 className="text-sm font-semibold text-slate-700 mb-1">Preview</h4>
+                        <div className="overflow-x-auto border rounded-md">
+                            <table className="min-w-full divide-y divide-slate-200 text-xs">
+                                <thead className="bg-slate-100"><tr>{MAPPING_FIELDS.filter(f => mapping[f.key]).map(f => <th key={f.key} className="px-2 py-1 text-left font-medium text-slate-500 whitespace-nowrap">{f.label}</th>)}</tr></thead>
+                                <tbody className="divide-y divide-slate-200">
+                                    {accepted.slice(0, 5).map((row, idx) => (
+                                        <tr key={idx}>{MAPPING_FIELDS.filter(f => mapping[f.key]).map(f => <td key={f.key} className="px-2 py-1 whitespace-nowrap">{row[f.key]}</td>)}</tr>
+                                    ))}
+                                    {accepted.length === 0 && <tr><td className="px-2 py-2 text-slate-400" colSpan={MAPPING_FIELDS.length}>No rows can be imported with this mapping.</td></tr>}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                    {(rejected.length > 0 || pending.parseErrors.length > 0) && (
+                        <div className="p-3 bg-red-50 rounded-md border border-red-200">
+                            <h4 className="text-sm font-semibold text-red-800 flex items-center mb-2"><AlertTriangle className="w-4 h-4 mr-2" />{rejected.length + pending.parseErrors.length} row(s) will be skipped</h4>
+                            <ul className="max-h-48 overflow-y-auto text-xs text-red-700 font-mono space-y-1">
+                                {pending.parseErrors.map((message, idx) => <li key={`parse-${idx}`}>{message}</li>)}
+                                {rejected.map(row => <li key={row.rowNumber}>Row {row.rowNumber}: {row.reasons.join('; ')}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+                <div className="flex justify-between items-center mt-6">
+                    <label className="flex items-center text-sm text-slate-600"><input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />Remember this mapping for files with these columns</label>
+                    <div className="flex space-x-3">
+                        <button onClick={onCancel} className="px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">Cancel</button>
+                        <button onClick={() => onConfirm({ mapping, accepted, rejected, remember })} disabled={missing.length > 0 || accepted.length === 0} title={missing.length > 0 ? `Map ${missing.map(f => f.label).join(', ')} first` : ''} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">Import {accepted.length} Row(s)</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Picks a team or team member and downloads their assignments as an .ics file, for importing into a calendar app.
+// Re-importing a later export updates the same events.
+function CalendarExportModal({ finalSchedule, teamOrder, onDownload, onClose }) {
+    const [by, setBy] = useState('team');
+    const teams = useMemo(() => {
+        const scheduled = new Set(finalSchedule.map(row => row.Team));
+        return [...teamOrder.filter(team => scheduled.has(team)), ...[...scheduled].filter(team => !teamOrder.includes(team)).sort()];
+    }, [finalSchedule, teamOrder]);
+    const members = useMemo(() => {
+        const byId = new Map();
+        finalSchedule.forEach(row => {
+            if (row.TeamMember && !byId.has(row.TeamMember)) byId.set(row.TeamMember, { id: row.TeamMember, name: row.TeamMemberName || row.TeamMember, team: row.Team });
+        });
+        return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }, [finalSchedule]);
+    const [team, setTeam] = useState(teams[0] || '');
+    const [memberId, setMemberId] = useState(members[0]?.id || '');
+    const member = members.find(m => m.id === memberId);
+    const canDownload = by === 'team' ? Boolean(team) : Boolean(member);
+
+    const handleDownload = () => {
+        if (by === 'team') onDownload({ by: 'team', value: team, label: team });
+        else onDownload({ by: 'member', value: member.id, label: member.name });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+            <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-md">
+                <h3 className="text-xl font-bold text-slate-800 flex items-center"><CalendarDays className="w-5 h-5 mr-2" />Team / Member Calendar</h3>
+                <p className="text-sm text-slate-500 mb-4">One all-day event per job operation, from the first to the last day it is scheduled. Import the file into Outlook, Google Calendar or Apple Calendar; importing a newer export updates the same events.</p>
+                <div className="flex space-x-4 mb-3 text-sm">
+                    <label className="flex items-center"><input type="radio" checked={by === 'team'} onChange={() => setBy('team')} className="mr-2" />Team</label>
+                    <label className="flex items-center"><input type="radio" checked={by === 'member'} onChange={() => setBy('member')} className="mr-2" disabled={members.length === 0} />Team member</label>
+                </div>
+                {by === 'team' ? (
+                    <select value={team} onChange={(e) => setTeam(e.target.value)} className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 bg-slate-100 text-sm p-2">
+                        {teams.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                ) : (
+                    <select value={memberId} onChange={(e) => setMemberId(e.target.value)} className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 bg-slate-100 text-sm p-2">
+                        {members.map(m => <option key={m.id} value={m.id}>{m.name} ({m.team})</option>)}
+                    </select>
+                )}
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">Cancel</button>
+                    <button onClick={handleDownload} disabled={!canDownload} className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed"><Download className="w-4 h-4 mr-2" />Download .ics</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// SVG and PNG downloads of the chart in containerRef, exactly as currently shown (filters, zoom and legend selection).
+// Views that are not drawn as SVG pass offscreen ({ element, width }), a chart to draw off screen and export instead,
+// with a note saying so.
+function ChartDownloadButtons({ containerRef, scheduleName, type, onError, offscreen = null, note = '' }) {
+    const [busy, setBusy] = useState(false);
+    const handleDownload = async (format) => {
+        if ((!offscreen && !containerRef.current) || busy) return;
+        setBusy(true);
+        try {
+            const blob = offscreen
+                ? await captureImageBlob(await renderChartOffscreen(offscreen.element, { width: offscreen.width }), format)
+                : await chartImageBlob(containerRef.current, format);
+            if (!blob) return;
+            const link = document.createElement('a'); link.href = URL.createObjectURL(blob);
+            link.download = buildFilename(scheduleName, type, format) || `${type.replace(/^chart_/, '')}.${format}`;
+            document.body.appendChild(link); link.click(); document.body.removeChild(link);
+        } catch (err) {
+            onError(`Could not export the chart: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+    return (
+        <div className="flex items-center space-x-1" title={note || 'Download this chart as shown'}>
+            {note && <span className="text-xs text-slate-500 mr-1">{note}</span>}
+            <ImageDown className="w-4 h-4 text-slate-400" />
+            {['svg', 'png'].map(format => (
+                <button key={format} onClick={() => handleDownload(format)} disabled={busy} className="px-2 py-0.5 text-xs font-semibold bg-slate-100 text-slate-600 border border-slate-200 rounded hover:bg-slate-200 disabled:opacity-50">{format.toUpperCase()}</button>
+            ))}
+        </div>
+    );
+}
+
+// One row per team, one column per day of the month: available hours, colored where they fall below the team's
+// normal day. Weekends and holidays are greyed out.
+function CapacityCalendarComponent({ calendar, teamColorMap, onSelectDay }) {
+    if (calendar.teams.length === 0) {
+        return <div className="h-24 flex items-center justify-center text-slate-500"><p>Add teams with headcount to see their capacity.</p></div>;
+    }
+    const weekdayLetters = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+    const formatHours = (hours) => String(Number(hours.toFixed(1)));
+    const cellStyle = (cell) => {
+        if (cell.closed) return 'bg-slate-100 text-slate-400';
+        if (cell.reduced) return cell.hours < cell.normalHours * 0.75 ? 'bg-red-100 text-red-700 font-semibold' : 'bg-amber-100 text-amber-800 font-semibold';
+        if (cell.hours > cell.normalHours + 1e-9) return 'bg-green-50 text-green-700';
+        return 'text-slate-700';
+    };
+    return (
+        <div>
+            <div className="overflow-x-auto">
+                <table className="text-xs border-collapse">
+                    <thead>
+                        <tr>
+                            <th className="sticky left-0 bg-white text-left px-2 py-1 font-semibold text-slate-600">Team</th>
+                            {calendar.days.map(day => (
+                                <th key={day.date} className={`px-1 py-1 text-center font-medium min-w-[2.25rem] ${day.weekend || day.holiday ? 'text-slate-400' : 'text-slate-600'}`}>
+                                    <div>{weekdayLetters[day.weekday]}</div><div>{Number(day.date.slice(8))}</div>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {calendar.teams.map(team => (
+                            <tr key={team.name} className="border-t border-slate-100">
+                                <td className="sticky left-0 bg-white px-2 py-1 whitespace-nowrap font-medium text-slate-700">
+                                    <span className="inline-block w-2.5 h-2.5 rounded-full mr-1.5" style={{ backgroundColor: teamColorMap[team.name] || '#94a3b8' }}></span>{team.name}
+                                </td>
+                                {team.cells.map((cell, i) => {
+                                    const day = calendar.days[i];
+                                    const title = cell.closed
+                                        ? `${cell.date}: ${day.holiday ? 'holiday' : 'weekend'}`
+                                        : `${cell.date}: ${formatHours(cell.hours)}h available (${formatHours(cell.effectiveHours)}h after productivity), normal ${formatHours(cell.normalHours)}h${cell.notes.length > 0 ? `\n${cell.notes.join('\n')}` : ''}`;
+                                    return (
+                                        <td key={cell.date} className="p-0.5">
+                                            <button onClick={() => onSelectDay(team.name, cell.date)} disabled={day.weekend} title={title}
+                                                className={`w-full rounded px-1 py-1.5 text-center hover:ring-2 hover:ring-blue-400 disabled:hover:ring-0 disabled:cursor-default ${cellStyle(cell)}`}>
+                                                {cell.closed ? (day.holiday ? 'H' : '') : formatHours(cell.hours)}
+                                            </button>
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-xs text-slate-500">
+                <span className="flex items-center"><span className="w-3 h-3 rounded-sm mr-1.5 bg-amber-100 border border-amber-200"></span>Reduced</span>
+                <span className="flex items-center"><span className="w-3 h-3 rounded-sm mr-1.5 bg-red-100 border border-red-200"></span>Below 75% of normal</span>
+                <span className="flex items-center"><span className="w-3 h-3 rounded-sm mr-1.5 bg-green-50 border border-green-200"></span>Above normal</span>
+                <span className="flex items-center"><span className="w-3 h-3 rounded-sm mr-1.5 bg-slate-100 border border-slate-200"></span>Weekend / holiday (H)</span>
+            </div>
+        </div>
+    );
+}
+
+// Details for one team and day of the capacity calendar, with quick ways to add PTO, a holiday or an hours override
+function CapacityDayModal({ team, cell, isHybridTeam, productivity, onAddPto, onToggleHoliday, onAddHoursOverride, onClose }) {
+    const isHoliday = cell.notes.includes('Holiday');
+    const onPto = new Set(cell.notes.filter(n => n.startsWith('PTO: ')).map(n => n.slice(5)));
+    const available = team.members.filter(m => (!m.activeFrom || m.activeFrom <= cell.date) && (!m.activeUntil || cell.date < m.activeUntil) && !onPto.has(m.name));
+    const [ptoMember, setPtoMember] = useState(available[0]?.name || '');
+    const [overrideHours, setOverrideHours] = useState('');
+    const hours = parseFloat(overrideHours);
+    const date = parseDate(cell.date);
+
+    useEffect(() => {
+        if (!available.some(m => m.name === ptoMember)) setPtoMember(available[0]?.name || '');
+    }, [available, ptoMember]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+            <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-md">
+                <h3 className="text-xl font-bold text-slate-800 flex items-center"><CalendarDays className="w-5 h-5 mr-2" />{team.name}</h3>
+                <p className="text-sm text-slate-500 mb-4">{date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
+                {cell.closed ? (
+                    <p className="text-sm text-slate-700">Holiday: no team works this day.</p>
+                ) : (
+                    <div className="text-sm text-slate-700 space-y-1">
+                        <p><strong>{cell.hours.toFixed(1)}h</strong> available of a normal {cell.normalHours.toFixed(1)}h ({cell.effectiveHours.toFixed(1)}h at {Math.round(productivity * 100)}% productivity)</p>
+                        {cell.notes.length > 0 && <ul className="list-disc pl-5 text-xs text-slate-600">{cell.notes.map(note => <li key={note}>{note}</li>)}</ul>}
+                    </div>
+                )}
+                <div className="mt-4 space-y-3 border-t pt-4">
+                    {!cell.closed && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-600">PTO for</label>
+                            <div className="flex items-center gap-2 mt-1">
+                                <select value={ptoMember} onChange={e => setPtoMember(e.target.value)} disabled={available.length === 0} className="flex-grow rounded-md border-gray-300 shadow-sm text-sm p-2 bg-slate-100">
+                                    {available.length === 0 ? <option value="">Nobody available</option> : available.map(m => <option key={m.id} value={m.name}>{m.name}</option>)}
+                                </select>
+                                <button onClick={() => onAddPto(ptoMember, cell.date)} disabled={!ptoMember} className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-semibold disabled:bg-gray-400">Add PTO</button>
+                            </div>
+                        </div>
+                    )}
+                    {!cell.closed && !isHybridTeam && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-600">Hours per person for {team.name} this day</label>
+                            <div className="flex items-center gap-2 mt-1">
+                                <input type="number" min="0" step="0.5" value={overrideHours} onChange={e => setOverrideHours(e.target.value)} placeholder="e.g. 4" className="flex-grow rounded-md border-gray-300 shadow-sm text-sm p-2 bg-slate-100" />
+                                <button onClick={() => { onAddHoursOverride(team.name, cell.date, hours); setOverrideHours(''); }} disabled={Number.isNaN(hours) || hours < 0} className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-semibold disabled:bg-gray-400">Add Override</button>
+                            </div>
+                        </div>
+                    )}
+                    <button onClick={() => onToggleHoliday(cell.date)} className="w-full px-3 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 text-sm font-semibold">{isHoliday ? 'Remove Holiday' : 'Mark as Holiday (all teams)'}</button>
+                </div>
+                <div className="flex justify-end mt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-slate-200 text-slate-700 rounded-md hover:bg-slate-300 font-semibold">Done</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Review of an imported time off file. Matched PTO and new holidays are added on confirm; PTO for names that
+// don't match anyone is listed separately and only added when ticked.
+function TimeOffImportModal({ pending, onConfirm, onCancel }) {
+    const [selectedUnmatched, setSelectedUnmatched] = useState([]);
+    const { fileName, ptoEntries, holidays, unmatched, duplicates, warnings } = pending;
+    const describe = (entry) => [
+        entry.endDate ? `${entry.date} to ${entry.endDate}` : entry.date,
+        entry.repeat && entry.repeat !== 'none' ? (entry.repeat === 'weekly' ? 'every week' : 'every 2 weeks') : null,
+        entry.hours ? `${entry.hours}h` : null,
+    ].filter(Boolean).join(', ');
+    const toggleUnmatched = (index) => setSelectedUnmatched(prev => prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]);
+    const total = ptoEntries.length + holidays.length + selectedUnmatched.length;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+            <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <h3 className="text-xl font-bold text-slate-800 flex items-center"><CalendarDays className="w-5 h-5 mr-2" />Import Time Off</h3>
+                <p className="text-sm text-slate-500 mb-4">{fileName} &middot; {ptoEntries.length} PTO entr{ptoEntries.length === 1 ? 'y' : 'ies'} and {holidays.length} holiday(s) to add{duplicates > 0 ? `; ${duplicates} already entered and skipped` : ''}.</p>
+                <div className="overflow-y-auto space-y-4">
+                    {unmatched.length > 0 && (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                            <h4 className="text-sm font-semibold text-red-800 flex items-center mb-1"><AlertTriangle className="w-4 h-4 mr-2" />{unmatched.length} entr{unmatched.length === 1 ? 'y doesn\'t' : 'ies don\'t'} match a known team member</h4>
+                            <p className="text-xs text-red-700 mb-2">Tick an entry to add it under the name as written, or fix the name in the file and import again.</p>
+                            <ul className="space-y-1 text-sm text-red-800">{unmatched.map((u, index) => (
+                                <li key={index}><label className="flex items-center"><input type="checkbox" checked={selectedUnmatched.includes(index)} onChange={() => toggleUnmatched(index)} className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500" /><span className="font-medium">{u.name || '(no name)'}</span><span className="ml-2 text-xs text-red-600">{describe(u.entry)} &middot; {u.source}</span></label></li>
+                            ))}</ul>
+                        </div>
+                    )}
+                    {ptoEntries.length > 0 && (
+                        <table className="min-w-full text-sm border rounded-md">
+                            <thead className="bg-slate-50"><tr><th className="px-3 py-2 text-left font-medium text-slate-600">Member</th><th className="px-3 py-2 text-left font-medium text-slate-600">Time off</th></tr></thead>
+                            <tbody className="divide-y divide-slate-100">{ptoEntries.map((entry, index) => (
+                                <tr key={index}><td className="px-3 py-1.5">{entry.memberName}</td><td className="px-3 py-1.5 text-slate-600">{describe(entry)}</td></tr>
+                            ))}</tbody>
+                        </table>
+                    )}
+                    {holidays.length > 0 && <p className="text-sm text-slate-700"><span className="font-medium">Holidays:</span> {holidays.join(', ')}</p>}
+                    {warnings.length > 0 && (
+                        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                            <h4 className="text-sm font-semibold text-yellow-800 mb-1">{warnings.length} item(s) couldn't be read</h4>
+                            <ul className="list-disc list-inside text-xs text-yellow-800">{warnings.map((w, idx) => <li key={idx}>{w}</li>)}</ul>
+                        </div>
+                    )}
+                </div>
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button onClick={onCancel} className="px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">Cancel</button>
+                    <button onClick={() => onConfirm(selectedUnmatched)} disabled={total === 0} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">Add Time Off</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Edits one directory entry. Blank efficiencies fall back: an operation to the member's overall efficiency, and
+// the overall efficiency to the sheet's (or 100%).
+function MemberDirectoryModal({ member, entry, existingIds, mapping, suggestedSkills, onSave, onReset, onClose }) {
+    const toPercent = (value) => (Number(value) > 0 ? String(Math.round(Number(value) * 1000) / 10) : '');
+    const fromPercent = (value) => (Number(value) > 0 ? Number(value) / 100 : null);
+    const [id, setId] = useState(member?.id || '');
+    const [name, setName] = useState(entry?.name || '');
+    const [efficiency, setEfficiency] = useState(toPercent(entry?.efficiency));
+    const [operations, setOperations] = useState(() => Object.fromEntries(Object.entries(entry?.operations || {}).map(([op, value]) => [op, toPercent(value)])));
+    const [skills, setSkills] = useState((entry?.skills || []).join(', '));
+    const isNew = !member;
+    const fieldStyles = 'mt-1 w-full rounded-md border-gray-300 shadow-sm text-sm p-2 bg-slate-100';
+    const trimmedId = id.trim();
+    const idTaken = isNew && existingIds.includes(trimmedId);
+
+    const operationsByTeam = useMemo(() => {
+        const groups = new Map();
+        mapping.filter(m => m.operation).forEach(m => {
+            if (!groups.has(m.team)) groups.set(m.team, []);
+            if (!groups.get(m.team).includes(m.operation)) groups.get(m.team).push(m.operation);
+        });
+        return [...groups.entries()];
+    }, [mapping]);
+
+    const handleSave = () => {
+        onSave(trimmedId, {
+            name: name.trim(),
+            efficiency: fromPercent(efficiency),
+            operations: Object.fromEntries(Object.entries(operations).map(([op, value]) => [op, fromPercent(value)]).filter(([, value]) => value)),
+            skills: parseSkills(skills),
+        });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+            <div className="bg-white p-6 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <h3 className="text-xl font-bold text-slate-800 flex items-center"><User className="w-5 h-5 mr-2" />{isNew ? 'Add Team Member' : member.name}</h3>
+                <p className="text-sm text-slate-500 mb-4">{isNew ? 'Use the member number from the efficiency sheet, or the name used in roster changes and hybrid workers.' : `Member ${member.id}${member.sheetEfficiency ? ` · sheet efficiency ${formatEfficiency(member.sheetEfficiency)}` : ''}`}</p>
+                <div className="overflow-y-auto space-y-4 pr-1">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        {isNew && (
+                            <label className="text-xs text-slate-500">Member number or name
+                                <input type="text" value={id} onChange={e => setId(e.target.value)} className={fieldStyles} />
+                                {idTaken && <span className="text-red-600">Already in the directory</span>}
+                            </label>
+                        )}
+                        <label className="text-xs text-slate-500">Display name<input type="text" placeholder={member?.name || 'Same as above'} value={name} onChange={e => setName(e.target.value)} className={fieldStyles} /></label>
+                        <label className="text-xs text-slate-500">Overall efficiency %<input type="number" min="1" step="1" placeholder={member?.sheetEfficiency ? toPercent(member.sheetEfficiency) : '100'} value={efficiency} onChange={e => setEfficiency(e.target.value)} className={fieldStyles} /></label>
+                    </div>
+                    <label className="block text-xs text-slate-500">Skill tags (comma separated)
+                        <input type="text" list="member-skill-suggestions" placeholder="e.g. Paint, Scenic Paint" value={skills} onChange={e => setSkills(e.target.value)} className={fieldStyles} />
+                        <datalist id="member-skill-suggestions">{[...new Set(suggestedSkills)].map(skill => <option key={skill} value={skill} />)}</datalist>
+                    </label>
+                    <div>
+                        <h4 className="text-sm font-semibold text-slate-700 mb-1">Efficiency by operation %</h4>
+                        {operationsByTeam.length === 0 && <p className="text-sm text-slate-400">Map operations to teams to set per-operation efficiency.</p>}
+                        {operationsByTeam.map(([team, ops]) => (
+                            <div key={team} className="mb-3">
+                                <div className="text-xs font-medium text-slate-500 mb-1">{team}</div>
+                                <div className="grid grid-cols-2 md:grid-cols-3 gap-2">{ops.map(op => (
+                                    <label key={op} className="text-xs text-slate-500" title={op}><span className="block truncate">{op}</span>
+                                        <input type="number" min="1" step="1" placeholder={efficiency || toPercent(member?.efficiency) || '100'} value={operations[op] || ''} onChange={e => setOperations(prev => ({ ...prev, [op]: e.target.value }))} className={fieldStyles} />
+                                    </label>
+                                ))}</div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+                <div className="flex justify-between items-center mt-6">
+                    <div>{!isNew && entry && <button onClick={() => { onReset(member.id); onClose(); }} className="text-sm font-medium text-red-600 hover:text-red-800">Discard edits</button>}</div>
+                    <div className="flex space-x-3">
+                        <button onClick={onClose} className="px-4 py-2 bg-white text-slate-700 border border-slate-300 rounded-md hover:bg-slate-100 font-semibold">Cancel</button>
+                        <button onClick={handleSave} disabled={!trimmedId || idTaken} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">Save</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Planned versus actual split of the hybrid workers' hours for one week, as shares of each total. Results from
+// servers that don't report a plan show the actual split only.
+function HybridSplitComparison({ actual, planned, teamOrder, teamColorMap }) {
+    const actualTotal = Object.values(actual || {}).reduce((sum, h) => sum + Number(h), 0);
+    const plannedTotal = Object.values(planned || {}).reduce((sum, h) => sum + Number(h), 0);
+    if (actualTotal <= 0 && plannedTotal <= 0) return null;
+    const share = (hours, total) => (total > 0 ? Math.round((Number(hours || 0) / total) * 100) : 0);
+    const teams = [...new Set([...Object.keys(actual || {}), ...Object.keys(planned || {})])]
+        .sort((a, b) => teamOrder.indexOf(a) - teamOrder.indexOf(b));
+
+    return (
+        <div className="mt-1 space-y-1">
+            {plannedTotal > 0 && (
+                <div className="flex items-center gap-2">
+                    <span className="text-[10px] uppercase tracking-wide text-slate-400 w-12">Planned</span>
+                    <div className="flex flex-1 h-1.5 rounded-full overflow-hidden bg-slate-200">
+                        {teams.map(team => <div key={team} className="h-full opacity-60" style={{ width: `${share(planned[team], plannedTotal)}%`, backgroundColor: teamColorMap[team] || '#94a3b8' }} title={`${team}: ${share(planned[team], plannedTotal)}% planned`}></div>)}
+                    </div>
+                </div>
+            )}
+            <div className="flex flex-wrap gap-x-3 text-xs text-slate-500">
+                {teams.map(team => (
+                    <span key={team} className="flex items-center">
+                        <span className="w-2 h-2 rounded-full mr-1" style={{ backgroundColor: teamColorMap[team] || '#94a3b8' }}></span>
+                        {team} {share(actual?.[team], actualTotal)}%{plannedTotal > 0 && <span className="ml-1 text-slate-400">(plan {share(planned[team], plannedTotal)}%)</span>}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,82 @@
+// Which scheduling backend the app talks to. The build still picks a default (REACT_APP_API_URL, or localhost
+// when served from localhost), but a URL chosen in the settings panel is kept in localStorage and wins, so a
+// deployed build can be pointed at a staging or local server without rebuilding.
+
+const BACKEND_URL_KEY = 'scheduler-backend-url';
+const PRODUCTION_URL = 'https://production-scheduler-backend-aepw.onrender.com';
+const LOCAL_URL = 'http://localhost:3001';
+
+export const DEFAULT_BACKEND_URL = process.env.REACT_APP_API_URL || (window.location.hostname === 'localhost' ? LOCAL_URL : PRODUCTION_URL);
+
+// Offered in the settings panel; any other http(s) URL can be entered by hand
+export const BACKEND_PRESETS = [
+    { label: 'Production', url: PRODUCTION_URL },
+    { label: 'Local server / mock (port 3001)', url: LOCAL_URL },
+    ...(process.env.REACT_APP_API_URL && ![PRODUCTION_URL, LOCAL_URL].includes(process.env.REACT_APP_API_URL)
+        ? [{ label: 'Build default', url: process.env.REACT_APP_API_URL }]
+        : []),
+];
+
+// Returns the URL without trailing slashes, or null if it isn't an absolute http(s) URL
+export const normalizeBackendUrl = (value) => {
+    const trimmed = String(value || '').trim().replace(/\/+$/, '');
+    try {
+        const url = new URL(trimmed);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? trimmed : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+export const loadBackendUrl = () => {
+    try {
+        return normalizeBackendUrl(window.localStorage.getItem(BACKEND_URL_KEY)) || DEFAULT_BACKEND_URL;
+    } catch (err) {
+        return DEFAULT_BACKEND_URL;
+    }
+};
+
+// Saving the build default clears the override, so a later change to the default is picked up
+export const saveBackendUrl = (url) => {
+    try {
+        if (url === DEFAULT_BACKEND_URL) window.localStorage.removeItem(BACKEND_URL_KEY);
+        else window.localStorage.setItem(BACKEND_URL_KEY, url);
+    } catch (err) {
+        // Storage disabled: the choice lasts until the page is reloaded
+    }
+};
+
+// GET /api/health. Resolves (never rejects) with { status: 'ok' | 'error' | 'unreachable', version, message,
+// latencyMs, checkedAt }. Servers that answer 200 without a JSON body still count as healthy, and so do servers
+// without a health endpoint (404 or 405): they are reachable, their version just isn't known.
+export const checkBackendHealth = async (baseUrl, { timeoutMs = 8000, signal } = {}) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const started = Date.now();
+    const result = (status, details = {}) => ({ status, version: null, message: '', latencyMs: Date.now() - started, checkedAt: new Date().toISOString(), ...details });
+    try {
+        const response = await fetch(`${baseUrl}/api/health`, { signal: controller.signal, cache: 'no-store' });
+        const body = await response.json().catch(() => ({}));
+        if (response.status === 404 || response.status === 405) {
+            return result('ok', { message: 'The server has no health endpoint; version unknown.' });
+        }
+        if (!response.ok) {
+            // A sleeping host answers with a gateway error until it has woken up
+            const status = [502, 503, 504].includes(response.status) ? 'unreachable' : 'error';
+            return result(status, { message: body.error || `Health check answered with status ${response.status}.` });
+        }
+        const version = body.version || body.commit || null;
+        if (body.status && !['ok', 'healthy', 'up'].includes(String(body.status).toLowerCase())) {
+            return result('error', { version, message: body.message || `Server reports status '${body.status}'.` });
+        }
+        return result('ok', { version, message: body.mock ? 'Mock server' : '' });
+    } catch (err) {
+        const message = controller.signal.aborted && !signal?.aborted ? `No response after ${Math.round(timeoutMs / 1000)}s.` : err.message;
+        return result('unreachable', { message });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
@@ -0,0 +1,236 @@
+import { parseDate, addDays, toDateKey } from './dateUtils';
+
+// Working calendar and team roster for the in-browser scheduling engine: who is available on a given day,
+// and for how many hours. Dates are local YYYY-MM-DD keys throughout.
+
+export const parseList = (value) => new Set(String(value || '').split(',').map(v => v.trim()).filter(Boolean));
+
+export const isWorkingDay = (date, holidays) => date.getDay() !== 0 && date.getDay() !== 6 && !holidays.has(toDateKey(date));
+
+// Monday of the date's week, used to bucket weekly reports
+export const weekStartKey = (date) => toDateKey(addDays(date, -((date.getDay() + 6) % 7)));
+
+// Team of each known member id (from the efficiency sheet and name map): the sheet's team column when it has
+// one, else the team named by an id of the form `${team}-${n}`. Ids with neither aren't placed on a team.
+const namedMembersByTeam = ({ teamNames, teamMemberTeamMap = {}, teamMemberNameMap = {}, efficiencyData = {} }) => {
+    const byTeam = new Map(teamNames.map(name => [name, []]));
+    const ids = [...new Set([...Object.keys(teamMemberNameMap), ...Object.keys(efficiencyData), ...Object.keys(teamMemberTeamMap)])];
+    ids.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).forEach(id => {
+        const team = teamMemberTeamMap[id] || teamNames.find(name => id.startsWith(`${name}-`) && /^\d+$/.test(id.slice(name.length + 1)));
+        if (byTeam.has(team)) byTeam.get(team).push(id);
+    });
+    return byTeam;
+};
+
+// One entry per person. Base headcount is filled with the team's known members first, then with generic
+// `${team}-${n}` slots (a fractional count adds a part-time member); roster changes add or retire members from
+// their dates, and hybrid workers can work several teams. Efficiency and display names come from the efficiency
+// data when the member id has an entry; per-operation efficiency and skill tags come from the member directory.
+export const buildRoster = ({ teamDefs, teamMemberChanges = [], hybridWorkers = [], efficiencyData = {}, teamMemberNameMap = {}, teamMemberTeamMap = {}, operationEfficiency = {}, memberSkills = {}, hybridTeamName = 'Hybrid' }) => {
+    const member = (id, team, extra = {}) => ({
+        id,
+        name: teamMemberNameMap[id] || id,
+        team,
+        teams: [team],
+        fte: 1,
+        efficiency: Number(efficiencyData[id]) > 0 ? Number(efficiencyData[id]) : 1,
+        operationEfficiency: operationEfficiency[id] || {},
+        skills: memberSkills[id] || [],
+        activeFrom: null,
+        activeUntil: null,
+        ...extra,
+    });
+
+    const roster = [];
+    const headcounts = teamDefs?.headcounts || [];
+    const named = namedMembersByTeam({ teamNames: headcounts.map(t => t.name), teamMemberTeamMap, teamMemberNameMap, efficiencyData });
+    headcounts.forEach(({ name, count }) => {
+        const headcount = Math.max(0, Number(count) || 0);
+        const ids = named.get(name) || [];
+        const used = new Set(ids);
+        let slot = 0;
+        for (let i = 0; i < Math.ceil(headcount); i++) {
+            const fte = Math.min(1, headcount - i);
+            if (i < ids.length) {
+                roster.push(member(ids[i], name, { fte }));
+                continue;
+            }
+            do slot += 1; while (used.has(`${name}-${slot}`));
+            roster.push(member(`${name}-${slot}`, name, { fte, generic: true }));
+        }
+    });
+
+    [...teamMemberChanges]
+        .filter(c => c.name && c.team && parseDate(c.date))
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+        .forEach(change => {
+            if (change.type === 'Starts') {
+                roster.push(member(change.name, change.team, { name: change.name, activeFrom: change.date }));
+                return;
+            }
+            // Leaves: retire the named person, or else one still-active generic member of the team
+            const leaving = roster.find(m => m.team === change.team && (m.name === change.name || m.id === change.name) && !m.activeUntil)
+                || [...roster].reverse().find(m => m.team === change.team && !m.activeUntil && m.generic);
+            if (leaving) leaving.activeUntil = change.date;
+        });
+
+    normalizeHybridWorkers(hybridWorkers).filter(w => w.name).forEach(worker => {
+        const assignments = worker.teams
+            .filter(t => t.team)
+            .map((t, i) => ({
+                team: t.team,
+                target: Number(t.target) > 0 ? Number(t.target) / 100 : 0,
+                priority: Number(t.priority) > 0 ? Number(t.priority) : i + 1,
+                startDate: t.startDate || '',
+                endDate: t.endDate || '',
+            }))
+            .sort((a, b) => a.priority - b.priority);
+        const teams = [...new Set(assignments.map(a => a.team))];
+        roster.push(member(worker.name, hybridTeamName, { name: worker.name, teams, assignments, hybrid: true }));
+    });
+    return roster;
+};
+
+// Hybrid workers list the teams they can work as { team, target, priority, startDate, endDate }: target is the
+// percentage of their hours aimed at the team (blank for none), priority orders the teams (1 first) and the
+// optional dates bound when the team is eligible. Entries saved before this have primaryTeam/secondaryTeam.
+export const normalizeHybridWorkers = (workers = []) => workers.map(worker => {
+    if (Array.isArray(worker.teams)) return worker;
+    const { primaryTeam, secondaryTeam, ...rest } = worker;
+    const teams = [...new Set([primaryTeam, secondaryTeam].filter(Boolean))];
+    return { ...rest, teams: teams.map((team, i) => ({ team, target: '', priority: i + 1, startDate: '', endDate: '' })) };
+});
+
+// A member's teams on a date, highest priority first. Regular members always have just their own team.
+export const eligibleAssignments = (member, dateKey) => (member.assignments
+    ? member.assignments.filter(a => (!a.startDate || a.startDate <= dateKey) && (!a.endDate || dateKey <= a.endDate))
+    : member.teams.map(team => ({ team, target: 0 })));
+
+const nameKey = (name) => String(name || '').trim().toLowerCase();
+
+// Open-ended repeating PTO is expanded this far past its first day
+const OPEN_ENDED_REPEAT_DAYS = 365;
+// Guards against a mistyped year turning one row into thousands of days
+const MAX_PTO_SPAN_DAYS = 3 * 366;
+const REPEAT_STEP_DAYS = { none: 1, weekly: 7, biweekly: 14 };
+
+// PTO rows are { memberName, date, endDate?, hours?, repeat? }. Without repeat, date..endDate is a range of days
+// off; with repeat 'weekly' or 'biweekly', date starts a series on its weekday that runs through endDate (a year
+// when left open). hours is the time off on each day for partial days; empty means the whole day.
+// Returns one { memberName, date, hours? } per weekday off, hours only for partial days. Already expanded rows
+// come back unchanged, so the scheduler payload can carry the expanded list.
+export const expandPtoEntries = (entries = []) => entries.flatMap(entry => {
+    const first = parseDate(entry.date);
+    if (!entry.memberName || !first) return [];
+    const step = REPEAT_STEP_DAYS[entry.repeat] || 1;
+    const end = parseDate(entry.endDate) || (step > 1 ? addDays(first, OPEN_ENDED_REPEAT_DAYS) : first);
+    const last = end < addDays(first, MAX_PTO_SPAN_DAYS) ? end : addDays(first, MAX_PTO_SPAN_DAYS);
+    const hours = Number(entry.hours) > 0 ? Number(entry.hours) : null;
+    const days = [];
+    for (let date = first; date <= last; date = addDays(date, step)) {
+        if (date.getDay() === 0 || date.getDay() === 6) continue;
+        days.push({ memberName: entry.memberName, date: toDateKey(date), ...(hours ? { hours } : {}) });
+    }
+    return days;
+});
+
+// Weekly shift templates: hours per weekday, Sunday first. Weekend hours are kept for completeness but the
+// schedule only uses weekdays.
+export const SHIFT_PRESETS = [
+    { label: '5 x 8', hours: [0, 8, 8, 8, 8, 8, 0] },
+    { label: '4 x 10 (Mon-Thu)', hours: [0, 10, 10, 10, 10, 0, 0] },
+    { label: '4 x 10 (Tue-Fri)', hours: [0, 0, 10, 10, 10, 10, 0] },
+    { label: '9/80 (every Friday short)', hours: [0, 9, 9, 9, 9, 4, 0] },
+];
+
+// Builds a function (member, dateKey) => { hours, reason, ... } giving the hours that person is scheduled to work,
+// before productivity, and why they differ from a normal day: 'not-started', 'left', 'pto', 'shift' or
+// 'override'; ptoHours is set for partial-day PTO.
+//
+// Shift patterns are { appliesTo: 'member' | 'team', name, hours: [Sun..Sat], startDate, endDate? }. A day's
+// hours come from the person's own pattern, else a work hour override for their team, else their team's
+// pattern, else the standard day; partial PTO is then taken off that.
+export const createAvailabilityExplainer = ({ params, ptoEntries = [], workHourOverrides = [], shiftPatterns = [] }) => {
+    const hoursPerDay = Number(params.hoursPerDay) || 8;
+    const ptoHours = new Map(); // name|date -> hours off, Infinity for a full day
+    expandPtoEntries(ptoEntries).forEach(p => {
+        const key = `${nameKey(p.memberName)}|${p.date}`;
+        ptoHours.set(key, p.hours ? (ptoHours.get(key) || 0) + p.hours : Infinity);
+    });
+    const overrides = workHourOverrides
+        .map(o => ({ ...o, hours: Number(o.hours) }))
+        .filter(o => o.team && !Number.isNaN(o.hours) && o.startDate && o.endDate);
+    const patterns = shiftPatterns
+        .filter(p => p.name && Array.isArray(p.hours) && p.hours.length === 7 && p.startDate)
+        .map(p => ({ ...p, hours: p.hours.map(h => Math.max(0, Number(h) || 0)) }));
+    const covers = (entry, dateKey) => entry.startDate <= dateKey && (!entry.endDate || dateKey <= entry.endDate);
+
+    return (member, dateKey) => {
+        if (member.activeFrom && dateKey < member.activeFrom) return { hours: 0, reason: 'not-started' };
+        if (member.activeUntil && dateKey >= member.activeUntil) return { hours: 0, reason: 'left' };
+        const off = ptoHours.get(`${nameKey(member.name)}|${dateKey}`) || 0;
+        if (off === Infinity) return { hours: 0, reason: 'pto' };
+
+        const weekday = parseDate(dateKey).getDay();
+        const memberShift = patterns.find(p => p.appliesTo === 'member' && nameKey(p.name) === nameKey(member.name) && covers(p, dateKey));
+        const override = !memberShift && overrides.find(o => member.teams.includes(o.team) && covers(o, dateKey));
+        const teamShift = !memberShift && !override && patterns.find(p => p.appliesTo === 'team' && member.teams.includes(p.name) && covers(p, dateKey));
+        const shift = memberShift || teamShift || null;
+        let result = { hours: hoursPerDay * member.fte, reason: null };
+        if (shift) result = { hours: shift.hours[weekday] * member.fte, reason: 'shift', shift };
+        else if (override) result = { hours: override.hours * member.fte, reason: 'override', override };
+        if (off > 0) result = { ...result, hours: Math.max(0, result.hours - off), ptoHours: off };
+        return result;
+    };
+};
+
+// Builds a function (member, dateKey) => hours that person is scheduled to work, before productivity
+export const createAvailability = (inputs) => {
+    const explain = createAvailabilityExplainer(inputs);
+    return (member, dateKey) => explain(member, dateKey).hours;
+};
+
+// Daily available hours per team from fromKey to toKey (inclusive), from the same roster and availability rules
+// the engine schedules with. A team's normal hours are its base headcount (and hybrid workers) at the standard
+// day length; cells below that are flagged as reduced, with notes saying why. Weekends and holidays are closed.
+export const buildCapacityCalendar = (inputs, { from, to, hybridTeamName = 'Hybrid' }) => {
+    const holidays = parseList(inputs.params.holidays);
+    const hoursPerDay = Number(inputs.params.hoursPerDay) || 8;
+    const productivity = Number(inputs.params.productivityAssumption) || 1;
+    const roster = buildRoster({ ...inputs, hybridTeamName });
+    const explain = createAvailabilityExplainer(inputs);
+
+    const days = [];
+    for (let date = parseDate(from); date && toDateKey(date) <= to; date = addDays(date, 1)) {
+        const key = toDateKey(date);
+        days.push({ date: key, weekday: date.getDay(), weekend: date.getDay() === 0 || date.getDay() === 6, holiday: holidays.has(key) });
+    }
+
+    const teamNames = [...(inputs.teamDefs?.headcounts || []).map(t => t.name), hybridTeamName]
+        .filter(name => roster.some(m => m.team === name));
+    const teams = teamNames.map(name => {
+        const members = roster.filter(m => m.team === name);
+        const normalHours = members.filter(m => !m.activeFrom).reduce((sum, m) => sum + hoursPerDay * m.fte, 0);
+        const cells = days.map(day => {
+            if (day.weekend || day.holiday) {
+                return { date: day.date, closed: true, hours: 0, normalHours: 0, effectiveHours: 0, reduced: false, notes: day.holiday ? ['Holiday'] : [] };
+            }
+            let hours = 0;
+            const notes = new Set();
+            members.forEach(member => {
+                const availability = explain(member, day.date);
+                hours += availability.hours;
+                if (availability.reason === 'pto') notes.add(`PTO: ${member.name}`);
+                if (availability.ptoHours) notes.add(`Partial PTO: ${member.name} (${availability.ptoHours}h)`);
+                if (availability.reason === 'left') notes.add(`Left: ${member.name}`);
+                if (availability.reason === 'override') notes.add(`${availability.override.team} hours override: ${availability.override.hours}h`);
+                if (availability.reason === 'shift') {
+                    notes.add(availability.shift.appliesTo === 'team' ? `${availability.shift.name} shift pattern` : `Shift pattern: ${member.name}`);
+                }
+            });
+            return { date: day.date, closed: false, hours, normalHours, effectiveHours: hours * productivity, reduced: hours < normalHours - 1e-9, notes: [...notes] };
+        });
+        return { name, members: members.map(({ id, name: memberName, activeFrom, activeUntil }) => ({ id, name: memberName, activeFrom, activeUntil })), cells };
+    });
+    return { days, teams };
+};
@@ -0,0 +1,119 @@
+import { buildCapacityCalendar, expandPtoEntries, createAvailability, buildRoster, normalizeHybridWorkers, eligibleAssignments } from './capacity';
+
+const inputs = (overrides = {}) => ({
+    params: { hoursPerDay: 8, productivityAssumption: 0.5, holidays: '2025-07-04' },
+    teamDefs: { headcounts: [{ name: 'Paint', count: 2 }, { name: 'Assembly', count: 1 }] },
+    teamMemberNameMap: { 'Paint-1': 'Pat' },
+    ...overrides,
+});
+
+describe('buildCapacityCalendar', () => {
+    test('closes weekends and holidays and gives each team its headcount hours on other days', () => {
+        const { days, teams } = buildCapacityCalendar(inputs(), { from: '2025-07-03', to: '2025-07-07' });
+        expect(days.map(d => [d.date, d.weekend, d.holiday])).toEqual([
+            ['2025-07-03', false, false], ['2025-07-04', false, true], ['2025-07-05', true, false], ['2025-07-06', true, false], ['2025-07-07', false, false],
+        ]);
+        const paint = teams.find(t => t.name === 'Paint');
+        expect(paint.cells.map(c => [c.closed, c.hours])).toEqual([[false, 16], [true, 0], [true, 0], [true, 0], [false, 16]]);
+        expect(paint.cells[0]).toMatchObject({ normalHours: 16, effectiveHours: 8, reduced: false, notes: [] });
+        expect(paint.cells[1].notes).toEqual(['Holiday']);
+    });
+
+    test('flags days reduced by PTO, hours overrides and people leaving', () => {
+        const { teams } = buildCapacityCalendar(inputs({
+            ptoEntries: [{ memberName: 'pat', date: '2025-07-07' }],
+            workHourOverrides: [{ team: 'Assembly', hours: 4, startDate: '2025-07-07', endDate: '2025-07-07' }],
+            teamMemberChanges: [{ name: 'Paint-2', team: 'Paint', type: 'Leaves', date: '2025-07-08' }],
+        }), { from: '2025-07-07', to: '2025-07-08' });
+        const [paint, assembly] = teams;
+        expect(paint.cells[0]).toMatchObject({ hours: 8, reduced: true, notes: ['PTO: Pat'] });
+        expect(paint.cells[1]).toMatchObject({ hours: 8, reduced: true, notes: ['Left: Paint-2'] });
+        expect(assembly.cells[0]).toMatchObject({ hours: 4, reduced: true, notes: ['Assembly hours override: 4h'] });
+        expect(assembly.cells[1]).toMatchObject({ hours: 8, reduced: false });
+    });
+});
+
+describe('expandPtoEntries', () => {
+    test('expands ranges and repeats into weekdays off, keeping partial hours', () => {
+        expect(expandPtoEntries([
+            { memberName: 'Pat', date: '2025-07-03', endDate: '2025-07-07' },
+            { memberName: 'Sam', date: '2025-07-04', endDate: '2025-07-25', repeat: 'biweekly', hours: '4' },
+        ])).toEqual([
+            { memberName: 'Pat', date: '2025-07-03' }, { memberName: 'Pat', date: '2025-07-04' }, { memberName: 'Pat', date: '2025-07-07' },
+            { memberName: 'Sam', date: '2025-07-04', hours: 4 }, { memberName: 'Sam', date: '2025-07-18', hours: 4 },
+        ]);
+    });
+
+    test('runs open-ended repeats for a year and leaves expanded rows unchanged', () => {
+        const fridays = expandPtoEntries([{ memberName: 'Pat', date: '2025-07-04', repeat: 'weekly' }]);
+        expect(fridays).toHaveLength(53);
+        expect(expandPtoEntries(fridays)).toEqual(fridays);
+    });
+});
+
+describe('createAvailability', () => {
+    test('uses a person\'s shift pattern before team overrides and patterns, then takes off partial PTO', () => {
+        const params = { hoursPerDay: 8 };
+        const teamDefs = { headcounts: [{ name: 'Paint', count: 2 }] };
+        const [pat, other] = buildRoster({ teamDefs, teamMemberNameMap: { 'Paint-1': 'Pat' } });
+        const hours = createAvailability({
+            params,
+            shiftPatterns: [
+                { appliesTo: 'member', name: 'pat', hours: [0, 10, 10, 10, 10, 0, 0], startDate: '2025-07-01' },
+                { appliesTo: 'team', name: 'Paint', hours: [0, 9, 9, 9, 9, 4, 0], startDate: '2025-07-01', endDate: '2025-07-31' },
+            ],
+            workHourOverrides: [{ team: 'Paint', hours: 6, startDate: '2025-07-08', endDate: '2025-07-08' }],
+            ptoEntries: [{ memberName: 'Pat', date: '2025-07-07', hours: 3 }],
+        });
+        expect(hours(pat, '2025-07-04')).toBe(0); // Friday off in the 4 x 10 pattern
+        expect(hours(pat, '2025-07-07')).toBe(7);
+        expect(hours(pat, '2025-07-08')).toBe(10);
+        expect(hours(other, '2025-07-04')).toBe(4);
+        expect(hours(other, '2025-07-08')).toBe(6);
+        expect(hours(other, '2025-08-01')).toBe(8);
+    });
+});
+
+describe('hybrid workers', () => {
+    test('converts primary and secondary teams into a prioritized team list', () => {
+        expect(normalizeHybridWorkers([{ id: 1, name: 'Alex', primaryTeam: 'Paint', secondaryTeam: 'Assembly' }])).toEqual([{
+            id: 1,
+            name: 'Alex',
+            teams: [
+                { team: 'Paint', target: '', priority: 1, startDate: '', endDate: '' },
+                { team: 'Assembly', target: '', priority: 2, startDate: '', endDate: '' },
+            ],
+        }]);
+    });
+
+    test('orders teams by priority and only offers them inside their dates', () => {
+        const roster = buildRoster(inputs({
+            hybridWorkers: [{ name: 'Alex', teams: [
+                { team: 'Assembly', target: '25', priority: '2', startDate: '2025-07-07', endDate: '' },
+                { team: 'Paint', target: '75', priority: '1', startDate: '', endDate: '2025-07-31' },
+            ] }],
+        }));
+        const alex = roster.find(m => m.id === 'Alex');
+        expect(alex.teams).toEqual(['Paint', 'Assembly']);
+        expect(eligibleAssignments(alex, '2025-07-03').map(a => [a.team, a.target])).toEqual([['Paint', 0.75]]);
+        expect(eligibleAssignments(alex, '2025-08-01').map(a => a.team)).toEqual(['Assembly']);
+        expect(eligibleAssignments(roster.find(m => m.id === 'Paint-1'), '2025-08-01').map(a => a.team)).toEqual(['Paint']);
+    });
+});
+
+describe('buildRoster', () => {
+    test('fills headcount with the sheet\'s members before generic slots', () => {
+        const roster = buildRoster(inputs({
+            teamMemberNameMap: { E100: 'Pat', E200: 'Sam', 'Assembly-7': 'Lee' },
+            teamMemberTeamMap: { E100: 'Paint', E200: 'Metal' },
+            efficiencyData: { E100: 0.8 },
+            teamMemberChanges: [{ name: 'Pat', team: 'Paint', type: 'Leaves', date: '2025-08-01' }],
+        }));
+        expect(roster.map(m => [m.id, m.name, m.team, m.efficiency])).toEqual([
+            ['E100', 'Pat', 'Paint', 0.8],
+            ['Paint-1', 'Paint-1', 'Paint', 1],
+            ['Assembly-7', 'Lee', 'Assembly', 1],
+        ]);
+        expect(roster[0].activeUntil).toBe('2025-08-01');
+    });
+});
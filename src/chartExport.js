@@ -0,0 +1,158 @@
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+
+// Turns the hand-built SVG charts into standalone images. The charts are styled with Tailwind classes, which
+// mean nothing outside the page, so the computed styles of every element are copied onto a clone as inline styles
+// before it is serialized or drawn to a canvas.
+
+const INLINED_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'stroke-linecap',
+    'opacity', 'visibility', 'display', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Copy of an SVG element that is currently in the document, with computed styles inlined and its on-screen size
+const styledClone = (svg) => {
+    const clone = svg.cloneNode(true);
+    const sources = [svg, ...svg.querySelectorAll('*')];
+    const targets = [clone, ...clone.querySelectorAll('*')];
+    sources.forEach((source, index) => {
+        const computed = window.getComputedStyle(source);
+        const style = INLINED_PROPERTIES
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value)
+            .map(([property, value]) => `${property}:${value}`)
+            .join(';');
+        targets[index].setAttribute('style', style);
+        targets[index].removeAttribute('class');
+    });
+    const { width, height } = svg.getBoundingClientRect();
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', Math.ceil(width));
+    clone.setAttribute('height', Math.ceil(height));
+    return clone;
+};
+
+// Returns standalone SVG markup for an SVG element that is currently in the document
+export const serializeSvg = (svg) => new XMLSerializer().serializeToString(styledClone(svg));
+
+// The chart in a container is its largest SVG, so icons in buttons and legends are skipped
+const largestSvg = (container) => {
+    const area = (svg) => {
+        const rect = svg.getBoundingClientRect();
+        return rect.width * rect.height;
+    };
+    return [...container.querySelectorAll('svg')].sort((a, b) => area(b) - area(a))[0] || null;
+};
+
+const svgElement = (name, attributes) => {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+};
+
+// The charts draw their legends in HTML below the SVG. Entries marked data-legend-item (with data-legend-swatch
+// on their color boxes) are redrawn into the image where they sit on screen, keeping the dimmed or bold state of
+// the current selection. Entries scrolled out of view are included too.
+const legendElements = (container, origin) => [...container.querySelectorAll('[data-legend-item]')].flatMap(item => {
+    const elements = [...item.querySelectorAll('[data-legend-swatch]')].map(swatch => {
+        const rect = swatch.getBoundingClientRect();
+        return svgElement('rect', {
+            x: rect.left - origin.left, y: rect.top - origin.top, width: rect.width, height: rect.height, rx: 2,
+            fill: window.getComputedStyle(swatch).backgroundColor,
+        });
+    });
+    const label = item.querySelector('span');
+    if (label) {
+        const rect = label.getBoundingClientRect();
+        const computed = window.getComputedStyle(label);
+        const text = svgElement('text', {
+            x: rect.left - origin.left, y: rect.top - origin.top + rect.height / 2, 'dominant-baseline': 'central',
+            fill: computed.color, opacity: computed.opacity, 'font-family': computed.fontFamily,
+            'font-size': computed.fontSize, 'font-weight': computed.fontWeight,
+        });
+        text.textContent = label.textContent.trim();
+        elements.push(text);
+    }
+    return elements;
+});
+
+// Captures the chart in a container as it is shown, legend included. Returns { markup, width, height } for the
+// image, or null when the container holds no SVG.
+export const captureChart = (container) => {
+    const svg = largestSvg(container);
+    if (!svg) return null;
+    const origin = svg.getBoundingClientRect();
+    const chart = styledClone(svg);
+    const legend = legendElements(container, origin);
+
+    const boxes = [{ left: 0, top: 0, right: origin.width, bottom: origin.height }, ...[...container.querySelectorAll('[data-legend-item]')].map(item => {
+        const rect = item.getBoundingClientRect();
+        return { left: rect.left - origin.left, top: rect.top - origin.top, right: rect.right - origin.left, bottom: rect.bottom - origin.top };
+    })];
+    const padding = legend.length > 0 ? 8 : 0;
+    const left = Math.min(...boxes.map(b => b.left)) - padding;
+    const top = Math.min(...boxes.map(b => b.top)) - padding;
+    const width = Math.ceil(Math.max(...boxes.map(b => b.right)) + padding - left);
+    const height = Math.ceil(Math.max(...boxes.map(b => b.bottom)) + padding - top);
+
+    const root = svgElement('svg', { width, height, viewBox: `${left} ${top} ${width} ${height}` });
+    root.appendChild(svgElement('rect', { x: left, y: top, width, height, fill: '#ffffff' }));
+    chart.setAttribute('x', 0);
+    chart.setAttribute('y', 0);
+    root.appendChild(chart);
+    legend.forEach(element => root.appendChild(element));
+    return { markup: new XMLSerializer().serializeToString(root), width, height };
+};
+
+// Draws SVG markup onto a canvas at scale x its size, over an opaque background
+export const svgToCanvas = (markup, { width, height, scale = 2, background = '#ffffff' }) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * scale);
+        canvas.height = Math.ceil(height * scale);
+        const context = canvas.getContext('2d');
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('The chart could not be drawn as an image.'));
+    };
+    image.src = url;
+});
+
+// Renders a chart element off screen at a fixed width and captures it as captureChart does, or returns null when it
+// renders no SVG
+export const renderChartOffscreen = async (element, { width }) => {
+    const container = document.createElement('div');
+    container.style.cssText = `position: fixed; left: -100000px; top: 0; width: ${width}px; background: #fff;`;
+    document.body.appendChild(container);
+    const root = createRoot(container);
+    try {
+        flushSync(() => root.render(element));
+        await new Promise(resolve => requestAnimationFrame(() => resolve()));
+        return captureChart(container);
+    } finally {
+        root.unmount();
+        container.remove();
+    }
+};
+
+// Turns a capture from captureChart or renderChartOffscreen into an 'svg' or 'png' Blob; resolves with null when
+// there is no capture
+export const captureImageBlob = async (capture, format) => {
+    if (!capture) return null;
+    if (format === 'svg') return new Blob([capture.markup], { type: 'image/svg+xml;charset=utf-8' });
+    const canvas = await svgToCanvas(capture.markup, capture);
+    return new Promise((resolve, reject) => canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The chart could not be saved as a PNG.'))), 'image/png'));
+};
+
+// Captures the chart in a container as an 'svg' or 'png' Blob; resolves with null when there is no chart
+export const chartImageBlob = (container, format) => captureImageBlob(captureChart(container), format);
@@ -0,0 +1,108 @@
+import { parseDate } from './dateUtils';
+import { sourceLine } from './csvParser';
+import { excelSerialTextToDateKey } from './workbookImport';
+
+// Maps the columns of an uploaded project file onto the fields the scheduler needs, and explains every row it
+// can't use. A mapping is { [fieldKey]: sourceHeader }. Mappings confirmed in the import wizard are remembered in
+// localStorage by header signature (the file's column names, ignoring order and case), so the next export from
+// the same spreadsheet maps itself.
+
+const SAVED_MAPPINGS_KEY = 'scheduler-column-mappings';
+const MAX_SAVED_MAPPINGS = 50;
+
+// aliases are the header names recognised without a saved mapping; matching ignores case, spaces and punctuation
+export const MAPPING_FIELDS = [
+    { key: 'Project', label: 'Project', required: true, aliases: ['Project', 'Game', 'Job', 'Job Name', 'Project Name'] },
+    { key: 'Store', label: 'Store', required: false, aliases: ['Store', 'Store Number', 'Location'] },
+    { key: 'SKU', label: 'SKU', required: true, aliases: ['SKU', 'Item', 'Part Number'] },
+    { key: 'SKU Name', label: 'SKU Name', required: false, aliases: ['SKU Name', 'Item Name', 'Description'] },
+    { key: 'Operation', label: 'Operation', required: true, aliases: ['Operation', 'Op', 'Process', 'Step'] },
+    { key: 'Order', label: 'Order', required: true, aliases: ['Order', 'Sequence', 'Seq', 'Step Order'] },
+    { key: 'Estimated Hours', label: 'Estimated Hours', required: true, aliases: ['Estimated Hours', 'Expected Hours', 'Labor Time', 'Hours', 'Est Hours'] },
+    { key: 'StartDate', label: 'Start Date', required: true, aliases: ['StartDate', 'Start Date', 'Start'] },
+    { key: 'DueDate', label: 'Due Date', required: true, aliases: ['DueDate', 'Due Date', 'Due', 'Ship Date'] },
+    { key: 'Value', label: 'Value', required: false, aliases: ['Value', 'Price', 'Amount'] },
+];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Every name a scheduler field goes by, normalized
+const FIELD_NAMES = new Set(MAPPING_FIELDS.flatMap(field => [field.key, ...field.aliases]).map(normalizeHeader));
+
+export const headerSignature = (headers) => [...new Set(headers.map(normalizeHeader).filter(Boolean))].sort().join('|');
+
+const readSavedMappings = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(SAVED_MAPPINGS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+};
+
+// Most recently used first; the oldest are dropped past MAX_SAVED_MAPPINGS
+export const saveMapping = (headers, mapping) => {
+    const { [headerSignature(headers)]: previous, ...others } = readSavedMappings();
+    const entries = [[headerSignature(headers), { mapping, savedAt: new Date().toISOString() }], ...Object.entries(others)];
+    try {
+        window.localStorage.setItem(SAVED_MAPPINGS_KEY, JSON.stringify(Object.fromEntries(entries.slice(0, MAX_SAVED_MAPPINGS))));
+    } catch (err) {
+        // Storage full or disabled: the mapping just has to be picked again next time
+    }
+};
+
+// Returns { mapping, saved } where saved says whether a remembered mapping for these headers was used.
+// Saved entries whose column no longer exists are dropped rather than trusted.
+export const suggestMapping = (headers) => {
+    const saved = readSavedMappings()[headerSignature(headers)];
+    if (saved) {
+        const mapping = Object.fromEntries(Object.entries(saved.mapping).filter(([, header]) => headers.includes(header)));
+        return { mapping, saved: true };
+    }
+    const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+    const mapping = {};
+    MAPPING_FIELDS.forEach(field => {
+        const match = field.aliases.map(normalizeHeader).find(alias => byNormalized.has(alias));
+        if (match) mapping[field.key] = byNormalized.get(match);
+    });
+    return { mapping, saved: false };
+};
+
+export const missingRequiredFields = (mapping) => MAPPING_FIELDS.filter(f => f.required && !mapping[f.key]);
+
+// Applies a mapping to parsed rows. Accepted rows carry the mapped fields under the scheduler's names, still as
+// strings and ready for the usual cleaning, plus the file's custom columns as they are; unmapped columns named
+// like a scheduler field are dropped so they can't override the mapping. Rejected rows are { rowNumber, reasons },
+// where rowNumber is the row's line in the file (or row in the sheet).
+//
+// For rows read from a workbook, excelDates is { date1904 } and the start and due dates may be Excel serial
+// numbers, which are converted. A date that is only a number is rejected otherwise, since the date parser would
+// read 45678 as that year.
+export const applyMapping = (rows, mapping, { excelDates = null } = {}) => {
+    const accepted = [];
+    const rejected = [];
+    const mappedHeaders = new Set(Object.values(mapping));
+    rows.forEach((row, index) => {
+        const mapped = {};
+        Object.keys(row).forEach(header => {
+            if (!mappedHeaders.has(header) && !FIELD_NAMES.has(normalizeHeader(header))) mapped[header] = row[header];
+        });
+        MAPPING_FIELDS.forEach(field => {
+            if (mapping[field.key]) mapped[field.key] = String(row[mapping[field.key]] ?? '').trim();
+        });
+        const reasons = [];
+        MAPPING_FIELDS.filter(f => f.required).forEach(field => {
+            if (mapping[field.key] && !mapped[field.key]) reasons.push(`${field.label} is empty`);
+        });
+        if (mapped.Order && Number.isNaN(parseInt(mapped.Order, 10))) reasons.push(`Order '${mapped.Order}' is not a number`);
+        if (mapped['Estimated Hours'] && Number.isNaN(parseFloat(mapped['Estimated Hours']))) reasons.push(`Estimated Hours '${mapped['Estimated Hours']}' is not a number`);
+        ['StartDate', 'DueDate'].forEach(key => {
+            const label = key === 'StartDate' ? 'Start' : 'Due';
+            if (excelDates && mapped[key]) mapped[key] = excelSerialTextToDateKey(mapped[key], excelDates) || mapped[key];
+            if (/^\d+(\.\d+)?$/.test(mapped[key] || '')) reasons.push(`${label} date '${mapped[key]}' is a number, not a date`);
+            else if (mapped[key] && !parseDate(mapped[key])) reasons.push(`${label} date '${mapped[key]}' is not a date`);
+        });
+        if (reasons.length > 0) rejected.push({ rowNumber: sourceLine(row, index + 2), reasons });
+        else accepted.push(mapped);
+    });
+    return { accepted, rejected };
+};
@@ -0,0 +1,34 @@
+import { parseCsv } from './csvParser';
+import { applyMapping, suggestMapping } from './columnMapping';
+
+const headers = ['Job', 'SKU', 'Op', 'Seq', 'Hours', 'Start', 'Due'];
+const row = (start, due) => ({ Job: 'J1', SKU: 'S1', Op: 'Cut', Seq: '1', Hours: '2', Start: start, Due: due });
+
+describe('applyMapping', () => {
+    test('converts Excel serial dates in the mapped date columns whatever their header says', () => {
+        const { mapping } = suggestMapping(headers);
+        expect(mapping).toMatchObject({ StartDate: 'Start', DueDate: 'Due' });
+        const { accepted, rejected } = applyMapping([row('45658', '45678')], mapping, { excelDates: { date1904: false } });
+        expect(rejected).toEqual([]);
+        expect(accepted[0]).toMatchObject({ StartDate: '2025-01-01', DueDate: '2025-01-21' });
+    });
+
+    test('rejects dates that are only a number when the rows did not come from a workbook', () => {
+        const { mapping } = suggestMapping(headers);
+        const { accepted, rejected } = applyMapping([row('45658', '2025-01-21'), row('2025-01-01', 'soon')], mapping);
+        expect(accepted).toEqual([]);
+        expect(rejected).toEqual([
+            { rowNumber: 2, reasons: ["Start date '45658' is a number, not a date"] },
+            { rowNumber: 3, reasons: ["Due date 'soon' is not a date"] },
+        ]);
+    });
+
+    test('reports rejected rows by their line in the file and keeps custom columns', () => {
+        const { headers: csvHeaders, data } = parseCsv('Job,SKU,Op,Seq,Hours,Start,Due,Crate,Due Date\n\nJ1,S1,"Cut\nand sand",1,2,2025-01-06,2025-01-31,Large,2025-02-28\nJ1,S2,Cut,x,2,2025-01-06,2025-01-31,,\n');
+        const { mapping } = suggestMapping(csvHeaders);
+        const { accepted, rejected } = applyMapping(data, { ...mapping, DueDate: 'Due' });
+        expect(rejected).toEqual([{ rowNumber: 5, reasons: ["Order 'x' is not a number"] }]);
+        expect(accepted[0]).toMatchObject({ Crate: 'Large', DueDate: '2025-01-31' });
+        expect(accepted[0]).not.toHaveProperty('Due Date');
+    });
+});
@@ -0,0 +1,373 @@
+import { parseDate } from './dateUtils';
+
+// Validates config files and workspace bundles section by section, before anything is applied.
+// Every problem is reported with its path (e.g. "ptoEntries[3].date"), and sections are judged
+// independently so the valid ones can still be imported.
+
+export const SECTION_LABELS = {
+    scheduleName: 'Schedule name',
+    teamDefs: 'Teams & operation mapping',
+    params: 'Scheduling parameters',
+    bottleneckConfig: 'Bottleneck teams',
+    teamMemberChanges: 'Team roster changes',
+    hybridWorkers: 'Hybrid workers',
+    ptoEntries: 'Individual PTO',
+    workHourOverrides: 'Work hour overrides',
+    shiftPatterns: 'Shift patterns',
+    memberDirectory: 'Member directory',
+    optimizationConfig: 'Optimizer settings',
+    projectTasks: 'Projects',
+    projectFileName: 'Project file name',
+    startDateOverrides: 'Start date overrides',
+    endDateOverrides: 'Due date overrides',
+    efficiencyData: 'Efficiency ratings',
+    teamMemberNameMap: 'Team member names',
+    teamMemberTeamMap: 'Team member teams',
+};
+
+const PTO_REPEATS = ['none', 'weekly', 'biweekly'];
+
+// Keeps a corrupt project list from producing thousands of lines
+const MAX_ERRORS_PER_SECTION = 25;
+
+const describe = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'string') return `'${value}'`;
+    return typeof value === 'object' ? 'an object' : String(value);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isValidDate = (value) => typeof value === 'string' && /^\d{4}[-/]\d{1,2}[-/]\d{1,2}$/.test(value.trim()) && parseDate(value.trim()) !== null;
+// Form inputs store numbers as strings, so numeric strings count as numbers
+const toNumber = (value) => (typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN));
+
+const createChecker = (errors) => {
+    const fail = (path, message) => errors.push({ path, message: `${path} ${message}` });
+    return {
+        fail,
+        object: (value, path) => {
+            if (isPlainObject(value)) return true;
+            fail(path, `must be an object, found ${describe(value)}`);
+            return false;
+        },
+        list: (value, path) => {
+            if (Array.isArray(value)) return true;
+            fail(path, `must be a list, found ${describe(value)}`);
+            return false;
+        },
+        string: (value, path, { allowEmpty = true } = {}) => {
+            if (typeof value !== 'string') fail(path, `must be text, found ${describe(value)}`);
+            else if (!allowEmpty && !value.trim()) fail(path, 'is empty');
+        },
+        number: (value, path, { min = -Infinity, max = Infinity } = {}) => {
+            const n = toNumber(value);
+            if (Number.isNaN(n)) fail(path, `must be a number, found ${describe(value)}`);
+            else if (n < min || n > max) fail(path, `must be between ${min} and ${max}, found ${n}`);
+        },
+        boolean: (value, path) => {
+            if (typeof value !== 'boolean') fail(path, `must be true or false, found ${describe(value)}`);
+        },
+        date: (value, path) => {
+            if (!isValidDate(value)) fail(path, `is not a valid date (${describe(value)}); expected YYYY-MM-DD`);
+        },
+        team: (value, path, teams) => {
+            if (typeof value !== 'string' || !value) fail(path, `must name a team, found ${describe(value)}`);
+            else if (teams && !teams.has(value)) fail(path, `'${value}' is not a defined team`);
+        },
+    };
+};
+
+const SECTION_VALIDATORS = {
+    scheduleName: (value, path, check) => check.string(value, path),
+
+    teamDefs: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        if (check.list(value.headcounts, `${path}.headcounts`)) {
+            const seen = new Set();
+            value.headcounts.forEach((team, i) => {
+                const teamPath = `${path}.headcounts[${i}]`;
+                if (!check.object(team, teamPath)) return;
+                check.string(team.name, `${teamPath}.name`, { allowEmpty: false });
+                if (seen.has(team.name)) check.fail(`${teamPath}.name`, `'${team.name}' is used by more than one team`);
+                seen.add(team.name);
+                check.number(team.count, `${teamPath}.count`, { min: 0 });
+                if (team.sortOrder !== undefined) check.number(team.sortOrder, `${teamPath}.sortOrder`);
+                if (team.color !== undefined && !/^#[0-9a-f]{6}$/i.test(team.color)) check.fail(`${teamPath}.color`, `must be a hex color like #3b82f6, found ${describe(team.color)}`);
+            });
+        }
+        if (check.list(value.mapping, `${path}.mapping`)) {
+            const teams = Array.isArray(value.headcounts) ? new Set(value.headcounts.map(t => t && t.name)) : null;
+            value.mapping.forEach((m, i) => {
+                const mappingPath = `${path}.mapping[${i}]`;
+                if (!check.object(m, mappingPath)) return;
+                check.string(m.operation, `${mappingPath}.operation`, { allowEmpty: false });
+                check.team(m.team, `${mappingPath}.team`, teams);
+            });
+        }
+    },
+
+    params: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        check.date(value.startDate, `${path}.startDate`);
+        check.number(value.hoursPerDay, `${path}.hoursPerDay`, { min: 0, max: 24 });
+        check.number(value.productivityAssumption, `${path}.productivityAssumption`, { min: 0, max: 2 });
+        if (value.globalBuffer !== undefined) check.number(value.globalBuffer, `${path}.globalBuffer`, { min: 0 });
+        if (value.maxIdleDays !== undefined) check.number(value.maxIdleDays, `${path}.maxIdleDays`, { min: 0 });
+        if (value.teamsToIgnore !== undefined) check.string(value.teamsToIgnore, `${path}.teamsToIgnore`);
+        if (typeof value.holidays !== 'string') {
+            check.string(value.holidays, `${path}.holidays`);
+        } else {
+            value.holidays.split(',').map(h => h.trim()).filter(Boolean).forEach((holiday, i) => {
+                check.date(holiday, `${path}.holidays[${i}]`);
+            });
+        }
+    },
+
+    bottleneckConfig: (value, path, check, { teams }) => {
+        if (!check.list(value, path)) return;
+        value.forEach((b, i) => {
+            if (!check.object(b, `${path}[${i}]`)) return;
+            check.team(b.team, `${path}[${i}].team`, teams);
+            check.boolean(b.enabled, `${path}[${i}].enabled`);
+            check.number(b.weight, `${path}[${i}].weight`, { min: 1, max: 5 });
+        });
+    },
+
+    teamMemberChanges: (value, path, check, { teams }) => {
+        if (!check.list(value, path)) return;
+        value.forEach((c, i) => {
+            if (!check.object(c, `${path}[${i}]`)) return;
+            check.string(c.name, `${path}[${i}].name`, { allowEmpty: false });
+            check.team(c.team, `${path}[${i}].team`, teams);
+            if (c.type !== 'Starts' && c.type !== 'Leaves') check.fail(`${path}[${i}].type`, `must be 'Starts' or 'Leaves', found ${describe(c.type)}`);
+            check.date(c.date, `${path}[${i}].date`);
+        });
+    },
+
+    hybridWorkers: (value, path, check, { teams }) => {
+        if (!check.list(value, path)) return;
+        value.forEach((w, i) => {
+            if (!check.object(w, `${path}[${i}]`)) return;
+            check.string(w.name, `${path}[${i}].name`, { allowEmpty: false });
+            // Older files name a primaryTeam and secondaryTeam instead of a list of teams
+            if (w.teams === undefined) {
+                check.team(w.primaryTeam, `${path}[${i}].primaryTeam`, teams);
+                check.team(w.secondaryTeam, `${path}[${i}].secondaryTeam`, teams);
+                return;
+            }
+            if (!check.list(w.teams, `${path}[${i}].teams`)) return;
+            w.teams.forEach((t, j) => {
+                const teamPath = `${path}[${i}].teams[${j}]`;
+                if (!check.object(t, teamPath)) return;
+                check.team(t.team, `${teamPath}.team`, teams);
+                if (t.target !== undefined && t.target !== '') check.number(t.target, `${teamPath}.target`, { min: 0, max: 100 });
+                if (t.priority !== undefined && t.priority !== '') check.number(t.priority, `${teamPath}.priority`, { min: 0 });
+                if (t.startDate) check.date(t.startDate, `${teamPath}.startDate`);
+                if (t.endDate) {
+                    check.date(t.endDate, `${teamPath}.endDate`);
+                    if (isValidDate(t.startDate) && isValidDate(t.endDate) && parseDate(t.endDate) < parseDate(t.startDate)) {
+                        check.fail(`${teamPath}.endDate`, 'is before startDate');
+                    }
+                }
+            });
+        });
+    },
+
+    ptoEntries: (value, path, check) => {
+        if (!check.list(value, path)) return;
+        value.forEach((p, i) => {
+            if (!check.object(p, `${path}[${i}]`)) return;
+            check.string(p.memberName, `${path}[${i}].memberName`);
+            check.date(p.date, `${path}[${i}].date`);
+            // Ranges, repeats and partial days were added later; older files only have memberName and date
+            if (p.endDate) {
+                check.date(p.endDate, `${path}[${i}].endDate`);
+                if (isValidDate(p.date) && isValidDate(p.endDate) && parseDate(p.endDate) < parseDate(p.date)) {
+                    check.fail(`${path}[${i}].endDate`, 'is before date');
+                }
+            }
+            if (p.hours !== undefined && p.hours !== '') check.number(p.hours, `${path}[${i}].hours`, { min: 0, max: 24 });
+            if (p.repeat !== undefined && !PTO_REPEATS.includes(p.repeat)) {
+                check.fail(`${path}[${i}].repeat`, `must be one of ${PTO_REPEATS.join(', ')}, found ${describe(p.repeat)}`);
+            }
+        });
+    },
+
+    shiftPatterns: (value, path, check, { teams }) => {
+        if (!check.list(value, path)) return;
+        value.forEach((p, i) => {
+            if (!check.object(p, `${path}[${i}]`)) return;
+            if (p.appliesTo === 'team') check.team(p.name, `${path}[${i}].name`, teams);
+            else if (p.appliesTo === 'member') check.string(p.name, `${path}[${i}].name`, { allowEmpty: false });
+            else check.fail(`${path}[${i}].appliesTo`, `must be 'member' or 'team', found ${describe(p.appliesTo)}`);
+            if (!Array.isArray(p.hours) || p.hours.length !== 7) check.fail(`${path}[${i}].hours`, 'must list hours for the 7 days of the week, Sunday first');
+            else p.hours.forEach((h, day) => check.number(h, `${path}[${i}].hours[${day}]`, { min: 0, max: 24 }));
+            check.date(p.startDate, `${path}[${i}].startDate`);
+            if (p.endDate) {
+                check.date(p.endDate, `${path}[${i}].endDate`);
+                if (isValidDate(p.startDate) && isValidDate(p.endDate) && parseDate(p.endDate) < parseDate(p.startDate)) {
+                    check.fail(`${path}[${i}].endDate`, 'is before startDate');
+                }
+            }
+        });
+    },
+
+    memberDirectory: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        Object.entries(value).forEach(([memberId, entry]) => {
+            const entryPath = `${path}['${memberId}']`;
+            if (!check.object(entry, entryPath)) return;
+            if (entry.name !== undefined) check.string(entry.name, `${entryPath}.name`);
+            if (entry.efficiency !== undefined && entry.efficiency !== null) check.number(entry.efficiency, `${entryPath}.efficiency`, { min: 0 });
+            if (entry.operations !== undefined && check.object(entry.operations, `${entryPath}.operations`)) {
+                Object.entries(entry.operations).forEach(([operation, efficiency]) => check.number(efficiency, `${entryPath}.operations['${operation}']`, { min: 0 }));
+            }
+            if (entry.skills !== undefined && check.list(entry.skills, `${entryPath}.skills`)) {
+                entry.skills.forEach((skill, i) => check.string(skill, `${entryPath}.skills[${i}]`, { allowEmpty: false }));
+            }
+        });
+    },
+
+    workHourOverrides: (value, path, check, { teams }) => {
+        if (!check.list(value, path)) return;
+        value.forEach((o, i) => {
+            if (!check.object(o, `${path}[${i}]`)) return;
+            check.team(o.team, `${path}[${i}].team`, teams);
+            check.number(o.hours, `${path}[${i}].hours`, { min: 0, max: 24 });
+            check.date(o.startDate, `${path}[${i}].startDate`);
+            check.date(o.endDate, `${path}[${i}].endDate`);
+            if (isValidDate(o.startDate) && isValidDate(o.endDate) && parseDate(o.endDate) < parseDate(o.startDate)) {
+                check.fail(`${path}[${i}].endDate`, 'is before startDate');
+            }
+        });
+    },
+
+    optimizationConfig: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        ['targetDeadlineBuffer', 'maxIterations', 'budgetLimit', 'costPerHour'].forEach(key => {
+            if (value[key] !== undefined) check.number(value[key], `${path}.${key}`, { min: 0 });
+        });
+    },
+
+    projectTasks: (value, path, check) => {
+        if (!check.list(value, path)) return;
+        value.forEach((task, i) => {
+            const taskPath = `${path}[${i}]`;
+            if (!check.object(task, taskPath)) return;
+            ['Project', 'Store', 'SKU'].forEach(col => check.string(task[col], `${taskPath}.${col}`, { allowEmpty: false }));
+            // The project loader accepts tasks without an operation, so only its type is checked
+            if (task.Operation !== undefined && task.Operation !== null) check.string(task.Operation, `${taskPath}.Operation`);
+            check.number(task.Order, `${taskPath}.Order`);
+            check.number(task['Estimated Hours'], `${taskPath}['Estimated Hours']`, { min: 0 });
+            check.date(task.StartDate, `${taskPath}.StartDate`);
+            check.date(task.DueDate, `${taskPath}.DueDate`);
+        });
+    },
+
+    projectFileName: (value, path, check) => check.string(value, path),
+
+    startDateOverrides: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        Object.entries(value).forEach(([project, date]) => check.date(date, `${path}['${project}']`));
+    },
+
+    endDateOverrides: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        Object.entries(value).forEach(([project, date]) => check.date(date, `${path}['${project}']`));
+    },
+
+    efficiencyData: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        Object.entries(value).forEach(([memberId, efficiency]) => check.number(efficiency, `${path}['${memberId}']`, { min: 0 }));
+    },
+
+    teamMemberNameMap: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        Object.entries(value).forEach(([memberId, name]) => check.string(name, `${path}['${memberId}']`));
+    },
+
+    teamMemberTeamMap: (value, path, check) => {
+        if (!check.object(value, path)) return;
+        Object.entries(value).forEach(([memberId, team]) => check.string(team, `${path}['${memberId}']`, { allowEmpty: false }));
+    },
+};
+
+// Returns { sections: { [key]: { errors } }, errors } for the recognized sections in the file.
+// Team references are checked against the file's own teams, or the current teams if the file has
+// none. Legacy files (no schemaVersion) also get the default teams merged in on load.
+export const validateConfig = (raw, { currentTeams = [], defaultTeams = [] } = {}) => {
+    if (!isPlainObject(raw)) {
+        return { sections: {}, errors: [{ path: '', message: `File must contain a configuration object, found ${describe(raw)}` }] };
+    }
+    const version = Number(raw.schemaVersion) || 0;
+    const source = version >= 2 ? raw.inputs : raw;
+    const prefix = version >= 2 ? 'inputs.' : '';
+    if (!isPlainObject(source)) {
+        return { sections: {}, errors: [{ path: 'inputs', message: `inputs must be an object, found ${describe(source)}` }] };
+    }
+
+    const fileTeams = isPlainObject(source.teamDefs) && Array.isArray(source.teamDefs.headcounts)
+        ? source.teamDefs.headcounts.map(t => t && t.name)
+        : null;
+    const teams = new Set(fileTeams ? [...fileTeams, ...(version === 0 ? defaultTeams : [])] : currentTeams);
+
+    const sections = {};
+    Object.keys(SECTION_VALIDATORS).forEach(key => {
+        if (source[key] === undefined) return;
+        const sectionErrors = [];
+        SECTION_VALIDATORS[key](source[key], `${prefix}${key}`, createChecker(sectionErrors), { teams });
+        if (sectionErrors.length > MAX_ERRORS_PER_SECTION) {
+            const hidden = sectionErrors.length - MAX_ERRORS_PER_SECTION;
+            sectionErrors.splice(MAX_ERRORS_PER_SECTION, hidden, { path: `${prefix}${key}`, message: `...and ${hidden} more problems in ${prefix}${key}` });
+        }
+        sections[key] = { errors: sectionErrors };
+    });
+
+    const errors = Object.values(sections).flatMap(section => section.errors);
+    if (Object.keys(sections).length === 0) {
+        errors.push({ path: '', message: 'File does not contain any recognized configuration sections.' });
+    }
+    return { sections, errors };
+};
+
+// Copy of the raw file with only the given sections kept, in the file's own layout
+export const pickSections = (raw, keys) => {
+    const version = Number(raw.schemaVersion) || 0;
+    const source = version >= 2 ? raw.inputs : raw;
+    const picked = {};
+    keys.forEach(key => { picked[key] = source[key]; });
+    return version >= 2 ? { ...raw, inputs: picked } : { schemaVersion: raw.schemaVersion, ...picked };
+};
+
+const countLabel = (n, noun, plural = `${noun}s`) => `${n} ${n === 1 ? noun : plural}`;
+
+// One-line description of what applying a section will change, for the import preview
+export const summarizeSectionChange = (key, current, incoming) => {
+    if (JSON.stringify(current) === JSON.stringify(incoming)) return 'No change';
+    if (key === 'teamDefs') {
+        const currentNames = new Set((current?.headcounts || []).map(t => t.name));
+        const incomingNames = new Set((incoming?.headcounts || []).map(t => t.name));
+        const added = [...incomingNames].filter(n => !currentNames.has(n));
+        const removed = [...currentNames].filter(n => !incomingNames.has(n));
+        const parts = [`${countLabel(incomingNames.size, 'team')}, ${countLabel((incoming?.mapping || []).length, 'mapping')}`];
+        if (added.length) parts.push(`adds ${added.join(', ')}`);
+        if (removed.length) parts.push(`removes ${removed.join(', ')}`);
+        return parts.join('; ');
+    }
+    if (key === 'projectTasks') {
+        const jobs = (tasks) => new Set((tasks || []).map(t => t.Project)).size;
+        return `Replaces ${countLabel(jobs(current), 'job')} with ${countLabel(jobs(incoming), 'job')} (${countLabel((incoming || []).length, 'task')})`;
+    }
+    if (Array.isArray(incoming)) {
+        return `${countLabel((current || []).length, 'entry', 'entries')} → ${countLabel(incoming.length, 'entry', 'entries')}`;
+    }
+    if (isPlainObject(incoming) && key === 'params') {
+        const changed = Object.keys(incoming).filter(k => String(incoming[k]) !== String(current?.[k]));
+        return changed.length ? changed.map(k => `${k}: ${current?.[k] ?? '—'} → ${incoming[k]}`).join('; ') : 'No change';
+    }
+    if (isPlainObject(incoming)) {
+        return `${countLabel(Object.keys(current || {}).length, 'entry', 'entries')} → ${countLabel(Object.keys(incoming).length, 'entry', 'entries')}`;
+    }
+    return `${current || '—'} → ${incoming || '—'}`;
+};
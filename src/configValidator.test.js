@@ -0,0 +1,94 @@
+import { validateConfig } from './configValidator';
+
+const teamDefs = { headcounts: [{ name: 'Paint', count: 2 }, { name: 'Assembly', count: 3 }], mapping: [{ operation: 'Cut', team: 'Assembly' }] };
+
+// Paths of the errors reported for one section
+const errorPaths = (result, key) => result.sections[key].errors.map(e => e.path);
+
+describe('validateConfig', () => {
+    test('reports team problems by path and judges other sections on their own', () => {
+        const result = validateConfig({
+            schemaVersion: 2,
+            inputs: {
+                teamDefs: {
+                    headcounts: [{ name: 'Paint', count: -1 }, { name: 'Paint', count: 1, color: 'red' }],
+                    mapping: [{ operation: 'Cut', team: 'Welding' }],
+                },
+                scheduleName: 'Fall',
+            },
+        });
+        expect(errorPaths(result, 'teamDefs')).toEqual([
+            'inputs.teamDefs.headcounts[0].count',
+            'inputs.teamDefs.headcounts[1].name',
+            'inputs.teamDefs.headcounts[1].color',
+            'inputs.teamDefs.mapping[0].team',
+        ]);
+        expect(result.sections.teamDefs.errors[3].message).toBe("inputs.teamDefs.mapping[0].team 'Welding' is not a defined team");
+        expect(result.sections.scheduleName.errors).toEqual([]);
+    });
+
+    test('checks team references against the current teams when the file has none', () => {
+        const result = validateConfig({ bottleneckConfig: [{ team: 'Paint', enabled: true, weight: 2 }, { team: 'Welding', enabled: 'yes', weight: 9 }] }, { currentTeams: ['Paint'] });
+        expect(errorPaths(result, 'bottleneckConfig')).toEqual(['bottleneckConfig[1].team', 'bottleneckConfig[1].enabled', 'bottleneckConfig[1].weight']);
+    });
+
+    test('reports PTO problems by path and accepts older entries without ranges or hours', () => {
+        const result = validateConfig({
+            teamDefs,
+            ptoEntries: [
+                { memberName: 'Pat', date: '2025-07-07' },
+                { memberName: 'Sam', date: '2025-07-10', endDate: '2025-07-08', hours: 30, repeat: 'monthly' },
+                { memberName: 'Lee', date: '07/09/2025' },
+            ],
+        });
+        expect(errorPaths(result, 'ptoEntries')).toEqual(['ptoEntries[1].endDate', 'ptoEntries[1].hours', 'ptoEntries[1].repeat', 'ptoEntries[2].date']);
+        expect(result.sections.ptoEntries.errors[0].message).toBe('ptoEntries[1].endDate is before date');
+    });
+
+    test('reports shift pattern problems by path', () => {
+        const result = validateConfig({
+            teamDefs,
+            shiftPatterns: [
+                { appliesTo: 'team', name: 'Paint', hours: [0, 10, 10, 10, 10, 0, 0], startDate: '2025-07-01' },
+                { appliesTo: 'team', name: 'Welding', hours: [0, 8, 8, 8, 8], startDate: '2025-07-01' },
+                { appliesTo: 'crew', name: 'Pat', hours: [0, 8, 8, 8, 8, 8, 25], startDate: '2025-07-01', endDate: '2025-06-01' },
+            ],
+        });
+        expect(errorPaths(result, 'shiftPatterns')).toEqual([
+            'shiftPatterns[1].name',
+            'shiftPatterns[1].hours',
+            'shiftPatterns[2].appliesTo',
+            'shiftPatterns[2].hours[6]',
+            'shiftPatterns[2].endDate',
+        ]);
+    });
+
+    test('reports hybrid worker problems by path, including the older two-team layout', () => {
+        const result = validateConfig({
+            teamDefs,
+            hybridWorkers: [
+                { name: 'Hana', teams: [{ team: 'Paint', target: 60 }, { team: 'Assembly', target: 140, startDate: '2025-08-01', endDate: '2025-07-01' }] },
+                { name: 'Alex', primaryTeam: 'Paint', secondaryTeam: 'Welding' },
+                { name: '', teams: 'Paint' },
+            ],
+        });
+        expect(errorPaths(result, 'hybridWorkers')).toEqual([
+            'hybridWorkers[0].teams[1].target',
+            'hybridWorkers[0].teams[1].endDate',
+            'hybridWorkers[1].secondaryTeam',
+            'hybridWorkers[2].name',
+            'hybridWorkers[2].teams',
+        ]);
+    });
+
+    test('accepts project tasks without an operation, as the project loader does', () => {
+        const task = { Project: 'J1', Store: 'N/A', SKU: 'S1', Order: 1, 'Estimated Hours': 4, StartDate: '2025-07-01', DueDate: '2025-07-31' };
+        const result = validateConfig({ projectTasks: [task, { ...task, Operation: 'Cut' }, { ...task, Operation: 7, Order: 'first' }] });
+        expect(errorPaths(result, 'projectTasks')).toEqual(['projectTasks[2].Operation', 'projectTasks[2].Order']);
+    });
+
+    test('rejects files with no recognized sections', () => {
+        expect(validateConfig([]).errors[0].message).toBe('File must contain a configuration object, found a list');
+        expect(validateConfig({ unrelated: true }).errors[0].message).toBe('File does not contain any recognized configuration sections.');
+    });
+});
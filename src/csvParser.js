@@ -0,0 +1,258 @@
+// RFC 4180 CSV parsing for project uploads and the published Google Sheets.
+//
+// The parser is a small state machine fed one chunk at a time, so quoted fields may contain delimiters, doubled
+// quotes and line breaks, and may span chunk boundaries. On top of the RFC it accepts CR, LF or CRLF line endings,
+// strips a leading UTF-8 byte order mark, and works with ';', tab or '|' delimiters (detected from the first lines
+// when not given). parseCsvAsync reads large files in chunks and yields to the browser between them.
+//
+// Results are { headers, data, errors, delimiter }: data holds one object per row keyed by the trimmed header
+// names, and rows whose field count doesn't match the header are skipped with an error, as before. Each row also
+// has the file line it starts on under the non-enumerable SOURCE_LINE key, so messages about a row can point at
+// the right line after skipped rows or multi-line fields; copying the row ({ ...row }) drops it.
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const DETECTION_SAMPLE_LENGTH = 64 * 1024;
+const DETECTION_RECORDS = 10;
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+
+export const SOURCE_LINE = Symbol('sourceLine');
+
+// The line (or sheet row) a parsed row came from, or fallback for rows built some other way
+export const sourceLine = (row, fallback = null) => row?.[SOURCE_LINE] ?? fallback;
+
+// push(chunk) and flush() each return { records: [{ fields, line }], errors: [{ message }] } for the records
+// completed so far; line is where the record starts in the file
+export const createCsvParser = ({ delimiter = ',' } = {}) => {
+    let field = '';
+    let fields = [];
+    let inQuotes = false;
+    let quoteClosing = false; // a quote inside a quoted field: either the first of "" or the closing quote
+    let atFieldStart = true;
+    let skipLineFeed = false; // just ended a line on CR, so an LF right after it belongs to the same break
+    let isFirstChunk = true;
+    let line = 1;
+    let recordLine = 1;
+    let records = [];
+    let errors = [];
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        atFieldStart = true;
+    };
+    const endRecord = () => {
+        endField();
+        records.push({ fields, line: recordLine });
+        fields = [];
+        recordLine = line;
+    };
+    const take = () => {
+        const result = { records, errors };
+        records = [];
+        errors = [];
+        return result;
+    };
+
+    const push = (chunk) => {
+        let text = chunk;
+        if (isFirstChunk) {
+            isFirstChunk = false;
+            if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+        }
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (ch === '\n') {
+                    i++;
+                    continue;
+                }
+            }
+            if (inQuotes) {
+                if (quoteClosing) {
+                    quoteClosing = false;
+                    if (ch === '"') {
+                        field += '"';
+                        i++;
+                        continue;
+                    }
+                    inQuotes = false; // the quote closed the field; handle ch as unquoted text below
+                } else if (ch === '"') {
+                    quoteClosing = true;
+                    i++;
+                    continue;
+                } else if (ch === '\r' || ch === '\n') {
+                    // Line breaks inside quotes are kept, normalized to \n
+                    field += '\n';
+                    line++;
+                    skipLineFeed = ch === '\r';
+                    i++;
+                    continue;
+                } else {
+                    let end = i + 1;
+                    while (end < text.length && text[end] !== '"' && text[end] !== '\r' && text[end] !== '\n') end++;
+                    field += text.slice(i, end);
+                    i = end;
+                    continue;
+                }
+            }
+            if (ch === '"' && atFieldStart) {
+                inQuotes = true;
+                atFieldStart = false;
+                i++;
+            } else if (ch === delimiter) {
+                endField();
+                i++;
+            } else if (ch === '\r' || ch === '\n') {
+                line++;
+                skipLineFeed = ch === '\r';
+                endRecord();
+                i++;
+            } else {
+                // Plain text up to the next special character. A stray quote mid-field is kept as text.
+                let end = i + 1;
+                while (end < text.length && text[end] !== delimiter && text[end] !== '\r' && text[end] !== '\n') end++;
+                field += text.slice(i, end);
+                atFieldStart = false;
+                i = end;
+            }
+        }
+        return take();
+    };
+
+    const flush = () => {
+        if (inQuotes && !quoteClosing) errors.push({ message: `Quoted field starting on line ${recordLine} is never closed; it runs to the end of the file.` });
+        if (field !== '' || fields.length > 0 || inQuotes) endRecord();
+        inQuotes = false;
+        quoteClosing = false;
+        return take();
+    };
+
+    return { push, flush };
+};
+
+// Picks the candidate that splits the first few records into the most consistent, widest rows; ',' by default
+export const detectDelimiter = (sample) => {
+    const text = sample.slice(0, DETECTION_SAMPLE_LENGTH);
+    let best = { delimiter: ',', score: 0 };
+    DELIMITER_CANDIDATES.forEach(delimiter => {
+        const parser = createCsvParser({ delimiter });
+        const records = [...parser.push(text).records, ...parser.flush().records]
+            .filter(r => r.fields.length > 1 || r.fields[0].trim() !== '')
+            .slice(0, DETECTION_RECORDS);
+        const width = records[0]?.fields.length || 0;
+        if (width < 2) return;
+        const score = records.filter(r => r.fields.length === width).length * 1000 + width;
+        if (score > best.score) best = { delimiter, score };
+    });
+    return best.delimiter;
+};
+
+// Turns parsed records into row objects, taking the first non-blank record as the header
+const createRowCollector = () => {
+    const result = { headers: null, data: [], errors: [] };
+    let recordNumber = 0;
+    const add = ({ records, errors }) => {
+        result.errors.push(...errors);
+        records.forEach(({ fields, line }) => {
+            if (fields.length === 1 && fields[0].trim() === '') return;
+            recordNumber++;
+            if (!result.headers) {
+                result.headers = fields.map(h => h.trim());
+                return;
+            }
+            // Spreadsheet exports sometimes pad rows with empty trailing columns
+            let values = fields;
+            while (values.length > result.headers.length && values[values.length - 1] === '') values = values.slice(0, -1);
+            if (values.length !== result.headers.length) {
+                result.errors.push({ message: `Row ${recordNumber} (line ${line}) has incorrect columns (expected ${result.headers.length}, found ${values.length}). Skipping.` });
+                return;
+            }
+            const row = {};
+            result.headers.forEach((header, index) => { row[header] = values[index]; });
+            Object.defineProperty(row, SOURCE_LINE, { value: line });
+            result.data.push(row);
+        });
+    };
+    const finish = (delimiter) => {
+        if (!result.headers) return { headers: [], data: [], errors: [{ message: 'CSV has no header row.' }], delimiter };
+        if (result.data.length === 0 && result.errors.length === 0) result.errors.push({ message: 'CSV has no data rows.' });
+        return { ...result, delimiter };
+    };
+    return { add, finish };
+};
+
+export const parseCsv = (text, { delimiter } = {}) => {
+    const chosen = delimiter || detectDelimiter(text.replace(/^\uFEFF/, ''));
+    const parser = createCsvParser({ delimiter: chosen });
+    const collector = createRowCollector();
+    collector.add(parser.push(text));
+    collector.add(parser.flush());
+    return collector.finish(chosen);
+};
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Yields the source as text chunks. Blobs (uploaded Files) are streamed and decoded as UTF-8 when the browser
+// supports it; strings are sliced.
+async function* readChunks(source, chunkSize) {
+    if (typeof source === 'string') {
+        for (let i = 0; i < source.length; i += chunkSize) yield source.slice(i, i + chunkSize);
+        return;
+    }
+    if (typeof source.stream !== 'function') {
+        yield* readChunks(await source.text(), chunkSize);
+        return;
+    }
+    const reader = source.stream().getReader();
+    const decoder = new TextDecoder('utf-8');
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            yield decoder.decode(value, { stream: true });
+        }
+        const rest = decoder.decode();
+        if (rest) yield rest;
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+// Same result as parseCsv, for a string or a File/Blob, parsed a chunk at a time with a pause between chunks so
+// the page stays responsive. The delimiter is detected once enough text for a sample has arrived.
+// onProgress(charactersRead) is called after each chunk. Aborting the signal rejects with an AbortError.
+export const parseCsvAsync = async (source, { delimiter, chunkSize = DEFAULT_CHUNK_SIZE, signal, onProgress } = {}) => {
+    const collector = createRowCollector();
+    let parser = null;
+    let chosen = delimiter;
+    let sample = '';
+    let read = 0;
+    const feed = (text) => {
+        if (!parser) {
+            chosen = chosen || detectDelimiter(text.replace(/^\uFEFF/, ''));
+            parser = createCsvParser({ delimiter: chosen });
+        }
+        collector.add(parser.push(text));
+        if (onProgress) onProgress(read);
+    };
+
+    for await (const chunk of readChunks(source, chunkSize)) {
+        if (signal?.aborted) throw Object.assign(new Error('CSV parsing was cancelled.'), { name: 'AbortError' });
+        read += chunk.length;
+        if (!parser) {
+            sample += chunk;
+            if (sample.length < DETECTION_SAMPLE_LENGTH) continue;
+            feed(sample);
+            sample = '';
+        } else {
+            feed(chunk);
+        }
+        await nextTick();
+    }
+    if (sample) feed(sample);
+    if (!parser) return collector.finish(chosen || ',');
+    collector.add(parser.flush());
+    return collector.finish(chosen);
+};
@@ -0,0 +1,109 @@
+import { parseCsv, parseCsvAsync, detectDelimiter, createCsvParser, sourceLine } from './csvParser';
+
+describe('parseCsv', () => {
+    test('parses rows into objects keyed by trimmed headers', () => {
+        const result = parseCsv(' Project ,SKU,Order\nJob A,100,1\nJob B,200,2\n');
+        expect(result.headers).toEqual(['Project', 'SKU', 'Order']);
+        expect(result.data).toEqual([
+            { Project: 'Job A', SKU: '100', Order: '1' },
+            { Project: 'Job B', SKU: '200', Order: '2' },
+        ]);
+        expect(result.errors).toEqual([]);
+    });
+
+    test('keeps delimiters, doubled quotes and line breaks inside quoted fields', () => {
+        const result = parseCsv('SKU,SKU Name,Order\n100,"Shelf, 48"" wide\nwith ""trim""",1\n200,Plain,2');
+        expect(result.data).toEqual([
+            { SKU: '100', 'SKU Name': 'Shelf, 48" wide\nwith "trim"', Order: '1' },
+            { SKU: '200', 'SKU Name': 'Plain', Order: '2' },
+        ]);
+    });
+
+    test('accepts CRLF and CR line endings, normalizing breaks inside quotes to \\n', () => {
+        expect(parseCsv('A,B\r\n1,"x\r\ny"\r\n2,z\r\n').data).toEqual([{ A: '1', B: 'x\ny' }, { A: '2', B: 'z' }]);
+        expect(parseCsv('A,B\r1,2\r3,4').data).toEqual([{ A: '1', B: '2' }, { A: '3', B: '4' }]);
+    });
+
+    test('strips a UTF-8 byte order mark from the first header', () => {
+        const result = parseCsv('\uFEFFProject,SKU\nJob A,100');
+        expect(result.headers).toEqual(['Project', 'SKU']);
+        expect(result.data[0].Project).toBe('Job A');
+    });
+
+    test('detects semicolon and tab delimiters', () => {
+        const semicolon = parseCsv('Project;Value\nJob A;"1,5"\nJob B;2');
+        expect(semicolon.delimiter).toBe(';');
+        expect(semicolon.data).toEqual([{ Project: 'Job A', Value: '1,5' }, { Project: 'Job B', Value: '2' }]);
+
+        const tab = parseCsv('Project\tSKU Name\nJob A\tShelf, large');
+        expect(tab.delimiter).toBe('\t');
+        expect(tab.data).toEqual([{ Project: 'Job A', 'SKU Name': 'Shelf, large' }]);
+    });
+
+    test('skips blank lines and rows with the wrong number of fields, reporting them', () => {
+        const result = parseCsv('A,B\n1,2\n\n3\n4,5,6\n7,8');
+        expect(result.data).toEqual([{ A: '1', B: '2' }, { A: '7', B: '8' }]);
+        expect(result.errors.map(e => e.message)).toEqual([
+            'Row 3 (line 4) has incorrect columns (expected 2, found 1). Skipping.',
+            'Row 4 (line 5) has incorrect columns (expected 2, found 3). Skipping.',
+        ]);
+    });
+
+    test('records the line each row starts on, past blank lines, skipped rows and multi-line fields', () => {
+        const result = parseCsv('A,B\n1,"two\nlines"\n\n3\n4,5\n');
+        expect(result.data.map(row => sourceLine(row))).toEqual([2, 6]);
+        expect(sourceLine({ ...result.data[0] }, 'copied')).toBe('copied');
+    });
+
+    test('tolerates empty trailing columns added by spreadsheet exports', () => {
+        expect(parseCsv('A,B\n1,2,,\n').data).toEqual([{ A: '1', B: '2' }]);
+    });
+
+    test('reports a quoted field that is never closed', () => {
+        const result = parseCsv('A,B\n1,"open\n2,3');
+        expect(result.errors[0].message).toMatch(/never closed/);
+    });
+
+    test('reports files without data rows', () => {
+        expect(parseCsv('A,B\n').errors).toEqual([{ message: 'CSV has no data rows.' }]);
+        expect(parseCsv('').errors).toEqual([{ message: 'CSV has no header row.' }]);
+    });
+});
+
+describe('detectDelimiter', () => {
+    test('falls back to a comma when nothing splits the header', () => {
+        expect(detectDelimiter('Project\nJob A')).toBe(',');
+    });
+
+    test('ignores delimiters inside quoted fields', () => {
+        expect(detectDelimiter('"a;b";"c;d"\n"1,2";"3,4"')).toBe(';');
+    });
+});
+
+describe('createCsvParser', () => {
+    test('carries quotes and line breaks across chunk boundaries', () => {
+        const parser = createCsvParser();
+        const records = [];
+        ['A,"x', '""', '"\r', '\nB,', 'y'].forEach(chunk => records.push(...parser.push(chunk).records));
+        records.push(...parser.flush().records);
+        expect(records.map(r => r.fields)).toEqual([['A', 'x"'], ['B', 'y']]);
+        expect(records.map(r => r.line)).toEqual([1, 2]);
+    });
+});
+
+describe('parseCsvAsync', () => {
+    test('gives the same result as parseCsv when read in small chunks', async () => {
+        const text = '\uFEFFProject;SKU Name;Hours\r\nJob A;"Shelf;\r\n""tall""";3\r\nJob B;Sign;4\r\n';
+        const progress = [];
+        const result = await parseCsvAsync(text, { chunkSize: 5, onProgress: read => progress.push(read) });
+        expect(result).toEqual(parseCsv(text));
+        expect(result.data[0]['SKU Name']).toBe('Shelf;\n"tall"');
+        expect(progress[progress.length - 1]).toBe(text.length);
+    });
+
+    test('stops when the signal is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await expect(parseCsvAsync('A,B\n1,2', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
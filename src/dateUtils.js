@@ -0,0 +1,35 @@
+// Helper function to parse dates, robust to different formats
+export const parseDate = (dateStr) => {
+    if (!dateStr || typeof dateStr !== 'string') return null;
+    // Handles both YYYY-MM-DD and YYYY/MM/DD
+    const sanitizedStr = dateStr.replace(/-/g, '/');
+    const date = new Date(sanitizedStr);
+    // Check if the parsed date is valid
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Helper to format date to an ISO string (YYYY-MM-DD)
+export const formatDate = (date) => {
+    if (!date) return '';
+    const dateObj = date instanceof Date ? date : parseDate(date);
+    if (!dateObj || isNaN(dateObj.getTime())) return '';
+    return dateObj.toISOString().split('T')[0];
+};
+
+// Helper to format date for Gantt chart (M/D)
+export const formatDateForGantt = (dateStr) => {
+    if (!dateStr) return '';
+    const d = dateStr instanceof Date ? dateStr : parseDate(dateStr);
+    if (!d) return '';
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+};
+
+// Helper to add days to a date
+export const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+// Local-time YYYY-MM-DD key; unlike formatDate it never shifts the day for time zones ahead of UTC
+export const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
@@ -0,0 +1,139 @@
+import { parseDate, addDays, toDateKey } from './dateUtils';
+
+// iCalendar (RFC 5545) export of schedule results: job milestones from the project summary, and per-team or
+// per-member assignment calendars from the daily work log. All events are all-day events.
+//
+// UIDs are derived from the schedule name and the event's subject rather than generated, so importing a newer
+// export into the same calendar updates the existing events instead of duplicating them.
+
+const PRODUCT_ID = '-//Production Scheduling Engine//Schedule Export//EN';
+const UID_DOMAIN = 'production-scheduler';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const slug = (value) => String(value ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// UTF-8 length of a single character
+const octetLength = (char) => {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+};
+
+// Long lines are folded at 75 octets with CRLF + space, without splitting a multi-byte character
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const char of line) {
+        const octets = octetLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const toIcsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const normalizeDateKey = (value) => {
+    if (value instanceof Date) return toDateKey(value);
+    const parsed = parseDate(value);
+    return parsed ? toDateKey(parsed) : null;
+};
+
+// events: [{ uid, start, end?, summary, description?, categories? }] with start/end as YYYY-MM-DD; end is the
+// last day of the event (inclusive) and defaults to start. Returns the .ics text.
+export const buildCalendar = ({ name, events }) => {
+    const stamp = toIcsTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+    events.forEach(event => {
+        const lastDay = parseDate(event.end || event.start);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}@${UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toIcsDate(event.start)}`,
+            `DTEND;VALUE=DATE:${toIcsDate(toDateKey(addDays(lastDay, 1)))}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Start, finish and due events for each job. Jobs are the project summary rows ({ Project, Store, StartDate,
+// FinishDate, DueDate, daysVariance, unfinished }); startDates and dueDates override the dates per project, as the
+// summary table does. Jobs the run couldn't finish have no finish event and say so on their due event.
+export const buildJobMilestoneEvents = (projectSummary, { scheduleName = '', startDates = {}, dueDates = {} } = {}) => projectSummary.flatMap(job => {
+    const base = `${slug(scheduleName) || 'schedule'}-${slug(job.Project)}`;
+    const start = normalizeDateKey(startDates[job.Project] || job.StartDate);
+    const finish = normalizeDateKey(job.FinishDate);
+    const due = normalizeDateKey(dueDates[job.Project] || job.DueDate);
+    const lateNote = typeof job.daysVariance === 'number' && job.daysVariance < 0 ? ` (${Math.abs(job.daysVariance)} day(s) late)` : '';
+    const description = [`Store: ${job.Store}`, start && `Scheduled start: ${start}`, finish && `Projected finish: ${finish}`, due && `Due: ${due}`].filter(Boolean).join('\n');
+    const events = [];
+    if (start) events.push({ uid: `${base}-start`, start, summary: `Start: ${job.Project}`, description, categories: ['Job start'] });
+    if (finish) events.push({ uid: `${base}-finish`, start: finish, summary: `Finish: ${job.Project}${lateNote}`, description, categories: ['Job finish'] });
+    if (due) events.push({ uid: `${base}-due`, start: due, summary: `Due: ${job.Project}${job.unfinished ? ' (not finished)' : ''}`, description, categories: ['Job due'] });
+    return events;
+});
+
+// One event per assignment (job, SKU and operation) for the chosen team or team member, spanning the first to
+// the last day it is worked. by is 'team' (matches row.Team) or 'member' (matches row.TeamMember).
+export const buildAssignmentEvents = (finalSchedule, { by, value, scheduleName = '' }) => {
+    const spans = new Map();
+    finalSchedule.forEach(row => {
+        if ((by === 'team' ? row.Team : row.TeamMember) !== value) return;
+        const date = normalizeDateKey(row.Date);
+        if (!date) return;
+        const key = `${row.Project}|${row.SKU}|${row.Operation}`;
+        if (!spans.has(key)) spans.set(key, { row, start: date, end: date, hours: 0, people: new Set() });
+        const span = spans.get(key);
+        if (date < span.start) span.start = date;
+        if (date > span.end) span.end = date;
+        span.hours += Number(row['Time Spent (Hours)']) || 0;
+        span.people.add(row.TeamMemberName || row.TeamMember);
+    });
+    const base = `${slug(scheduleName) || 'schedule'}-${by}-${slug(value)}`;
+    return [...spans.values()]
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map(({ row, start, end, hours, people }) => ({
+            uid: `${base}-${slug(row.Project)}-${slug(row.SKU)}-${slug(row.Operation)}`,
+            start,
+            end,
+            summary: `${row.Operation}: ${row.Project} (${row.SKU})`,
+            description: [
+                `Job: ${row.Project} (${row.Store})`,
+                `SKU: ${row.SKU}${row['SKU Name'] ? ` - ${row['SKU Name']}` : ''}`,
+                `Operation: ${row.Operation} (${row.Team})`,
+                `Scheduled hours: ${hours.toFixed(1)}`,
+                by === 'team' ? `Team members: ${[...people].join(', ')}` : null,
+            ].filter(Boolean).join('\n'),
+            categories: [row.Team],
+        }));
+};
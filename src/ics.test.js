@@ -0,0 +1,55 @@
+import { buildCalendar, buildJobMilestoneEvents, buildAssignmentEvents } from './ics';
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('buildCalendar', () => {
+    test('writes all-day events with an exclusive end date, escaped text and CRLF line endings', () => {
+        const text = buildCalendar({ name: 'Plan', events: [{ uid: 'a', start: '2025-07-01', end: '2025-07-03', summary: 'Paint; coat, 2', description: 'line 1\nline 2' }] });
+        expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(text.split('\r\n').every(line => !line.includes('\n'))).toBe(true);
+        expect(text).toContain('DTSTART;VALUE=DATE:20250701\r\nDTEND;VALUE=DATE:20250704');
+        expect(text).toContain('SUMMARY:Paint\\; coat\\, 2');
+        expect(text).toContain('DESCRIPTION:line 1\\nline 2');
+        expect(text).toContain('UID:a@production-scheduler');
+    });
+
+    test('folds lines longer than 75 octets without splitting characters', () => {
+        const summary = `${'x'.repeat(100)}${'é'.repeat(60)}`;
+        const text = buildCalendar({ name: 'Plan', events: [{ uid: 'a', start: '2025-07-01', summary }] });
+        expect(text.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+        expect(unfold(text)).toContain(`SUMMARY:${summary}`);
+    });
+});
+
+describe('buildJobMilestoneEvents', () => {
+    test('creates start, finish and due events with stable ids and the overridden dates', () => {
+        const events = buildJobMilestoneEvents(
+            [{ Project: 'Job A', Store: 'Store 1', StartDate: '2025-07-01', FinishDate: '2025-07-20', DueDate: '2025-07-15', daysVariance: -5 }],
+            { scheduleName: 'July Plan', dueDates: { 'Job A': '2025-07-18' } },
+        );
+        expect(events.map(e => [e.uid, e.start, e.summary])).toEqual([
+            ['july-plan-job-a-start', '2025-07-01', 'Start: Job A'],
+            ['july-plan-job-a-finish', '2025-07-20', 'Finish: Job A (5 day(s) late)'],
+            ['july-plan-job-a-due', '2025-07-18', 'Due: Job A'],
+        ]);
+    });
+
+    test('marks jobs the run could not finish on their due event', () => {
+        const events = buildJobMilestoneEvents([{ Project: 'Job B', Store: 'Store 1', StartDate: '2025-07-01', FinishDate: null, DueDate: '2025-07-15', daysVariance: null, unfinished: true }]);
+        expect(events.map(e => e.summary)).toEqual(['Start: Job B', 'Due: Job B (not finished)']);
+    });
+});
+
+describe('buildAssignmentEvents', () => {
+    test('spans each operation over the days the chosen member works it', () => {
+        const row = { Project: 'Job A', Store: 'Store 1', SKU: '100', Operation: 'Paint', Team: 'Paint', TeamMember: 'p1', TeamMemberName: 'Pat' };
+        const events = buildAssignmentEvents([
+            { ...row, Date: '2025-07-02', 'Time Spent (Hours)': 4 },
+            { ...row, Date: '2025-07-01', 'Time Spent (Hours)': 8 },
+            { ...row, TeamMember: 'p2', Date: '2025-07-05', 'Time Spent (Hours)': 8 },
+        ], { by: 'member', value: 'p1' });
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ start: '2025-07-01', end: '2025-07-02', summary: 'Paint: Job A (100)' });
+        expect(events[0].description).toContain('Scheduled hours: 12.0');
+    });
+});
@@ -0,0 +1,217 @@
+// Client for the scheduling server's background jobs (/api/schedule and /api/optimize).
+//
+// Jobs are started with a POST that answers 202 { jobId }, then polled at /api/schedule/status/:jobId until they
+// complete. Polling backs off while a job reports no progress, and transient failures (network errors, 5xx, 429)
+// are retried with exponential backoff instead of failing the run. The in-flight job id is kept in localStorage so
+// a page refresh can pick the job back up.
+//
+// Servers that support it can also stream a job over server-sent events at /api/schedule/stream/:jobId:
+//   progress  { progress, message, step }   as the job moves
+//   partial   { logs, completedJobs }       work finished so far, for live feedback
+//   complete  { result }                    sent once; the stream closes after it
+//   failed    { error }                     the job failed on the server
+// followJob prefers the stream and falls back to polling when the server or browser doesn't support it.
+
+const ACTIVE_JOBS_KEY = 'scheduler-active-jobs';
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export class JobCancelledError extends Error {
+    constructor(message = 'The job was cancelled.') {
+        super(message);
+        this.name = 'JobCancelledError';
+    }
+}
+
+const transientError = (message) => Object.assign(new Error(message), { transient: true });
+
+// Resolves after ms, or rejects with JobCancelledError as soon as the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new JobCancelledError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new JobCancelledError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Errors from an unreachable server (network failure, timeout, or a gateway error while it wakes up) are
+// flagged `unreachable`, so callers can fall back to running the job in the browser
+export const startJob = async (baseUrl, path, payload, { signal, timeoutMs = 0 } = {}) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    let response;
+    try {
+        response = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: controller.signal,
+        });
+    } catch (err) {
+        if (signal?.aborted) throw new JobCancelledError();
+        const reason = controller.signal.aborted ? `no response after ${Math.round(timeoutMs / 1000)}s` : err.message;
+        throw Object.assign(new Error(`Could not reach the scheduling server (${reason})`), { unreachable: true });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+    if (response.status !== 202) {
+        const errorResult = await response.json().catch(() => ({}));
+        const error = new Error(errorResult.error || `The server refused the job (status ${response.status}).`);
+        if ([502, 503, 504].includes(response.status)) error.unreachable = true;
+        throw error;
+    }
+    const { jobId } = await response.json();
+    return jobId;
+};
+
+const fetchJobStatus = async (baseUrl, jobId, signal) => {
+    let response;
+    try {
+        response = await fetch(`${baseUrl}/api/schedule/status/${jobId}`, { signal });
+    } catch (err) {
+        if (signal?.aborted) throw new JobCancelledError();
+        throw transientError(`Could not reach the scheduling server (${err.message})`);
+    }
+    if (response.status === 404) throw new Error(`Job ${jobId} no longer exists on the server; it may have expired.`);
+    if (!response.ok) {
+        const message = `Status check failed with status: ${response.status}`;
+        throw TRANSIENT_STATUSES.has(response.status) ? transientError(message) : new Error(message);
+    }
+    return response.json();
+};
+
+// Polls until the job completes and resolves with its result (null if the server already handed it out).
+// onStatus receives every status payload; onRetry(error, attempt, delayMs) is called before each retry.
+export const pollJob = async (baseUrl, jobId, { signal, onStatus, onRetry, initialDelayMs = 1000, maxDelayMs = 8000, maxRetries = 5 } = {}) => {
+    let delay = initialDelayMs;
+    let failures = 0;
+    let lastProgress = null;
+    for (;;) {
+        await wait(delay, signal);
+        let jobStatus;
+        try {
+            jobStatus = await fetchJobStatus(baseUrl, jobId, signal);
+            failures = 0;
+        } catch (err) {
+            if (!err.transient || failures >= maxRetries) throw err;
+            failures += 1;
+            delay = Math.min(maxDelayMs, initialDelayMs * 2 ** failures);
+            if (onRetry) onRetry(err, failures, delay);
+            continue;
+        }
+
+        if (onStatus) onStatus(jobStatus);
+        if (jobStatus.status === 'complete') return jobStatus.result || null;
+        if (jobStatus.status === 'error') throw new Error(jobStatus.error || 'The job failed on the server.');
+        if (jobStatus.status === 'cancelled') throw new JobCancelledError('The job was cancelled on the server.');
+
+        // Poll quickly while the job is moving, and back off while it sits on the same progress
+        delay = jobStatus.progress !== lastProgress ? initialDelayMs : Math.min(maxDelayMs, Math.round(delay * 1.5));
+        lastProgress = jobStatus.progress;
+    }
+};
+
+// Streams one job's events; rejects with { streamUnavailable: true } if the stream can't be (or stops being) used,
+// so the caller can fall back to polling
+export const streamJob = (baseUrl, jobId, { signal, onStatus, onPartial, maxReconnects = 3 } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new JobCancelledError());
+        return;
+    }
+    const source = new EventSource(`${baseUrl}/api/schedule/stream/${jobId}`);
+    let opened = false;
+    let reconnects = 0;
+    const finish = (settle, value) => {
+        source.close();
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+    };
+    const onAbort = () => finish(reject, new JobCancelledError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const parse = (event) => {
+        try {
+            return JSON.parse(event.data);
+        } catch (err) {
+            return {};
+        }
+    };
+    source.onopen = () => { opened = true; };
+    source.addEventListener('progress', (event) => {
+        reconnects = 0;
+        if (onStatus) onStatus({ status: 'running', ...parse(event) });
+    });
+    source.addEventListener('partial', (event) => {
+        if (onPartial) onPartial(parse(event));
+    });
+    source.addEventListener('complete', (event) => finish(resolve, parse(event).result || null));
+    source.addEventListener('failed', (event) => finish(reject, new Error(parse(event).error || 'The job failed on the server.')));
+    source.addEventListener('cancelled', () => finish(reject, new JobCancelledError('The job was cancelled on the server.')));
+    // Connection errors: EventSource reconnects on its own, but give up if it never connected, was closed for good
+    // (e.g. a 404 from a server without streaming), or keeps dropping
+    source.onerror = () => {
+        reconnects += 1;
+        if (!opened || source.readyState === EventSource.CLOSED || reconnects > maxReconnects) {
+            finish(reject, Object.assign(new Error('Progress stream unavailable'), { streamUnavailable: true }));
+        }
+    };
+});
+
+// Follows a job to completion over the stream when possible, otherwise by polling. transport is 'auto' or 'polling'.
+export const followJob = async (baseUrl, jobId, { transport = 'auto', onFallback, ...options } = {}) => {
+    if (transport !== 'polling' && typeof window !== 'undefined' && window.EventSource) {
+        try {
+            return await streamJob(baseUrl, jobId, options);
+        } catch (err) {
+            if (!err.streamUnavailable) throw err;
+            if (onFallback) onFallback(err);
+        }
+    }
+    return pollJob(baseUrl, jobId, options);
+};
+
+// A job that already finished or expired has nothing to cancel, so a 404 counts as success
+export const cancelJob = async (baseUrl, jobId) => {
+    const response = await fetch(`${baseUrl}/api/schedule/cancel/${jobId}`, { method: 'POST' });
+    if (!response.ok && response.status !== 404) {
+        throw new Error(`Cancel request failed with status: ${response.status}`);
+    }
+};
+
+// --- Active job persistence ---
+// kind is 'schedule' or 'optimize'; job is { jobId, startedAt, ...whatever the caller needs to resume }
+
+const readActiveJobs = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(ACTIVE_JOBS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+};
+
+const writeActiveJobs = (jobs) => {
+    try {
+        window.localStorage.setItem(ACTIVE_JOBS_KEY, JSON.stringify(jobs));
+    } catch (err) {
+        // Storage full or disabled: the job still runs, it just can't be resumed after a refresh
+    }
+};
+
+export const loadActiveJob = (kind) => readActiveJobs()[kind] || null;
+
+export const saveActiveJob = (kind, job) => writeActiveJobs({ ...readActiveJobs(), [kind]: { ...job, startedAt: new Date().toISOString() } });
+
+export const clearActiveJob = (kind) => {
+    const { [kind]: removed, ...rest } = readActiveJobs();
+    writeActiveJobs(rest);
+};
@@ -0,0 +1,132 @@
+import { addDays, toDateKey } from './dateUtils';
+import { isWorkingDay } from './capacity';
+
+// Root-cause analysis for a late job: where did its work sit waiting, and which teams does that delay trace back to?
+//
+// A task "waits" on a day when it was ready to work (the previous operation on its SKU had finished) and still
+// had hours remaining, but nobody logged time on it. Waits come from dailyPrioritySnapshots when the run has
+// them; older runs fall back to the gaps between consecutive operations in finalSchedule, counting only working
+// days (no weekends or holidays), as the Gantt chart does.
+//
+// Only waits on the critical SKU (the one that finished last) push out the job's finish date, so the estimated
+// cost per team is that team's share of the critical waits, scaled to the number of days the job is late. A job
+// the run couldn't finish (unfinished: true) is late by at least the days from its due date to its last work,
+// and all of its critical waits count.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const toKey = (value) => String(value || '').slice(0, 10);
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / DAY_MS);
+
+// Work log spans for every SKU/operation of one job, in routing order
+const buildOperationSpans = (project, finalSchedule) => {
+    const spans = {};
+    finalSchedule.forEach(row => {
+        if (row.Project !== project) return;
+        const date = toKey(row.Date);
+        const key = `${row.SKU}|${row.Operation}`;
+        if (!spans[key]) spans[key] = { sku: row.SKU, operation: row.Operation, team: row.Team, order: Number(row.Order) || 0, start: date, end: date, workDays: new Set() };
+        const span = spans[key];
+        if (date < span.start) span.start = date;
+        if (date > span.end) span.end = date;
+        span.workDays.add(date);
+    });
+    return Object.values(spans).sort((a, b) => String(a.sku).localeCompare(String(b.sku)) || a.order - b.order);
+};
+
+// holidays is a Set of YYYY-MM-DD keys
+export const analyzeLateJob = (jobSummary, { finalSchedule = [], dailyPrioritySnapshots = [], dueDate, holidays = new Set() } = {}) => {
+    const project = jobSummary.Project;
+    const unfinished = Boolean(jobSummary.unfinished);
+    const spans = buildOperationSpans(project, finalSchedule);
+    if (spans.length === 0) return null;
+
+    // Previous operation's finish on the same SKU gates when each operation becomes ready
+    const readyAfter = {};
+    spans.forEach((span, i) => {
+        const previous = spans[i - 1];
+        readyAfter[`${span.sku}|${span.operation}`] = previous && previous.sku === span.sku ? previous.end : null;
+    });
+    const spanByKey = Object.fromEntries(spans.map(span => [`${span.sku}|${span.operation}`, span]));
+
+    const waits = {};
+    const addWait = (key, date) => {
+        if (!waits[key]) waits[key] = new Set();
+        waits[key].add(date);
+    };
+
+    const snapshots = dailyPrioritySnapshots.filter(s => s.Project === project);
+    const source = snapshots.length > 0 ? 'snapshots' : 'gaps';
+    if (source === 'snapshots') {
+        snapshots.forEach(snap => {
+            const key = `${snap.SKU}|${snap.Operation}`;
+            const span = spanByKey[key];
+            const date = toKey(snap.Date);
+            if (!span || !(Number(snap.HoursRemaining) > 0) || span.workDays.has(date)) return;
+            const ready = readyAfter[key];
+            if (ready && date <= ready) return;
+            if (date > span.end) return;
+            addWait(key, date);
+        });
+    } else {
+        spans.forEach(span => {
+            const key = `${span.sku}|${span.operation}`;
+            const ready = readyAfter[key];
+            if (!ready) return;
+            const firstWorkDay = new Date(`${span.start}T00:00:00`);
+            for (let date = addDays(new Date(`${ready}T00:00:00`), 1); date < firstWorkDay; date = addDays(date, 1)) {
+                if (isWorkingDay(date, holidays)) addWait(key, toDateKey(date));
+            }
+        });
+    }
+
+    const finishDate = spans.reduce((max, span) => (span.end > max ? span.end : max), '');
+    const criticalSku = spans.find(span => span.end === finishDate)?.sku;
+    const due = toKey(dueDate || jobSummary.DueDate);
+    const daysLate = unfinished
+        ? Math.max(0, due ? daysBetween(due, finishDate) : 0)
+        : Math.max(0, -Number(jobSummary.daysVariance) || 0);
+
+    const operations = spans
+        .map(span => {
+            const dates = [...(waits[`${span.sku}|${span.operation}`] || [])].sort();
+            return {
+                sku: span.sku,
+                operation: span.operation,
+                team: span.team,
+                start: span.start,
+                end: span.end,
+                waitDays: dates.length,
+                firstWait: dates[0] || null,
+                lastWait: dates[dates.length - 1] || null,
+                critical: span.sku === criticalSku,
+            };
+        })
+        .filter(op => op.waitDays > 0)
+        .sort((a, b) => b.waitDays - a.waitDays);
+
+    const teamTotals = {};
+    operations.forEach(op => {
+        if (!teamTotals[op.team]) teamTotals[op.team] = { team: op.team, waitDays: 0, criticalWaitDays: 0 };
+        teamTotals[op.team].waitDays += op.waitDays;
+        if (op.critical) teamTotals[op.team].criticalWaitDays += op.waitDays;
+    });
+    const totalCriticalWait = Object.values(teamTotals).reduce((sum, t) => sum + t.criticalWaitDays, 0);
+    const scale = totalCriticalWait > 0 ? (unfinished ? 1 : Math.min(1, daysLate / totalCriticalWait)) : 0;
+    const teams = Object.values(teamTotals)
+        .map(t => ({ ...t, estimatedDaysCost: Math.round(t.criticalWaitDays * scale * 10) / 10 }))
+        .sort((a, b) => b.estimatedDaysCost - a.estimatedDaysCost || b.waitDays - a.waitDays);
+
+    return {
+        project,
+        unfinished,
+        daysLate,
+        dueDate: dueDate || jobSummary.DueDate,
+        finishDate,
+        criticalSku,
+        source,
+        operations,
+        teams,
+        // Late days the waits don't explain: the critical SKU's hands-on work alone runs past the due date
+        unexplainedDays: Math.max(0, Math.round((daysLate - totalCriticalWait * scale) * 10) / 10),
+    };
+};
@@ -0,0 +1,48 @@
+import { analyzeLateJob } from './lateJobAnalysis';
+
+const work = (date, sku, operation, team, order) => ({ Date: date, Project: 'J1', SKU: sku, Operation: operation, Team: team, Order: order, 'Time Spent (Hours)': 8 });
+const byTeam = (teams) => Object.fromEntries(teams.map(({ team, ...t }) => [team, t]));
+
+describe('analyzeLateJob', () => {
+    test('totals each team\'s waits from the daily snapshots and spreads the late days over the critical ones', () => {
+        const finalSchedule = [
+            work('2025-03-03', 'A', 'Weld', 'Metal', 1), work('2025-03-05', 'A', 'Weld', 'Metal', 1), work('2025-03-07', 'A', 'Paint', 'Paint', 2),
+            work('2025-03-03', 'B', 'Paint', 'Paint', 1),
+        ];
+        const snapshot = (date, sku, operation, hours) => ({ Date: date, Project: 'J1', SKU: sku, Operation: operation, HoursRemaining: hours });
+        const dailyPrioritySnapshots = [
+            snapshot('2025-03-04', 'A', 'Weld', 4), // waiting on Metal
+            snapshot('2025-03-05', 'A', 'Paint', 8), // Weld not finished yet, so not ready
+            snapshot('2025-03-06', 'A', 'Paint', 8), // waiting on Paint
+            snapshot('2025-03-03', 'B', 'Paint', 8), // worked that day
+        ];
+        const analysis = analyzeLateJob({ Project: 'J1', DueDate: '2025-03-06', daysVariance: -1 }, { finalSchedule, dailyPrioritySnapshots });
+        expect(analysis).toMatchObject({ source: 'snapshots', daysLate: 1, finishDate: '2025-03-07', criticalSku: 'A', unexplainedDays: 0 });
+        expect(byTeam(analysis.teams)).toEqual({
+            Metal: { waitDays: 1, criticalWaitDays: 1, estimatedDaysCost: 0.5 },
+            Paint: { waitDays: 1, criticalWaitDays: 1, estimatedDaysCost: 0.5 },
+        });
+    });
+
+    test('falls back to gaps between operations, counting only working days', () => {
+        const finalSchedule = [
+            work('2025-03-03', 'A', 'Weld', 'Metal', 1), work('2025-03-10', 'A', 'Paint', 'Paint', 2),
+            work('2025-03-03', 'B', 'Weld', 'Metal', 1), work('2025-03-05', 'B', 'Paint', 'Paint', 2),
+        ];
+        const analysis = analyzeLateJob({ Project: 'J1', DueDate: '2025-03-05', daysVariance: -5 }, { finalSchedule, holidays: new Set(['2025-03-06']) });
+        expect(analysis).toMatchObject({ source: 'gaps', daysLate: 5, criticalSku: 'A', unexplainedDays: 2 });
+        // A waits Tue, Wed and Fri (Thursday is a holiday, then the weekend); B waits Tuesday
+        expect(analysis.operations.map(op => [op.sku, op.operation, op.waitDays, op.firstWait, op.lastWait])).toEqual([
+            ['A', 'Paint', 3, '2025-03-04', '2025-03-07'],
+            ['B', 'Paint', 1, '2025-03-04', '2025-03-04'],
+        ]);
+        expect(byTeam(analysis.teams)).toEqual({ Paint: { waitDays: 4, criticalWaitDays: 3, estimatedDaysCost: 3 } });
+    });
+
+    test('counts a job the run could not finish as late through its last work', () => {
+        const finalSchedule = [work('2025-03-03', 'A', 'Weld', 'Metal', 1), work('2025-03-07', 'A', 'Paint', 'Paint', 2)];
+        const analysis = analyzeLateJob({ Project: 'J1', DueDate: '2025-03-04', daysVariance: null, unfinished: true }, { finalSchedule });
+        expect(analysis).toMatchObject({ unfinished: true, daysLate: 3 });
+        expect(byTeam(analysis.teams)).toEqual({ Paint: { waitDays: 3, criticalWaitDays: 3, estimatedDaysCost: 3 } });
+    });
+});
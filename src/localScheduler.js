@@ -0,0 +1,26 @@
+import { JobCancelledError } from './jobClient';
+
+// Runs a schedule payload through the in-browser engine in a Web Worker. Resolves with the same result shape
+// as the server's /api/schedule job; aborting the signal terminates the worker.
+export const runInBrowser = (payload, { signal, onStatus } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new JobCancelledError());
+        return;
+    }
+    const worker = new Worker(new URL('./scheduler.worker.js', import.meta.url));
+    const finish = (settle, value) => {
+        worker.terminate();
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+    };
+    const onAbort = () => finish(reject, new JobCancelledError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+        if (data.type === 'progress' && onStatus) onStatus(data);
+        else if (data.type === 'complete') finish(resolve, data.result);
+        else if (data.type === 'error') finish(reject, new Error(data.error));
+    };
+    worker.onerror = (event) => finish(reject, new Error(event.message || 'The in-browser scheduler crashed.'));
+    worker.postMessage({ payload });
+});
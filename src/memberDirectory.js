@@ -0,0 +1,112 @@
+import { parseCsv, sourceLine } from './csvParser';
+
+// Team member directory: names, efficiency (overall and per operation) and skill tags, edited in the app on top
+// of the published efficiency sheet. The directory is stored as edits keyed by member id:
+//
+//   { [memberId]: { name, efficiency, operations: { [operation]: efficiency }, skills: [tag] } }
+//
+// Efficiencies are fractions (0.9 = 90%), as in the sheet. A null or missing efficiency keeps the sheet's value.
+// Skill tags name teams or operations; a hybrid worker with tags only picks up work that matches one.
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const OPERATION_COLUMN_PREFIX = 'Efficiency: ';
+
+export const parseSkills = (text) => [...new Set(String(text || '').split(/[,;]/).map(s => s.trim()).filter(Boolean))];
+
+// '85%', '85' and '0.85' all read as 0.85; anything else is null
+export const parseEfficiency = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    const number = parseFloat(text.replace('%', ''));
+    if (!Number.isFinite(number) || number <= 0) return null;
+    return text.includes('%') || number > 3 ? number / 100 : number;
+};
+
+export const formatEfficiency = (value) => (Number(value) > 0 ? `${Math.round(Number(value) * 1000) / 10}%` : '');
+
+// One row per known member: everyone in the sheet, in the directory, or named elsewhere in the inputs (roster
+// changes, hybrid workers). Rows are { id, name, efficiency, sheetEfficiency, operations, skills, edited },
+// sorted by name.
+export const listDirectoryMembers = ({ memberDirectory = {}, efficiencyData = {}, teamMemberNameMap = {}, otherMemberIds = [] }) => {
+    const ids = new Set([...Object.keys(teamMemberNameMap), ...Object.keys(efficiencyData), ...Object.keys(memberDirectory), ...otherMemberIds.filter(Boolean)]);
+    return [...ids].map(id => {
+        const entry = memberDirectory[id] || {};
+        const sheetEfficiency = Number(efficiencyData[id]) > 0 ? Number(efficiencyData[id]) : null;
+        return {
+            id,
+            name: entry.name || teamMemberNameMap[id] || id,
+            efficiency: Number(entry.efficiency) > 0 ? Number(entry.efficiency) : sheetEfficiency,
+            sheetEfficiency,
+            operations: entry.operations || {},
+            skills: entry.skills || [],
+            edited: Boolean(memberDirectory[id]),
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+};
+
+// Scheduler payload fields from the sheet plus the directory's edits. efficiencyData and teamMemberNameMap keep
+// their original shapes; operationEfficiency ({ [memberId]: { [operation]: efficiency } }) and memberSkills
+// ({ [memberId]: [tag] }) only list members that have any.
+export const buildEfficiencyInputs = ({ memberDirectory = {}, efficiencyData = {}, teamMemberNameMap = {} }) => {
+    const inputs = { efficiencyData: { ...efficiencyData }, teamMemberNameMap: { ...teamMemberNameMap }, operationEfficiency: {}, memberSkills: {} };
+    Object.entries(memberDirectory).forEach(([id, entry]) => {
+        if (entry.name) inputs.teamMemberNameMap[id] = entry.name;
+        if (Number(entry.efficiency) > 0) inputs.efficiencyData[id] = Number(entry.efficiency);
+        const operations = Object.fromEntries(Object.entries(entry.operations || {}).filter(([, value]) => Number(value) > 0).map(([op, value]) => [op, Number(value)]));
+        if (Object.keys(operations).length > 0) inputs.operationEfficiency[id] = operations;
+        if (entry.skills?.length) inputs.memberSkills[id] = entry.skills;
+    });
+    return inputs;
+};
+
+// CSV rows for export. The first three columns match the efficiency sheet, so the file can also be published
+// as the sheet; each operation gets an "Efficiency: <operation>" column.
+export const directoryToRows = (members, operations) => members.map(member => ({
+    TeamMemberNumber: member.id,
+    TeamMemberName: member.name,
+    Efficiency: formatEfficiency(member.efficiency),
+    Skills: member.skills.join('; '),
+    ...Object.fromEntries(operations.map(op => [`${OPERATION_COLUMN_PREFIX}${op}`, formatEfficiency(member.operations[op])])),
+}));
+
+// Reads an exported directory, or the efficiency sheet itself, into directory entries: { entries, warnings }
+export const parseDirectoryCsv = (text) => {
+    const { headers, data, errors } = parseCsv(text);
+    const warnings = errors.map(e => e.message);
+    const find = (...names) => headers.find(h => names.map(normalizeHeader).includes(normalizeHeader(h)));
+    const idColumn = find('TeamMemberNumber', 'Member Number', 'Member Id', 'Id', 'Employee Number');
+    const nameColumn = find('TeamMemberName', 'Member Name', 'Name');
+    const efficiencyColumn = find('Efficiency');
+    const skillsColumn = find('Skills', 'Skill Tags');
+    const operationColumns = headers.filter(h => h.startsWith(OPERATION_COLUMN_PREFIX));
+    if (!idColumn && !nameColumn) {
+        return { entries: {}, warnings: [...warnings, `The CSV needs a TeamMemberNumber or TeamMemberName column; found ${headers.join(', ') || 'no columns'}.`] };
+    }
+
+    const entries = {};
+    data.forEach((row, index) => {
+        const line = sourceLine(row, index + 2);
+        const id = String(row[idColumn || nameColumn] || '').trim();
+        if (!id) {
+            warnings.push(`Skipped line ${line}: no member number or name.`);
+            return;
+        }
+        const operations = {};
+        operationColumns.forEach(column => {
+            const value = parseEfficiency(row[column]);
+            if (value) operations[column.slice(OPERATION_COLUMN_PREFIX.length)] = value;
+            else if (String(row[column] || '').trim()) warnings.push(`Line ${line}: '${row[column]}' is not an efficiency for ${column.slice(OPERATION_COLUMN_PREFIX.length)}.`);
+        });
+        if (efficiencyColumn && String(row[efficiencyColumn] || '').trim() && !parseEfficiency(row[efficiencyColumn])) {
+            warnings.push(`Line ${line}: '${row[efficiencyColumn]}' is not an efficiency.`);
+        }
+        entries[id] = {
+            name: nameColumn ? String(row[nameColumn] || '').trim() : '',
+            efficiency: efficiencyColumn ? parseEfficiency(row[efficiencyColumn]) : null,
+            operations,
+            skills: skillsColumn ? parseSkills(row[skillsColumn]) : [],
+        };
+    });
+    return { entries, warnings };
+};
@@ -0,0 +1,88 @@
+import { listDirectoryMembers, buildEfficiencyInputs, directoryToRows, parseDirectoryCsv, parseEfficiency } from './memberDirectory';
+import { buildRoster } from './capacity';
+import { runSchedule } from './schedulerEngine';
+
+const sheet = {
+    efficiencyData: { 101: 0.9, 102: 1.1 },
+    teamMemberNameMap: { 101: 'Pat Smith', 102: 'Sam Lee' },
+};
+
+describe('parseEfficiency', () => {
+    test('reads percentages and fractions', () => {
+        expect(parseEfficiency('85%')).toBe(0.85);
+        expect(parseEfficiency('85')).toBe(0.85);
+        expect(parseEfficiency('0.85')).toBe(0.85);
+        expect(parseEfficiency('')).toBeNull();
+        expect(parseEfficiency('fast')).toBeNull();
+    });
+});
+
+describe('member directory', () => {
+    const memberDirectory = {
+        101: { name: '', efficiency: null, operations: { 'Scenic Paint': 0.6 }, skills: [] },
+        Hybrid1: { name: 'Alex', efficiency: 0.95, operations: {}, skills: ['Paint'] },
+    };
+
+    test('lists sheet members and directory entries with edits applied', () => {
+        const members = listDirectoryMembers({ memberDirectory, ...sheet, otherMemberIds: ['Hybrid1', 'New Hire'] });
+        expect(members.map(m => [m.id, m.name, m.efficiency, m.edited])).toEqual([
+            ['Hybrid1', 'Alex', 0.95, true],
+            ['New Hire', 'New Hire', null, false],
+            ['101', 'Pat Smith', 0.9, true],
+            ['102', 'Sam Lee', 1.1, false],
+        ]);
+    });
+
+    test('feeds the scheduler payload without changing the sheet fields\' shapes', () => {
+        expect(buildEfficiencyInputs({ memberDirectory, ...sheet })).toEqual({
+            efficiencyData: { 101: 0.9, 102: 1.1, Hybrid1: 0.95 },
+            teamMemberNameMap: { 101: 'Pat Smith', 102: 'Sam Lee', Hybrid1: 'Alex' },
+            operationEfficiency: { 101: { 'Scenic Paint': 0.6 } },
+            memberSkills: { Hybrid1: ['Paint'] },
+        });
+    });
+
+    test('round-trips through the CSV export', () => {
+        const members = listDirectoryMembers({ memberDirectory, ...sheet });
+        const rows = directoryToRows(members, ['Paint Prep', 'Scenic Paint']);
+        const headers = Object.keys(rows[0]);
+        const csv = [headers.join(','), ...rows.map(row => headers.map(h => row[h]).join(','))].join('\n');
+        const { entries, warnings } = parseDirectoryCsv(csv);
+        expect(warnings).toEqual([]);
+        expect(entries['101']).toEqual({ name: 'Pat Smith', efficiency: 0.9, operations: { 'Scenic Paint': 0.6 }, skills: [] });
+        expect(entries.Hybrid1).toEqual({ name: 'Alex', efficiency: 0.95, operations: {}, skills: ['Paint'] });
+    });
+
+    test('reports problem rows by their line in the file', () => {
+        const { entries, warnings } = parseDirectoryCsv('TeamMemberNumber,TeamMemberName,Efficiency,Skills\n\n101,"Pat\nSmith",fast,Paint\n,,,\n102,Sam,90%,\n');
+        expect(Object.keys(entries)).toEqual(['101', '102']);
+        expect(warnings).toEqual(["Line 3: 'fast' is not an efficiency.", 'Skipped line 5: no member number or name.']);
+    });
+});
+
+describe('scheduling with the directory', () => {
+    const payload = {
+        params: { startDate: '2025-03-03', holidays: '', productivityAssumption: 1, teamWorkHours: 8 },
+        teamDefs: { headcounts: [{ name: 'Paint', count: 1 }, { name: 'Metal', count: 0 }], mapping: [{ operation: 'Scenic Paint', team: 'Paint' }, { operation: 'Weld', team: 'Metal' }] },
+        projectTasks: [
+            { Project: 'J1', Store: 'S1', SKU: 'A', 'SKU Name': 'A', Operation: 'Scenic Paint', Order: 1, 'Estimated Hours': 4, Value: 1, StartDate: '2025-03-03', DueDate: '2025-03-31' },
+            { Project: 'J1', Store: 'S1', SKU: 'B', 'SKU Name': 'B', Operation: 'Weld', Order: 1, 'Estimated Hours': 4, Value: 1, StartDate: '2025-03-03', DueDate: '2025-03-31' },
+        ],
+        hybridWorkers: [{ name: 'Hybrid1', primaryTeam: 'Paint', secondaryTeam: 'Metal' }],
+        efficiencyData: {},
+        teamMemberNameMap: {},
+    };
+
+    test('uses per-operation efficiency', () => {
+        const roster = buildRoster({ ...payload, operationEfficiency: { 'Paint-1': { 'Scenic Paint': 0.5 } } });
+        expect(roster.find(m => m.id === 'Paint-1').operationEfficiency).toEqual({ 'Scenic Paint': 0.5 });
+        const { finalSchedule } = runSchedule({ ...payload, hybridWorkers: [], projectTasks: [payload.projectTasks[0]], operationEfficiency: { 'Paint-1': { 'Scenic Paint': 0.5 } } });
+        expect(finalSchedule[0]['Time Spent (Hours)']).toBe(8);
+    });
+
+    test('keeps tagged hybrid workers to their skills', () => {
+        const { finalSchedule, logs } = runSchedule({ ...payload, memberSkills: { Hybrid1: ['Paint'] } });
+        expect(finalSchedule.filter(row => row.TeamMember === 'Hybrid1').map(row => row.Operation)).not.toContain('Weld');
+        expect(logs.some(line => line.includes('could not be scheduled'))).toBe(true);
+    });
+});
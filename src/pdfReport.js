@@ -0,0 +1,112 @@
+// Builds the printable production plan: a cover page with the run's key parameters, then chart images and report
+// tables, on US Letter landscape pages with a footer on each. Everything happens in the browser; jsPDF and its
+// table plugin are loaded on first use.
+
+const PAGE_MARGIN = 36; // pt
+const FOOTER_HEIGHT = 20;
+const HEADING_SIZE = 14;
+const LATE_TEXT_COLOR = [185, 28, 28];
+const HEADER_FILL = [226, 232, 240];
+
+// Splits a canvas into slices no taller than maxHeight (canvas pixels), so tall charts run over several pages
+const sliceCanvas = (canvas, maxHeight) => {
+    const slices = [];
+    for (let top = 0; top < canvas.height; top += maxHeight) {
+        const slice = document.createElement('canvas');
+        slice.width = canvas.width;
+        slice.height = Math.min(maxHeight, canvas.height - top);
+        slice.getContext('2d').drawImage(canvas, 0, top, canvas.width, slice.height, 0, 0, canvas.width, slice.height);
+        slices.push(slice);
+    }
+    return slices;
+};
+
+// report: {
+//   title, subtitle,                     cover page heading lines
+//   parameters: [{ label, value }],      shown as a table on the cover
+//   charts: [{ title, canvas }],         scaled to the page width; split across pages when taller than a page
+//   tables: [{ title, columns, rows, lateColumn? }]  rows are arrays of cell text; negative numbers and text such
+//                                                     as 'Not finished' in lateColumn are shown in red
+// }
+// Resolves with a PDF Blob.
+export const buildPlanReportPdf = async ({ title, subtitle, parameters = [], charts = [], tables = [] }) => {
+    const [{ jsPDF }, { default: autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+    const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'letter' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - PAGE_MARGIN * 2;
+    const contentBottom = pageHeight - PAGE_MARGIN - FOOTER_HEIGHT;
+
+    // Cover
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(28);
+    doc.text(title, PAGE_MARGIN, PAGE_MARGIN + 90);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(13);
+    doc.setTextColor(100, 116, 139);
+    if (subtitle) doc.text(subtitle, PAGE_MARGIN, PAGE_MARGIN + 118);
+    doc.setTextColor(0, 0, 0);
+    if (parameters.length > 0) {
+        autoTable(doc, {
+            startY: PAGE_MARGIN + 150,
+            margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN + FOOTER_HEIGHT },
+            tableWidth: contentWidth / 2,
+            head: [['Parameter', 'Value']],
+            body: parameters.map(({ label, value }) => [label, value]),
+            headStyles: { fillColor: HEADER_FILL, textColor: 20 },
+            styles: { fontSize: 10 },
+            columnStyles: { 0: { fontStyle: 'bold' } },
+        });
+    }
+
+    charts.forEach(({ title: chartTitle, canvas }) => {
+        const scale = contentWidth / canvas.width;
+        const firstTop = PAGE_MARGIN + HEADING_SIZE + 10;
+        const maxSliceHeight = Math.floor((contentBottom - firstTop) / scale);
+        sliceCanvas(canvas, maxSliceHeight).forEach((slice, index, slices) => {
+            doc.addPage();
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(HEADING_SIZE);
+            doc.text(slices.length > 1 ? `${chartTitle} (${index + 1} of ${slices.length})` : chartTitle, PAGE_MARGIN, PAGE_MARGIN + HEADING_SIZE);
+            doc.addImage(slice.toDataURL('image/png'), 'PNG', PAGE_MARGIN, firstTop, contentWidth, slice.height * scale);
+        });
+    });
+
+    tables.filter(table => table.rows.length > 0).forEach(({ title: tableTitle, columns, rows, lateColumn }) => {
+        doc.addPage();
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(HEADING_SIZE);
+        doc.text(tableTitle, PAGE_MARGIN, PAGE_MARGIN + HEADING_SIZE);
+        const lateIndex = lateColumn ? columns.indexOf(lateColumn) : -1;
+        autoTable(doc, {
+            startY: PAGE_MARGIN + HEADING_SIZE + 10,
+            margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN + FOOTER_HEIGHT },
+            head: [columns],
+            body: rows,
+            headStyles: { fillColor: HEADER_FILL, textColor: 20 },
+            styles: { fontSize: 9, cellPadding: 4 },
+            alternateRowStyles: { fillColor: [248, 250, 252] },
+            didParseCell: (data) => {
+                const text = String(data.cell.raw ?? '').trim();
+                const isLate = text !== '' && (Number.isNaN(parseFloat(text)) || parseFloat(text) < 0);
+                if (data.section === 'body' && data.column.index === lateIndex && isLate) {
+                    data.cell.styles.textColor = LATE_TEXT_COLOR;
+                    data.cell.styles.fontStyle = 'bold';
+                }
+            },
+        });
+    });
+
+    // Footer on every page but the cover
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 2; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(100, 116, 139);
+        doc.text(title, PAGE_MARGIN, pageHeight - PAGE_MARGIN);
+        doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - PAGE_MARGIN, { align: 'right' });
+        doc.setTextColor(0, 0, 0);
+    }
+    return doc.output('blob');
+};
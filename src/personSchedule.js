@@ -0,0 +1,89 @@
+import { parseDate, addDays, toDateKey } from './dateUtils';
+
+// Builds the per-person view of a schedule run from the finalSchedule work log rows.
+// Dates are handled as local YYYY-MM-DD keys so the calendar never shifts a day across time zones.
+
+const normalizeDateKey = (value) => {
+    if (value instanceof Date) return toDateKey(value);
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+    const parsed = parseDate(value);
+    return parsed ? toDateKey(parsed) : null;
+};
+
+// Working days between two date keys (inclusive), skipping weekends and holidays
+export const listWorkingDays = (fromKey, toKey, holidays = new Set()) => {
+    const from = parseDate(fromKey);
+    const to = parseDate(toKey);
+    if (!from || !to) return [];
+    const days = [];
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+        const key = toDateKey(d);
+        if (d.getDay() !== 0 && d.getDay() !== 6 && !holidays.has(key)) days.push(key);
+    }
+    return days;
+};
+
+// Returns { startDate, endDate, people } where each person is
+// { id, name, team, days: { [dateKey]: { hours, tasks: [{ project, sku, skuName, operation, team, hours }] } }, totalHours }.
+// People come from the TeamMember ids in the work log first, grouped under the team they logged the most hours
+// for (named hybrid workers as hybridTeamName). The roster ({ id, name, team, generic } members) then adds named
+// people who got no work, under their roster team, and generic `${team}-${n}` slots only for headcount the work
+// log doesn't already account for, so a server's own member ids don't show up twice.
+export const buildPersonSchedules = (finalSchedule, { roster = [], hybridWorkerNames = [], hybridTeamName = 'Hybrid' } = {}) => {
+    const people = new Map();
+    let startDate = null;
+    let endDate = null;
+    const hybridNames = new Set(hybridWorkerNames);
+
+    finalSchedule.forEach(row => {
+        const dateKey = normalizeDateKey(row.Date);
+        const id = row.TeamMember || row.TeamMemberName;
+        if (!dateKey || !id) return;
+        const hours = Number(row['Time Spent (Hours)']) || 0;
+        if (!startDate || dateKey < startDate) startDate = dateKey;
+        if (!endDate || dateKey > endDate) endDate = dateKey;
+
+        if (!people.has(id)) people.set(id, { id, name: row.TeamMemberName || id, days: {}, teamHours: {}, totalHours: 0 });
+        const person = people.get(id);
+        if (!person.days[dateKey]) person.days[dateKey] = { hours: 0, tasks: [] };
+        const day = person.days[dateKey];
+        day.hours += hours;
+        const existing = day.tasks.find(t => t.project === row.Project && t.sku === row.SKU && t.operation === row.Operation);
+        if (existing) existing.hours += hours;
+        else day.tasks.push({ project: row.Project, sku: row.SKU, skuName: row['SKU Name'], operation: row.Operation, team: row.Team, hours });
+        person.teamHours[row.Team] = (person.teamHours[row.Team] || 0) + hours;
+        person.totalHours += hours;
+    });
+
+    const result = [...people.values()].map(({ teamHours, ...person }) => {
+        const mainTeam = Object.entries(teamHours).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+        return { ...person, team: hybridNames.has(person.name) ? hybridTeamName : mainTeam };
+    });
+
+    const emptyPerson = (member) => ({ id: member.id, name: member.name || member.id, team: member.team, days: {}, totalHours: 0 });
+    const isListed = (member) => result.some(p => p.id === member.id || p.name === member.name);
+    roster.filter(member => member.id && !member.generic && !isListed(member)).forEach(member => result.push(emptyPerson(member)));
+    const rosterTeams = [...new Set(roster.map(member => member.team))];
+    rosterTeams.forEach(team => {
+        const headcount = roster.filter(member => member.team === team).length;
+        const missing = headcount - result.filter(p => p.team === team).length;
+        roster
+            .filter(member => member.team === team && member.generic && !isListed(member))
+            .slice(0, Math.max(0, missing))
+            .forEach(member => result.push(emptyPerson(member)));
+    });
+    return { startDate, endDate, people: result.sort((a, b) => a.name.localeCompare(b.name)) };
+};
+
+// Classifies each working day for a person: 'work', 'pto', 'off' (no scheduled hours, e.g. the day off of a 4x10
+// shift pattern), 'idle', or 'inactive' (before they start / after they leave)
+export const classifyPersonDays = (person, workingDays, { ptoDates = new Set(), offDates = new Set(), startDate = null, leaveDate = null } = {}) => (
+    workingDays.map(dateKey => {
+        const day = person.days[dateKey];
+        if (day && day.hours > 0) return { date: dateKey, status: 'work', ...day };
+        if ((startDate && dateKey < startDate) || (leaveDate && dateKey >= leaveDate)) return { date: dateKey, status: 'inactive', hours: 0, tasks: [] };
+        if (ptoDates.has(dateKey)) return { date: dateKey, status: 'pto', hours: 0, tasks: [] };
+        if (offDates.has(dateKey)) return { date: dateKey, status: 'off', hours: 0, tasks: [] };
+        return { date: dateKey, status: 'idle', hours: 0, tasks: [] };
+    })
+);
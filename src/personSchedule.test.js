@@ -0,0 +1,39 @@
+import { buildPersonSchedules, classifyPersonDays, listWorkingDays } from './personSchedule';
+
+const row = (date, member, hours, extra = {}) => ({
+    Date: date, Project: 'J1', SKU: 'S1', Operation: 'Cut', Team: 'Paint', TeamMember: member, TeamMemberName: member, 'Time Spent (Hours)': hours, ...extra,
+});
+
+describe('buildPersonSchedules', () => {
+    test('lists everyone on the roster, including people with no work, under their roster team', () => {
+        const roster = [{ id: 'Paint-1', name: 'Pat', team: 'Paint' }, { id: 'Paint-2', name: 'Paint-2', team: 'Paint' }];
+        const { startDate, endDate, people } = buildPersonSchedules([row('2025-07-07', 'Paint-1', 8, { TeamMemberName: 'Pat' })], { roster });
+        expect([startDate, endDate]).toEqual(['2025-07-07', '2025-07-07']);
+        expect(people.map(p => [p.id, p.name, p.team, p.totalHours])).toEqual([['Paint-2', 'Paint-2', 'Paint', 0], ['Paint-1', 'Pat', 'Paint', 8]]);
+    });
+
+    test('adds generic roster slots only for headcount the work log does not account for', () => {
+        const roster = [1, 2, 3].map(n => ({ id: `Paint-${n}`, name: `Paint-${n}`, team: 'Paint', generic: true }));
+        const { people } = buildPersonSchedules([row('2025-07-07', 'E100', 8), row('2025-07-07', 'E200', 4)], { roster });
+        expect(people.map(p => [p.id, p.team, p.totalHours])).toEqual([['E100', 'Paint', 8], ['E200', 'Paint', 4], ['Paint-1', 'Paint', 0]]);
+    });
+
+    test('groups people not on the roster by the team they worked most, and hybrid workers as the hybrid team', () => {
+        const { people } = buildPersonSchedules([
+            row('2025-07-07', 'Sam', 6, { Team: 'Assembly' }),
+            row('2025-07-08', 'Sam', 2),
+            row('2025-07-07', 'Hana', 8),
+        ], { hybridWorkerNames: ['Hana'], hybridTeamName: 'Hybrid' });
+        expect(people.map(p => [p.name, p.team])).toEqual([['Hana', 'Hybrid'], ['Sam', 'Assembly']]);
+    });
+});
+
+describe('classifyPersonDays', () => {
+    test('marks days with no scheduled hours as off rather than idle', () => {
+        const days = listWorkingDays('2025-07-07', '2025-07-11');
+        const person = { days: { '2025-07-07': { hours: 10, tasks: [] } } };
+        const calendar = classifyPersonDays(person, days, { ptoDates: new Set(['2025-07-08']), offDates: new Set(['2025-07-11']), leaveDate: '2025-07-10' });
+        expect(calendar.map(d => d.status)).toEqual(['work', 'pto', 'idle', 'inactive', 'inactive']);
+        expect(classifyPersonDays(person, days, { offDates: new Set(['2025-07-11']) }).map(d => d.status)).toEqual(['work', 'idle', 'idle', 'idle', 'off']);
+    });
+});
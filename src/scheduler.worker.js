@@ -0,0 +1,16 @@
+/* eslint-env worker */
+/* eslint-disable no-restricted-globals -- self is the worker's global scope here, not the window */
+import { runSchedule } from './schedulerEngine';
+
+// Runs the in-browser engine off the main thread. Messages out mirror the server's job stream:
+// { type: 'progress', progress, message, step }, then { type: 'complete', result } or { type: 'error', error }.
+self.addEventListener('message', (event) => {
+    try {
+        const result = runSchedule(event.data.payload, {
+            onProgress: (status) => self.postMessage({ type: 'progress', ...status }),
+        });
+        self.postMessage({ type: 'complete', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', error: err.message });
+    }
+});
@@ -0,0 +1,325 @@
+import { parseDate, addDays, toDateKey } from './dateUtils';
+import { parseList, isWorkingDay, weekStartKey, buildRoster, createAvailability, eligibleAssignments } from './capacity';
+
+// In-browser scheduling engine, used when the scheduling server can't be reached. It takes the same payload as
+// POST /api/schedule and returns the same result shape, so every chart and report works on its output.
+//
+// It is a day-by-day simulation: each working day, every available person works the highest-priority ready
+// task for their team until their productive hours run out. A task is ready once its job has started and every
+// lower-Order operation on its SKU finished on an earlier day. Priority rises as the due date nears, for
+// bottleneck teams, and for SKUs that have sat idle longer than maxIdleDays. Hybrid workers go to their eligible
+// teams by target percentage first and then by team priority.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MAX_SIMULATED_DAYS = 3 * 365;
+const EPSILON = 1e-6;
+
+const daysBetween = (fromKey, toKey) => Math.round((parseDate(toKey) - parseDate(fromKey)) / DAY_MS);
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const efficiencyFor = (member, task) => Number(member.operationEfficiency[task.operation]) || member.efficiency;
+
+// A target's share of a worker's hours; targets adding up to more than 100% are scaled down
+const targetShares = (assignments) => {
+    const total = assignments.reduce((sum, a) => sum + a.target, 0);
+    return new Map(assignments.filter(a => a.target > 0).map(a => [a.team, a.target / Math.max(1, total)]));
+};
+
+// Teams to work today, each with an hour limit. Targeted teams first get what keeps the worker's running split
+// on target, furthest behind first; then every team, highest priority first, takes whatever hours are left.
+const teamBudgets = (assignments, hours, split) => {
+    const catchUp = [...targetShares(assignments)]
+        .map(([team, share]) => ({ team, limit: share * (split.total + hours) - (split.byTeam[team] || 0) }))
+        .filter(b => b.limit > EPSILON)
+        .sort((a, b) => b.limit - a.limit);
+    return [...catchUp, ...assignments.map(a => ({ team: a.team, limit: Infinity }))];
+};
+
+// How the targets split a hybrid worker's hours. Hours no target claims are planned for the first untargeted
+// team by priority (or the first team), which is where the worker goes once their targets are met.
+const plannedSplit = (assignments, hours) => {
+    const shares = targetShares(assignments);
+    const plan = {};
+    shares.forEach((share, team) => { plan[team] = hours * share; });
+    const rest = hours - Object.values(plan).reduce((sum, h) => sum + h, 0);
+    const fallback = assignments.find(a => !shares.has(a.team)) || assignments[0];
+    if (rest > EPSILON && fallback) plan[fallback.team] = (plan[fallback.team] || 0) + rest;
+    return plan;
+};
+
+// Hybrid workers with skill tags only take tasks whose team or operation is tagged; untagged ones take any task
+// for their teams
+const hasSkillFor = (member, task) => {
+    if (!member.hybrid || member.skills.length === 0) return true;
+    const tags = new Set(member.skills.map(s => s.trim().toLowerCase()));
+    return tags.has(task.team.toLowerCase()) || tags.has(String(task.operation).toLowerCase());
+};
+
+const prepareTasks = (payload, logs) => {
+    const { projectTasks = [], params, teamDefs, startDateOverrides = {}, endDateOverrides = {} } = payload;
+    const ignored = parseList(params.teamsToIgnore);
+    const teamByOperation = new Map((teamDefs?.mapping || []).filter(m => m.operation && m.team).map(m => [m.operation, m.team]));
+    const buffer = 1 + (Number(params.globalBuffer) || 0) / 100;
+    const unmapped = new Set();
+    let ignoredCount = 0;
+    let emptyCount = 0;
+
+    const tasks = [];
+    projectTasks.forEach((row, index) => {
+        const team = teamByOperation.get(row.Operation);
+        if (ignored.has(row.Operation) || (team && ignored.has(team))) {
+            ignoredCount += 1;
+            return;
+        }
+        if (!team) {
+            unmapped.add(row.Operation);
+            return;
+        }
+        const hours = (Number(row['Estimated Hours']) || 0) * buffer;
+        if (hours <= EPSILON) {
+            emptyCount += 1;
+            return;
+        }
+        tasks.push({
+            id: `${row.Project}|${row.SKU}|${row.Operation}|${index}`,
+            project: row.Project,
+            store: row.Store,
+            sku: row.SKU,
+            skuName: row['SKU Name'],
+            operation: row.Operation,
+            order: Number(row.Order) || 0,
+            value: Number(row.Value) || 0,
+            team,
+            totalHours: hours,
+            remaining: hours,
+            startKey: startDateOverrides[row.Project] || row.StartDate,
+            dueKey: endDateOverrides[row.Project] || row.DueDate,
+            doneKey: null,
+        });
+    });
+    if (ignoredCount > 0) logs.push(`Skipped ${ignoredCount} task(s) for ignored teams or operations.`);
+    if (emptyCount > 0) logs.push(`Skipped ${emptyCount} task(s) with no estimated hours.`);
+    unmapped.forEach(op => logs.push(`Warning: Operation "${op}" has no team mapping, so its tasks could not be scheduled.`));
+    return tasks;
+};
+
+export const runSchedule = (payload, { onProgress } = {}) => {
+    const logs = ['Running the in-browser scheduling engine.'];
+    const { params, bottleneckConfig = [] } = payload;
+    const holidays = parseList(params.holidays);
+    const productivity = Number(params.productivityAssumption) || 1;
+    const maxIdleDays = Number(params.maxIdleDays) || 0;
+    const bottleneckWeights = new Map(bottleneckConfig.map(b => [b.team, Number(b.weight) || 1]));
+
+    const tasks = prepareTasks(payload, logs);
+    const roster = buildRoster({ ...payload, hybridTeamName: 'Hybrid' });
+    const hoursAvailable = createAvailability(payload);
+
+    // Tasks grouped per SKU, so readiness only has to look at siblings
+    const skuGroups = new Map();
+    tasks.forEach(task => {
+        const key = `${task.project}|${task.sku}`;
+        if (!skuGroups.has(key)) skuGroups.set(key, []);
+        skuGroups.get(key).push(task);
+    });
+    tasks.forEach(task => {
+        const siblings = skuGroups.get(`${task.project}|${task.sku}`);
+        task.predecessors = siblings.filter(t => t.order < task.order);
+        task.skuTasks = siblings;
+    });
+
+    const totalHours = tasks.reduce((sum, t) => sum + t.totalHours, 0);
+    const finalSchedule = [];
+    const dailyPrioritySnapshots = [];
+    const completedTasks = [];
+    const dailyCompletions = [];
+    const weekly = {};
+    const completionEvents = [];
+
+    const bucket = (weekKey) => {
+        if (!weekly[weekKey]) weekly[weekKey] = { worked: {}, capacity: {}, hybridBreakdown: {}, hybridPlan: {}, backlog: null, value: 0 };
+        return weekly[weekKey];
+    };
+
+    // Hours each hybrid worker has spent per team so far, for keeping them on their targets
+    const hybridSplits = new Map(roster.filter(m => m.hybrid).map(m => [m, { total: 0, byTeam: {} }]));
+
+    let day = parseDate(params.startDate) || new Date();
+    let remainingTasks = tasks.length;
+    let simulatedDays = 0;
+    let lastReported = -1;
+
+    while (remainingTasks > 0 && simulatedDays < MAX_SIMULATED_DAYS) {
+        simulatedDays += 1;
+        const dateKey = toDateKey(day);
+        if (isWorkingDay(day, holidays)) {
+            const week = bucket(weekStartKey(day));
+            if (!week.backlog) {
+                week.backlog = {};
+                tasks.forEach(t => { if (t.remaining > EPSILON) week.backlog[t.team] = (week.backlog[t.team] || 0) + t.remaining; });
+            }
+
+            // Today's hours per person, and per team for capacity reporting
+            const available = new Map();
+            roster.forEach(member => {
+                const hours = hoursAvailable(member, dateKey);
+                if (hours <= 0) return;
+                available.set(member, hours * productivity);
+                week.capacity[member.team] = (week.capacity[member.team] || 0) + hours;
+            });
+            const teamCapacity = {};
+            const assignmentsToday = new Map();
+            available.forEach((hours, member) => {
+                const assignments = eligibleAssignments(member, dateKey);
+                assignmentsToday.set(member, assignments);
+                assignments.forEach(({ team }) => { teamCapacity[team] = (teamCapacity[team] || 0) + hours; });
+                if (member.hybrid) {
+                    Object.entries(plannedSplit(assignments, hours)).forEach(([team, planned]) => { week.hybridPlan[team] = (week.hybridPlan[team] || 0) + planned; });
+                }
+            });
+
+            const ready = tasks.filter(t => t.remaining > EPSILON && t.startKey <= dateKey && t.predecessors.every(p => p.doneKey && p.doneKey < dateKey));
+            ready.forEach(task => {
+                const daysUntilDue = task.dueKey ? daysBetween(dateKey, task.dueKey) : 999;
+                const lastStep = task.predecessors.reduce((max, p) => (p.doneKey > max ? p.doneKey : max), '') || task.startKey;
+                const daysSinceLastStep = Math.max(0, daysBetween(lastStep, dateKey));
+                const base = 1 + task.order / 100;
+                const dueMultiplier = daysUntilDue <= 0 ? 3 : 1 + Math.max(0, 30 - daysUntilDue) / 15;
+                const bottleneckMultiplier = bottleneckWeights.has(task.team) ? 1 + bottleneckWeights.get(task.team) * 0.25 : 1;
+                const dwellMultiplier = maxIdleDays > 0 && daysSinceLastStep > maxIdleDays ? 1.5 : 1;
+                task.priority = base * dueMultiplier * bottleneckMultiplier * dwellMultiplier;
+                dailyPrioritySnapshots.push({
+                    Date: dateKey, TaskID: task.id, Project: task.project, Store: task.store, SKU: task.sku, 'SKU Name': task.skuName,
+                    Operation: task.operation, Team: task.team, Order: task.order, HoursRemaining: round(task.remaining),
+                    BasePriority: round(base), DueDateMultiplier: round(dueMultiplier), BottleneckMultiplier: round(bottleneckMultiplier),
+                    DwellMultiplier: dwellMultiplier, TeamCapacity: round(teamCapacity[task.team] || 0), DynamicPriority: round(task.priority, 4),
+                    DaysUntilDue: daysUntilDue, DaysSinceLastStep: daysSinceLastStep,
+                });
+            });
+            ready.sort((a, b) => b.priority - a.priority);
+
+            // Regular members first so hybrid workers fill the gaps their teams leave
+            const workers = [...available.keys()].sort((a, b) => Number(!!a.hybrid) - Number(!!b.hybrid));
+            for (const member of workers) {
+                let hoursLeft = available.get(member);
+                const split = hybridSplits.get(member);
+                const budgets = split ? teamBudgets(assignmentsToday.get(member), hoursLeft, split) : assignmentsToday.get(member).map(a => ({ team: a.team, limit: Infinity }));
+                for (const { team, limit } of budgets) {
+                    let teamHoursLeft = limit;
+                    for (const task of ready) {
+                        if (hoursLeft <= EPSILON || teamHoursLeft <= EPSILON) break;
+                        if (task.team !== team || task.remaining <= EPSILON || !hasSkillFor(member, task)) continue;
+                        const efficiency = efficiencyFor(member, task);
+                        const timeSpent = Math.min(hoursLeft, teamHoursLeft, task.remaining / efficiency);
+                        const completed = Math.min(task.remaining, timeSpent * efficiency);
+                        task.remaining -= completed;
+                        hoursLeft -= timeSpent;
+                        teamHoursLeft -= timeSpent;
+                        finalSchedule.push({
+                            Date: dateKey, Project: task.project, Store: task.store, SKU: task.sku, 'SKU Name': task.skuName,
+                            Operation: task.operation, Team: task.team, TeamMember: member.id, TeamMemberName: member.name, Order: task.order,
+                            'Task Hours Completed': round(completed), 'Time Spent (Hours)': round(timeSpent), DynamicPriority: task.priority,
+                            StartDate: task.startKey, DueDate: task.dueKey,
+                        });
+                        week.worked[member.team] = (week.worked[member.team] || 0) + timeSpent;
+                        if (split) {
+                            week.hybridBreakdown[team] = (week.hybridBreakdown[team] || 0) + timeSpent;
+                            split.total += timeSpent;
+                            split.byTeam[team] = (split.byTeam[team] || 0) + timeSpent;
+                        }
+                        if (task.remaining <= EPSILON) {
+                            task.remaining = 0;
+                            task.doneKey = dateKey;
+                            remainingTasks -= 1;
+                            completedTasks.push({ Date: dateKey, Project: task.project, Store: task.store, SKU: task.sku, Operation: task.operation, Team: task.team });
+                            completionEvents.push({ date: dateKey, project: task.project, store: task.store });
+                            if (task.skuTasks.every(t => t.remaining <= EPSILON)) {
+                                const value = Math.max(...task.skuTasks.map(t => t.value));
+                                dailyCompletions.push({ Date: dateKey, Job: task.project, Store: task.store, SKU: task.sku, 'SKU Name': task.skuName, Value: value });
+                                week.value += value;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        const progress = totalHours > 0 ? Math.round((1 - tasks.reduce((sum, t) => sum + t.remaining, 0) / totalHours) * 95) : 95;
+        if (onProgress && progress !== lastReported) {
+            lastReported = progress;
+            onProgress({ progress, step: 'simulating', message: `Simulating ${dateKey}...` });
+        }
+        day = addDays(day, 1);
+    }
+
+    if (onProgress) onProgress({ progress: 97, step: 'finalizing', message: 'Building reports...' });
+    const unfinished = tasks.filter(t => t.remaining > EPSILON);
+    if (unfinished.length > 0) {
+        logs.push(`Warning: ${unfinished.length} task(s) could not be scheduled within ${MAX_SIMULATED_DAYS} days. Check that every mapped team has headcount.`);
+        unfinished.slice(0, 20).forEach(t => logs.push(`  - ${t.project} / ${t.sku} / ${t.operation} (${t.team})`));
+    }
+    return { logs, finalSchedule, dailyPrioritySnapshots, completedTasks, dailyCompletions, ...buildReports(tasks, weekly, completionEvents, productivity) };
+};
+
+const buildReports = (tasks, weekly, completionEvents, productivity) => {
+    const projects = new Map();
+    tasks.forEach(task => {
+        if (!projects.has(task.project)) projects.set(task.project, { Project: task.project, Store: task.store, StartDate: task.startKey, DueDate: task.dueKey, FinishDate: null, totalOps: 0, unfinished: false });
+        const project = projects.get(task.project);
+        project.totalOps += 1;
+        if (task.startKey < project.StartDate) project.StartDate = task.startKey;
+        if (task.dueKey > project.DueDate) project.DueDate = task.dueKey;
+        if (!task.doneKey) project.unfinished = true;
+        else if (!project.FinishDate || task.doneKey > project.FinishDate) project.FinishDate = task.doneKey;
+    });
+    // Jobs with work left at the end of the run have no finish date
+    const projectSummary = [...projects.values()].map(({ totalOps, ...p }) => ({ ...p, FinishDate: p.unfinished ? null : p.FinishDate }));
+    const finishDates = projectSummary.map(p => p.FinishDate).filter(Boolean).sort();
+
+    const weeks = Object.keys(weekly).sort();
+    const teamUtilization = weeks.map(week => {
+        const { worked, capacity, hybridBreakdown, hybridPlan } = weekly[week];
+        const teams = Object.keys({ ...capacity, ...worked }).map(name => {
+            const hours = worked[name] || 0;
+            const cap = capacity[name] || 0;
+            const entry = { name, worked: hours.toFixed(1), capacity: cap.toFixed(1), utilization: cap > 0 ? Math.round((hours / cap) * 100) : 0 };
+            return name === 'Hybrid' ? { ...entry, breakdown: hybridBreakdown, plannedBreakdown: hybridPlan } : entry;
+        });
+        return { week, teams };
+    });
+    const teamWorkload = weeks.map(week => {
+        const { capacity, backlog } = weekly[week];
+        const teams = Object.keys({ ...capacity, ...backlog }).map(name => {
+            const effective = (capacity[name] || 0) * productivity;
+            return { name, workloadRatio: effective > 0 ? Math.round(((backlog[name] || 0) / effective) * 100) : 0 };
+        });
+        return { week, teams };
+    });
+    const weeklyOutput = weeks.map(week => {
+        const totalHoursWorked = round(Object.values(weekly[week].worked).reduce((sum, h) => sum + h, 0), 1);
+        const totalValue = round(weekly[week].value);
+        return { week, totalValue, totalHoursWorked, valuePerHour: totalHoursWorked > 0 ? round(totalValue / totalHoursWorked) : 0 };
+    });
+
+    const dates = [...new Set(completionEvents.map(e => e.date))].sort();
+    const timelineProjects = [...projects.values()].map(p => {
+        let completedOps = 0;
+        const timeline = [];
+        completionEvents.filter(e => e.project === p.Project).forEach(event => {
+            completedOps += 1;
+            const entry = { date: event.date, completedOps, totalOps: p.totalOps, completionPct: round(Math.min(100, (completedOps / p.totalOps) * 100), 1) };
+            if (timeline.length && timeline[timeline.length - 1].date === event.date) timeline[timeline.length - 1] = entry;
+            else timeline.push(entry);
+        });
+        return { project: p.Project, store: p.Store, totalOps: p.totalOps, timeline };
+    });
+
+    return {
+        projectSummary,
+        teamUtilization,
+        teamWorkload,
+        weeklyOutput,
+        projectCompletionTimeline: { dates, projects: timelineProjects },
+        projectedCompletion: finishDates[finishDates.length - 1] || null,
+    };
+};
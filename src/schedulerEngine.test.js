@@ -0,0 +1,103 @@
+import { runSchedule } from './schedulerEngine';
+
+const task = (sku, operation, hours) => ({
+    Project: 'J1', Store: 'S1', SKU: sku, 'SKU Name': sku, Operation: operation, Order: 1, 'Estimated Hours': hours, Value: 1,
+    StartDate: '2025-03-03', DueDate: '2025-04-30',
+});
+
+// One hybrid worker and no regular headcount, with plenty of work for both teams
+const payload = (teams) => ({
+    params: { startDate: '2025-03-03', holidays: '', hoursPerDay: 8, productivityAssumption: 1 },
+    teamDefs: { headcounts: [{ name: 'Paint', count: 0 }, { name: 'Metal', count: 0 }], mapping: [{ operation: 'Paint', team: 'Paint' }, { operation: 'Weld', team: 'Metal' }] },
+    projectTasks: [task('A', 'Paint', 60), task('B', 'Weld', 60)],
+    hybridWorkers: [{ name: 'Alex', teams }],
+});
+
+const hybridWeek = (result, week) => result.teamUtilization.find(w => w.week === week).teams.find(t => t.name === 'Hybrid');
+
+describe('hybrid workers in the in-browser engine', () => {
+    test('split their hours by target and report the planned split', () => {
+        const result = runSchedule(payload([
+            { team: 'Paint', target: 75, priority: 2 },
+            { team: 'Metal', target: 25, priority: 1 },
+        ]));
+        const { breakdown, plannedBreakdown } = hybridWeek(result, '2025-03-03');
+        expect(breakdown).toEqual({ Paint: 30, Metal: 10 });
+        expect(plannedBreakdown).toEqual({ Paint: 30, Metal: 10 });
+    });
+
+    test('work their teams in priority order without targets, and only while a team is eligible', () => {
+        const result = runSchedule(payload([
+            { team: 'Paint', priority: 2 },
+            { team: 'Metal', priority: 1, endDate: '2025-03-04' },
+        ]));
+        const { breakdown, plannedBreakdown } = hybridWeek(result, '2025-03-03');
+        expect(breakdown).toEqual({ Metal: 16, Paint: 24 });
+        expect(plannedBreakdown).toEqual({ Metal: 16, Paint: 24 });
+    });
+});
+
+// Core simulation: one person per team at 8 hours a day, starting Monday 2025-03-03
+const job = (project, sku, operation, order, hours, { start = '2025-03-03', due = '2025-04-30' } = {}) => ({
+    Project: project, Store: 'S1', SKU: sku, 'SKU Name': sku, Operation: operation, Order: order, 'Estimated Hours': hours, Value: 1,
+    StartDate: start, DueDate: due,
+});
+
+const engineInputs = (projectTasks, overrides = {}) => ({
+    params: { startDate: '2025-03-03', holidays: '', hoursPerDay: 8, productivityAssumption: 1 },
+    teamDefs: { headcounts: [{ name: 'Paint', count: 1 }, { name: 'Metal', count: 1 }], mapping: [{ operation: 'Paint', team: 'Paint' }, { operation: 'Weld', team: 'Metal' }] },
+    projectTasks,
+    ...overrides,
+});
+
+const finishDates = (result) => Object.fromEntries(result.projectSummary.map(p => [p.Project, p.FinishDate]));
+
+describe('in-browser scheduling engine', () => {
+    test('starts an operation the working day after the previous one on its SKU finishes', () => {
+        // Weld: Mon 8h + Tue 4h; Paint is ready Wednesday
+        const result = runSchedule(engineInputs([job('J1', 'A', 'Weld', 1, 12), job('J1', 'A', 'Paint', 2, 4)]));
+        expect(result.completedTasks.map(t => [t.Operation, t.Date])).toEqual([['Weld', '2025-03-04'], ['Paint', '2025-03-05']]);
+        expect(finishDates(result)).toEqual({ J1: '2025-03-05' });
+    });
+
+    test('skips weekends and holidays', () => {
+        // Thu 8h, Fri holiday, weekend, Mon 8h, Tue 8h
+        const result = runSchedule(engineInputs([job('J1', 'A', 'Paint', 1, 24, { start: '2025-03-06' })], {
+            params: { startDate: '2025-03-03', holidays: '2025-03-07', hoursPerDay: 8, productivityAssumption: 1 },
+        }));
+        expect(finishDates(result)).toEqual({ J1: '2025-03-11' });
+        expect([...new Set(result.finalSchedule.map(row => row.Date))]).toEqual(['2025-03-06', '2025-03-10', '2025-03-11']);
+    });
+
+    test('takes PTO out of the named person\'s days', () => {
+        // Mon 8h, Tue off, Wed 4h (4 hours of partial PTO), Thu 4h
+        const result = runSchedule(engineInputs([job('J1', 'A', 'Paint', 1, 16)], {
+            teamMemberNameMap: { 'Paint-1': 'Pat' },
+            ptoEntries: [{ memberName: 'Pat', date: '2025-03-04' }, { memberName: 'pat', date: '2025-03-05', hours: '4' }],
+        }));
+        expect(finishDates(result)).toEqual({ J1: '2025-03-06' });
+        expect(result.finalSchedule.map(row => [row.Date, row['Time Spent (Hours)']])).toEqual([['2025-03-03', 8], ['2025-03-05', 4], ['2025-03-06', 4]]);
+    });
+
+    test('uses hours overrides for their team and dates', () => {
+        // Mon 4h, Tue 4h, Wed 8h
+        const result = runSchedule(engineInputs([job('J1', 'A', 'Paint', 1, 16)], {
+            workHourOverrides: [{ team: 'Paint', hours: 4, startDate: '2025-03-03', endDate: '2025-03-04' }],
+        }));
+        expect(finishDates(result)).toEqual({ J1: '2025-03-05' });
+    });
+
+    test('works the job due soonest first, using due date overrides', () => {
+        const tasks = [job('J1', 'A', 'Paint', 1, 8, { due: '2025-04-30' }), job('J2', 'B', 'Paint', 1, 8, { due: '2025-03-04' })];
+        expect(finishDates(runSchedule(engineInputs(tasks)))).toEqual({ J1: '2025-03-04', J2: '2025-03-03' });
+        const overridden = runSchedule(engineInputs(tasks, { endDateOverrides: { J1: '2025-03-03', J2: '2025-05-30' } }));
+        expect(finishDates(overridden)).toEqual({ J1: '2025-03-03', J2: '2025-03-04' });
+        expect(overridden.projectSummary.find(p => p.Project === 'J1').DueDate).toBe('2025-03-03');
+    });
+
+    test('reports jobs it cannot finish as unfinished, without a finish date', () => {
+        const inputs = engineInputs([job('J1', 'A', 'Paint', 1, 8), job('J2', 'B', 'Weld', 1, 8)]);
+        const result = runSchedule({ ...inputs, teamDefs: { ...inputs.teamDefs, headcounts: [{ name: 'Paint', count: 1 }, { name: 'Metal', count: 0 }] } });
+        expect(result.projectSummary.map(p => [p.Project, p.FinishDate, p.unfinished])).toEqual([['J1', '2025-03-03', false], ['J2', null, true]]);
+    });
+});
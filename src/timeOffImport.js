@@ -0,0 +1,246 @@
+import { parseDate, addDays, toDateKey } from './dateUtils';
+import { parseCsv, sourceLine } from './csvParser';
+import { expandPtoEntries } from './capacity';
+
+// Reads time off from a calendar export (.ics) or an HR system's CSV and turns it into PTO rows and holidays.
+// Both formats are first read into records:
+//
+//   { kind: 'pto' | 'holiday', name, date, endDate, hours, repeat, source }
+//
+// then matched against the people the app knows (team member names and ids, roster changes, hybrid workers).
+// Records for unknown people are reported rather than silently added, and anything already entered is skipped.
+
+// Timed events at least this long count as whole days
+const FULL_DAY_HOURS = 20;
+const HOLIDAY_PATTERN = /holiday/i;
+
+const nameKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// --- iCalendar ---
+
+const unescapeText = (value) => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+// Content lines after unfolding, as { name, params, value }
+const readContentLines = (text) => text
+    .replace(/\r\n/g, '\n').replace(/\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.includes(':'))
+    .map(line => {
+        const colon = line.indexOf(':');
+        const [name, ...params] = line.slice(0, colon).split(';');
+        return {
+            name: name.toUpperCase(),
+            params: Object.fromEntries(params.map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v])),
+            value: line.slice(colon + 1),
+        };
+    });
+
+// DATE or DATE-TIME value as a local Date, plus whether it was a date only. UTC times (Z suffix) are converted
+// to local time; times with a TZID are taken as local, which is right for a calendar kept in the shop's zone.
+const readIcsDate = ({ params, value }) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, y, mo, d, h, mi, s, utc] = match;
+    if (params.VALUE === 'DATE' || h === undefined) return { date: new Date(Number(y), Number(mo) - 1, Number(d)), allDay: true };
+    const date = utc
+        ? new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)))
+        : new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+    return { date, allDay: false };
+};
+
+// Weekly and fortnightly RRULEs map onto PTO repeats; anything else is imported as its first occurrence
+const readRepeat = (rule, start) => {
+    const parts = Object.fromEntries(rule.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+    const interval = Number(parts.INTERVAL) || 1;
+    if (parts.FREQ !== 'WEEKLY' || interval > 2 || (parts.BYDAY && parts.BYDAY.includes(','))) return null;
+    let until = null;
+    if (parts.UNTIL) until = readIcsDate({ params: {}, value: parts.UNTIL })?.date || null;
+    else if (parts.COUNT) until = addDays(start, (Number(parts.COUNT) - 1) * 7 * interval);
+    return { repeat: interval === 2 ? 'biweekly' : 'weekly', until: until ? toDateKey(until) : '' };
+};
+
+const eventToRecords = (event, warnings) => {
+    const summary = event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : '';
+    if (event.STATUS && event.STATUS.value.toUpperCase() === 'CANCELLED') return [];
+    const start = event.DTSTART && readIcsDate(event.DTSTART);
+    if (!start) {
+        warnings.push(`Skipped "${summary || 'untitled event'}": it has no readable start date.`);
+        return [];
+    }
+    const end = event.DTEND && readIcsDate(event.DTEND);
+    const categories = event.CATEGORIES ? unescapeText(event.CATEGORIES.value) : '';
+    const record = {
+        kind: HOLIDAY_PATTERN.test(summary) || HOLIDAY_PATTERN.test(categories) ? 'holiday' : 'pto',
+        name: summary,
+        date: toDateKey(start.date),
+        endDate: '',
+        hours: '',
+        repeat: 'none',
+        source: summary || 'untitled event',
+    };
+    if (start.allDay) {
+        // DTEND is exclusive for all-day events
+        const last = end ? addDays(end.date, -1) : start.date;
+        if (last > start.date) record.endDate = toDateKey(last);
+    } else if (end) {
+        const hours = (end.date - start.date) / 3600000;
+        if (hours >= FULL_DAY_HOURS) {
+            const last = addDays(new Date(end.date.getFullYear(), end.date.getMonth(), end.date.getDate()), end.date.getHours() === 0 && end.date.getMinutes() === 0 ? -1 : 0);
+            if (toDateKey(last) > record.date) record.endDate = toDateKey(last);
+        } else if (hours > 0) {
+            record.hours = String(Math.round(hours * 4) / 4);
+        }
+    }
+    if (event.RRULE) {
+        const repeat = readRepeat(event.RRULE.value, start.date);
+        if (repeat && !record.endDate) {
+            record.repeat = repeat.repeat;
+            record.endDate = repeat.until;
+        } else {
+            warnings.push(`"${record.source}" repeats in a way that can't be imported; only its first occurrence was read.`);
+        }
+    }
+    return [record];
+};
+
+export const parseIcsTimeOff = (text) => {
+    const records = [];
+    const warnings = [];
+    let event = null;
+    readContentLines(text).forEach(line => {
+        if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') event = {};
+        else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+            if (event) records.push(...eventToRecords(event, warnings));
+            event = null;
+        } else if (event) event[line.name] = line;
+    });
+    if (records.length === 0 && warnings.length === 0) warnings.push('The calendar has no events.');
+    return { records, warnings };
+};
+
+// --- HR CSV ---
+
+// Matching ignores case, spaces and punctuation, as in the project column mapping
+const HR_COLUMNS = {
+    name: ['Member', 'Name', 'Employee', 'Employee Name', 'Team Member', 'Worker', 'Person'],
+    start: ['Start', 'Start Date', 'From', 'Date', 'First Day', 'Begin'],
+    end: ['End', 'End Date', 'To', 'Through', 'Last Day', 'Until'],
+    hours: ['Hours', 'Hours Off', 'Hours Per Day', 'Hours/Day', 'Partial Hours'],
+    type: ['Type', 'Leave Type', 'Absence Type', 'Reason', 'Category'],
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toDateKeyOrNull = (value) => {
+    const parsed = parseDate(String(value || '').trim());
+    return parsed ? toDateKey(parsed) : null;
+};
+
+export const parseHrCsvTimeOff = (text) => {
+    const { headers, data, errors } = parseCsv(text);
+    const warnings = errors.map(e => e.message);
+    const column = Object.fromEntries(Object.entries(HR_COLUMNS).map(([key, aliases]) => {
+        const wanted = new Set(aliases.map(normalizeHeader));
+        return [key, headers.find(h => wanted.has(normalizeHeader(h))) || null];
+    }));
+    if (!column.start || (!column.name && !column.type)) {
+        return { records: [], warnings: [...warnings, `The CSV needs a member column and a start date column; found ${headers.join(', ') || 'no columns'}.`] };
+    }
+
+    const records = [];
+    data.forEach((row, index) => {
+        const source = `line ${sourceLine(row, index + 2)}`;
+        const name = column.name ? String(row[column.name] || '').trim() : '';
+        const type = column.type ? String(row[column.type] || '') : '';
+        const date = toDateKeyOrNull(row[column.start]);
+        if (!date) {
+            warnings.push(`Skipped ${source}: '${row[column.start] || ''}' is not a date.`);
+            return;
+        }
+        const kind = HOLIDAY_PATTERN.test(type) ? 'holiday' : 'pto';
+        if (kind === 'pto' && !name) {
+            warnings.push(`Skipped ${source}: no member name.`);
+            return;
+        }
+        const endDate = column.end ? toDateKeyOrNull(row[column.end]) : null;
+        const hours = column.hours ? parseFloat(row[column.hours]) : NaN;
+        records.push({
+            kind,
+            name,
+            date,
+            endDate: endDate && endDate > date ? endDate : '',
+            hours: hours > 0 && hours < FULL_DAY_HOURS ? String(hours) : '',
+            repeat: 'none',
+            source,
+        });
+    });
+    return { records, warnings };
+};
+
+// --- Matching ---
+
+// Known people as nameKey -> display name. Ids from the name map resolve to their names, and "Last, First"
+// is also accepted for every name.
+const buildDirectory = ({ teamMemberNameMap = {}, otherNames = [] }) => {
+    const directory = new Map();
+    const add = (key, name) => {
+        if (key && name && !directory.has(nameKey(key))) directory.set(nameKey(key), name);
+    };
+    [...Object.values(teamMemberNameMap), ...otherNames].forEach(name => add(name, name));
+    Object.entries(teamMemberNameMap).forEach(([id, name]) => add(id, name));
+    [...directory.values()].forEach(name => {
+        const parts = String(name).trim().split(/\s+/);
+        if (parts.length > 1) add(`${parts[parts.length - 1]}, ${parts.slice(0, -1).join(' ')}`, name);
+    });
+    return directory;
+};
+
+// Calendar events are titled freely ("Pat Smith - Vacation", "PTO: Pat Smith"), so a known name anywhere in the
+// title counts; the longest match wins so "Pat Smithson" isn't read as "Pat Smith".
+const findName = (text, directory) => {
+    const key = nameKey(text);
+    if (directory.has(key)) return directory.get(key);
+    const found = [...directory.keys()]
+        .filter(candidate => candidate.length > 2 && new RegExp(`(^|[^a-z0-9])${candidate.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`).test(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return found ? directory.get(found) : null;
+};
+
+const dayKeys = (entry) => expandPtoEntries([entry]).map(day => `${nameKey(day.memberName)}|${day.date}|${day.hours || ''}`);
+
+// Splits records into new PTO rows and holidays, with unknown names and duplicates set aside:
+//   { ptoEntries, holidays, unmatched: [{ name, source, entry }], duplicates }
+// A PTO record is a duplicate when every day it covers is already entered (or appears earlier in the file).
+export const matchTimeOff = (records, { teamMemberNameMap = {}, otherNames = [], existingPto = [], existingHolidays = [] }) => {
+    const directory = buildDirectory({ teamMemberNameMap, otherNames });
+    const seenDays = new Set(existingPto.flatMap(entry => dayKeys(entry)));
+    const seenHolidays = new Set(existingHolidays);
+    const result = { ptoEntries: [], holidays: [], unmatched: [], duplicates: 0 };
+
+    records.forEach(record => {
+        const memberName = findName(record.name, directory);
+        // A holiday-titled event for a known person ("Pat - Holiday") is their time off
+        if (record.kind === 'holiday' && !memberName) {
+            const dates = expandPtoEntries([{ ...record, memberName: 'holiday', hours: '' }]).map(day => day.date);
+            const fresh = dates.filter(date => !seenHolidays.has(date));
+            if (fresh.length === 0) result.duplicates += 1;
+            fresh.forEach(date => {
+                seenHolidays.add(date);
+                result.holidays.push(date);
+            });
+            return;
+        }
+        const entry = { memberName: memberName || record.name, date: record.date, endDate: record.endDate, hours: record.hours, repeat: record.repeat };
+        const days = dayKeys(entry);
+        if (days.length > 0 && days.every(day => seenDays.has(day))) {
+            result.duplicates += 1;
+            return;
+        }
+        days.forEach(day => seenDays.add(day));
+        if (memberName) result.ptoEntries.push(entry);
+        else result.unmatched.push({ name: record.name, source: record.source, entry });
+    });
+    result.holidays.sort();
+    return result;
+};
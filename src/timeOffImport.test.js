@@ -0,0 +1,67 @@
+import { parseIcsTimeOff, parseHrCsvTimeOff, matchTimeOff } from './timeOffImport';
+
+const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'SUMMARY:Pat Smith - Vacation',
+    'DTSTART;VALUE=DATE:20250707',
+    'DTEND;VALUE=DATE:20250710',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Dentist: Smith\\, Sam',
+    'DTSTART;TZID=America/Chicago:20250711T080000',
+    'DTEND;TZID=America/Chicago:20250711T120000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Lee Friday off',
+    'DTSTART;VALUE=DATE:20250704',
+    'RRULE:FREQ=WEEKLY;COUNT=4',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Independence Day',
+    'CATEGORIES:Holiday',
+    'DTSTART;VALUE=DATE:20250704',
+    'END:VEVENT',
+    'END:VCALENDAR',
+].join('\r\n');
+
+describe('parseIcsTimeOff', () => {
+    test('reads all-day ranges, partial days, weekly repeats and holidays', () => {
+        const { records, warnings } = parseIcsTimeOff(ics);
+        expect(warnings).toEqual([]);
+        expect(records.map(({ kind, date, endDate, hours, repeat }) => [kind, date, endDate, hours, repeat])).toEqual([
+            ['pto', '2025-07-07', '2025-07-09', '', 'none'],
+            ['pto', '2025-07-11', '', '4', 'none'],
+            ['pto', '2025-07-04', '2025-07-25', '', 'weekly'],
+            ['holiday', '2025-07-04', '', '', 'none'],
+        ]);
+        expect(records[1].name).toBe('Dentist: Smith, Sam');
+    });
+});
+
+describe('parseHrCsvTimeOff', () => {
+    test('finds columns by common names and reports unusable rows', () => {
+        const { records, warnings } = parseHrCsvTimeOff('Employee Name,Start Date,End Date,Hours Off,Leave Type\nPat Smith,2025-07-07,2025-07-08,,Vacation\nSam Smith,7/11/2025,,4,Sick\n,2025-11-27,,,Company Holiday\n\nLee,soon,,,Vacation\n');
+        expect(records.map(({ kind, name, date, endDate, hours }) => [kind, name, date, endDate, hours])).toEqual([
+            ['pto', 'Pat Smith', '2025-07-07', '2025-07-08', ''],
+            ['pto', 'Sam Smith', '2025-07-11', '', '4'],
+            ['holiday', '', '2025-11-27', '', ''],
+        ]);
+        expect(warnings).toEqual(["Skipped line 6: 'soon' is not a date."]);
+    });
+});
+
+describe('matchTimeOff', () => {
+    test('matches names and ids, flags unknown people and skips time off already entered', () => {
+        const { records } = parseIcsTimeOff(ics);
+        const result = matchTimeOff(records, {
+            teamMemberNameMap: { 'Paint-1': 'Pat Smith', 'Paint-2': 'Sam Smith' },
+            existingPto: [{ memberName: 'pat smith', date: '2025-07-07', endDate: '2025-07-09' }],
+            existingHolidays: [],
+        });
+        expect(result.duplicates).toBe(1);
+        expect(result.ptoEntries).toEqual([{ memberName: 'Sam Smith', date: '2025-07-11', endDate: '', hours: '4', repeat: 'none' }]);
+        expect(result.unmatched.map(u => u.name)).toEqual(['Lee Friday off']);
+        expect(result.holidays).toEqual(['2025-07-04']);
+    });
+});
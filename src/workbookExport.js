@@ -0,0 +1,93 @@
+// Writes the report tables into one formatted .xlsx. Each sheet gets a bold, frozen and filterable header row,
+// column widths sized to the content, and number formats chosen by column name. exceljs is loaded on first use.
+//
+// Report rows are built for CSV, so dates arrive as YYYY-MM-DD strings and some numbers as strings; the columns
+// listed here are converted back to real dates and numbers so Excel can sort, sum and chart them.
+
+const DATE_FORMAT = 'yyyy-mm-dd';
+const CURRENCY_FORMAT = '"$"#,##0.00';
+const HOURS_FORMAT = '0.00';
+const PERCENT_FORMAT = '0%';
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_COLUMN_WIDTH = 50;
+
+const DATE_COLUMNS = new Set(['Date', 'Week', 'Start Date', 'Due Date', 'Finish Date', 'StartDate', 'DueDate']);
+const CURRENCY_COLUMNS = new Set(['Value']);
+const PERCENT_COLUMNS = new Set(['Utilization']); // stored as a fraction, e.g. 0.85
+const NUMBER_COLUMNS = new Set(['WorkedHours', 'CapacityHours', 'Task Hours Completed', 'Time Spent (Hours)', 'Hours Remaining', 'Hours', 'Completion %', 'Days +/-']);
+// Late jobs (negative variance, or text such as 'Not finished' for jobs the run couldn't finish) are highlighted in
+// these columns
+const VARIANCE_COLUMNS = new Set(['Days +/-']);
+const LATE_STYLE = { font: { color: { argb: 'FF9C0006' }, bold: true }, fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFFC7CE' } } };
+
+export const columnFormat = (header) => {
+    if (DATE_COLUMNS.has(header)) return DATE_FORMAT;
+    if (CURRENCY_COLUMNS.has(header)) return CURRENCY_FORMAT;
+    if (PERCENT_COLUMNS.has(header)) return PERCENT_FORMAT;
+    if (NUMBER_COLUMNS.has(header)) return header === 'Days +/-' ? '0' : HOURS_FORMAT;
+    return null;
+};
+
+// Dates are written as UTC midnight, which Excel reads back as that calendar day
+export const toCellValue = (header, value) => {
+    if (value === null || value === undefined) return null;
+    if (DATE_COLUMNS.has(header)) {
+        const match = DATE_PATTERN.exec(String(value));
+        return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : value;
+    }
+    if (CURRENCY_COLUMNS.has(header) || PERCENT_COLUMNS.has(header) || NUMBER_COLUMNS.has(header)) {
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+        return Number.isFinite(number) ? number : value;
+    }
+    return value;
+};
+
+const displayLength = (value) => (value instanceof Date ? 10 : String(value ?? '').length);
+
+const addReportSheet = (workbook, { name, rows }) => {
+    const headers = Object.keys(rows[0]);
+    const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.columns = headers.map(header => ({ header, key: header }));
+    rows.forEach(row => worksheet.addRow(Object.fromEntries(headers.map(header => [header, toCellValue(header, row[header])]))));
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE2E8F0' } };
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: headers.length } };
+
+    headers.forEach((header, index) => {
+        const column = worksheet.getColumn(index + 1);
+        const format = columnFormat(header);
+        if (format) column.numFmt = format;
+        const longest = rows.reduce((max, row) => Math.max(max, displayLength(toCellValue(header, row[header]))), header.length);
+        column.width = Math.min(MAX_COLUMN_WIDTH, longest + 2);
+
+        if (VARIANCE_COLUMNS.has(header)) {
+            const letter = column.letter;
+            worksheet.addConditionalFormatting({
+                ref: `${letter}2:${letter}${rows.length + 1}`,
+                rules: [{
+                    type: 'cellIs',
+                    operator: 'lessThan',
+                    formulae: [0],
+                    style: LATE_STYLE,
+                }, {
+                    type: 'expression',
+                    formulae: [`ISTEXT(${letter}2)`],
+                    style: LATE_STYLE,
+                }],
+            });
+        }
+    });
+};
+
+// sheets: [{ name, rows }] in tab order; sheets without rows are left out. Resolves with an .xlsx Blob.
+export const buildReportWorkbook = async (sheets, { title } = {}) => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Production Scheduling Engine';
+    workbook.created = new Date();
+    if (title) workbook.title = title;
+    sheets.filter(sheet => sheet.rows && sheet.rows.length > 0).forEach(sheet => addReportSheet(workbook, sheet));
+    const buffer = await workbook.xlsx.writeBuffer();
+    return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import ExcelJS from 'exceljs';
+import { buildReportWorkbook, columnFormat, toCellValue } from './workbookExport';
+
+// buildReportWorkbook resolves with a Blob, which Jest's node environment doesn't provide as a global
+global.Blob = Blob;
+
+describe('toCellValue', () => {
+    test('turns report text back into dates and numbers by column', () => {
+        expect(toCellValue('Due Date', '2025-07-31')).toEqual(new Date(Date.UTC(2025, 6, 31)));
+        expect(toCellValue('Value', '12,500.50')).toBe(12500.5);
+        expect(toCellValue('Utilization', 0.85)).toBe(0.85);
+        expect(toCellValue('Days +/-', '-3')).toBe(-3);
+        expect(toCellValue('Project', '2025-07-31')).toBe('2025-07-31');
+    });
+
+    test('leaves text it cannot convert as it is', () => {
+        expect(toCellValue('Finish Date', 'Not finished')).toBe('Not finished');
+        expect(toCellValue('Days +/-', 'Not finished')).toBe('Not finished');
+        expect(toCellValue('Value', null)).toBeNull();
+    });
+});
+
+describe('columnFormat', () => {
+    test('picks number formats by column name', () => {
+        expect(columnFormat('Start Date')).toBe('yyyy-mm-dd');
+        expect(columnFormat('Value')).toBe('"$"#,##0.00');
+        expect(columnFormat('Utilization')).toBe('0%');
+        expect(columnFormat('Days +/-')).toBe('0');
+        expect(columnFormat('Hours')).toBe('0.00');
+        expect(columnFormat('Project')).toBeNull();
+    });
+});
+
+describe('buildReportWorkbook', () => {
+    test('writes typed, formatted cells that read back as the same values', async () => {
+        const blob = await buildReportWorkbook([
+            { name: 'Jobs', rows: [
+                { Project: 'J1', 'Due Date': '2025-07-31', Value: '1,200', Utilization: 0.85, 'Days +/-': -2 },
+                { Project: 'J2', 'Due Date': '2025-08-15', Value: '300', Utilization: 0.5, 'Days +/-': 'Not finished' },
+            ] },
+            { name: 'Empty', rows: [] },
+        ]);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(Buffer.from(await blob.arrayBuffer()));
+        expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Jobs']);
+
+        const sheet = workbook.getWorksheet('Jobs');
+        const cells = (rowNumber) => [2, 3, 4, 5].map(column => sheet.getRow(rowNumber).getCell(column));
+        const [due, value, utilization, variance] = cells(2);
+        expect(due.value).toEqual(new Date(Date.UTC(2025, 6, 31)));
+        expect(due.numFmt).toBe('yyyy-mm-dd');
+        expect([value.value, value.numFmt]).toEqual([1200, '"$"#,##0.00']);
+        expect([utilization.value, utilization.numFmt]).toEqual([0.85, '0%']);
+        expect([variance.value, variance.numFmt]).toEqual([-2, '0']);
+        expect(cells(3)[3].value).toBe('Not finished');
+    });
+});
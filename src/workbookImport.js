@@ -0,0 +1,89 @@
+import { SOURCE_LINE } from './csvParser';
+
+// Reads .xlsx workbooks into the same row objects the CSV parser produces: one object per row, keyed by the
+// sheet's header row, with every value as a string and the sheet row number under SOURCE_LINE. exceljs is loaded
+// on first use to keep it out of the main bundle.
+//
+// Date-formatted cells arrive from exceljs as Date objects at UTC midnight and come out as YYYY-MM-DD. Date columns
+// that were never formatted as dates hold Excel's serial day numbers; which columns are dates is only known once
+// the columns are mapped, so those numbers are left as they are and converted with excelSerialTextToDateKey.
+
+// Serial numbers from 1954 to 2119; anything else in a date column is left for the date parser to reject
+const MIN_DATE_SERIAL = 20000;
+const MAX_DATE_SERIAL = 80000;
+const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+const DATE1904_OFFSET_DAYS = 1462;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDateKey = (date) => `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+
+// Serial 1 is 1900-01-01 in the default date system. Counting from 1899-12-30 absorbs Excel's phantom
+// 1900-02-29, so dates from March 1900 on come out right. Workbooks saved with the 1904 system start 1462 days later.
+export const excelSerialToDateKey = (serial, { date1904 = false } = {}) => {
+    if (!Number.isFinite(serial) || serial <= 0) return null;
+    const days = Math.floor(serial) + (date1904 ? DATE1904_OFFSET_DAYS : 0);
+    return utcDateKey(new Date(EXCEL_EPOCH_UTC + days * DAY_MS));
+};
+
+// The date for a cell's text when it is a serial number in the plausible range, else null
+export const excelSerialTextToDateKey = (text, { date1904 = false } = {}) => {
+    const trimmed = String(text ?? '').trim();
+    if (!/^\d{5}(\.\d+)?$/.test(trimmed)) return null;
+    const serial = Number(trimmed);
+    return serial >= MIN_DATE_SERIAL && serial <= MAX_DATE_SERIAL ? excelSerialToDateKey(serial, { date1904 }) : null;
+};
+
+// Flattens an exceljs cell value (formula, rich text, hyperlink, error...) to a string
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return isNaN(value.getTime()) ? '' : utcDateKey(value);
+    if (typeof value === 'number') return String(value);
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'boolean') return String(value);
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if ('result' in value) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return ''; // { error: '#N/A' } and formulas without a cached result
+};
+
+const sheetToRows = (worksheet) => {
+    const rows = [];
+    let headers = null;
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+        // row.values is 1-based, with an empty slot at index 0
+        const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+        if (!headers) {
+            headers = Array.from(values, value => cellText(value));
+            return;
+        }
+        const record = {};
+        let hasValue = false;
+        headers.forEach((header, index) => {
+            if (!header) return;
+            const text = cellText(values[index]);
+            record[header] = text;
+            if (text) hasValue = true;
+        });
+        if (!hasValue) return;
+        Object.defineProperty(record, SOURCE_LINE, { value: row.number });
+        rows.push(record);
+    });
+    return { headers: (headers || []).filter(Boolean), rows };
+};
+
+// Resolves with { date1904, sheets: [{ name, hidden, headers, rows }] } in workbook order; date1904 is the
+// workbook's date system, for converting serial numbers
+export const readWorkbook = async (arrayBuffer) => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(arrayBuffer);
+    const date1904 = Boolean(workbook.properties?.date1904);
+    return {
+        date1904,
+        sheets: workbook.worksheets.map(worksheet => ({
+            name: worksheet.name,
+            hidden: worksheet.state === 'hidden' || worksheet.state === 'veryHidden',
+            ...sheetToRows(worksheet),
+        })),
+    };
+};
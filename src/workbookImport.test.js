@@ -0,0 +1,20 @@
+import { excelSerialToDateKey, excelSerialTextToDateKey } from './workbookImport';
+
+describe('excelSerialToDateKey', () => {
+    test('converts serial day numbers in both date systems', () => {
+        expect(excelSerialToDateKey(45658)).toBe('2025-01-01');
+        expect(excelSerialToDateKey(45678.75)).toBe('2025-01-21');
+        expect(excelSerialToDateKey(61)).toBe('1900-03-01');
+        expect(excelSerialToDateKey(44196, { date1904: true })).toBe('2025-01-01');
+        expect(excelSerialToDateKey(0)).toBeNull();
+        expect(excelSerialToDateKey(NaN)).toBeNull();
+    });
+
+    test('only reads cell text as a serial when it is a plain number in the plausible range', () => {
+        expect(excelSerialTextToDateKey(' 45678 ')).toBe('2025-01-21');
+        expect(excelSerialTextToDateKey('45678', { date1904: true })).toBe('2029-01-22');
+        expect(excelSerialTextToDateKey('12')).toBeNull();
+        expect(excelSerialTextToDateKey('99999')).toBeNull();
+        expect(excelSerialTextToDateKey('2025-01-21')).toBeNull();
+    });
+});
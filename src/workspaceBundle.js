@@ -0,0 +1,103 @@
+import { parseDate, toDateKey } from './dateUtils';
+
+// Versioned file format shared by "Save Config" and "Export Workspace".
+//
+//   v0: legacy config (no schemaVersion) - flat config sections, saved before teams were editable
+//   v1: flat config sections saved from the team/mapping editors
+//   v2: { schemaVersion, kind, exportedAt, inputs } where inputs may also hold projects, date overrides
+//       and the efficiency data the run used
+//
+// Every file is migrated up to the current version before anything is applied.
+export const BUNDLE_SCHEMA_VERSION = 2;
+
+// Config sections that were stored flat at the top level before v2
+const FLAT_CONFIG_KEYS = ['scheduleName', 'teamDefs', 'params', 'teamMemberChanges', 'hybridWorkers', 'ptoEntries', 'workHourOverrides', 'bottleneckConfig'];
+
+// Date-typed project task columns; everything else on a task (including custom columns) is kept as-is
+const TASK_DATE_COLUMNS = ['StartDate', 'DueDate'];
+
+const MIGRATIONS = {
+    // v0 -> v1: legacy configs predate editable teams, so merge in the current default teams and
+    // mappings (QC, Receiving, etc.) that they are missing.
+    0: (bundle, { defaultTeamDefs }) => {
+        if (!bundle.teamDefs) return { ...bundle, schemaVersion: 1 };
+        const headcounts = bundle.teamDefs.headcounts || [];
+        const loadedMapping = bundle.teamDefs.mapping || [];
+        const loadedHeadcountNames = new Set(headcounts.map(h => h.name));
+        const loadedMappingKeys = new Set(loadedMapping.map(m => `${m.team}-${m.operation}`));
+        const mapping = [
+            ...loadedMapping,
+            ...defaultTeamDefs.mapping.filter(m => !loadedMappingKeys.has(`${m.team}-${m.operation}`)),
+        ];
+        return {
+            ...bundle,
+            schemaVersion: 1,
+            teamDefs: {
+                headcounts: [
+                    ...headcounts,
+                    ...defaultTeamDefs.headcounts.filter(h => !loadedHeadcountNames.has(h.name)),
+                ],
+                // Reassign IDs to ensure uniqueness
+                mapping: mapping.map((m, idx) => ({ ...m, id: idx + 1 })),
+            },
+        };
+    },
+    // v1 -> v2: move the flat config sections under `inputs`
+    1: (bundle) => {
+        const inputs = {};
+        FLAT_CONFIG_KEYS.forEach(key => {
+            if (bundle[key] !== undefined) inputs[key] = bundle[key];
+        });
+        return { schemaVersion: 2, kind: 'config', exportedAt: null, inputs };
+    },
+};
+
+// Dates are written as local YYYY-MM-DD keys, so a round trip keeps the day in every time zone
+const serializeTask = (task) => {
+    const row = { ...task };
+    TASK_DATE_COLUMNS.forEach(col => {
+        const date = task[col] instanceof Date ? task[col] : parseDate(task[col]);
+        row[col] = date && !isNaN(date.getTime()) ? toDateKey(date) : '';
+    });
+    return row;
+};
+
+const reviveTask = (task) => {
+    const row = { ...task };
+    TASK_DATE_COLUMNS.forEach(col => { row[col] = task[col] instanceof Date ? task[col] : parseDate(task[col]); });
+    return row;
+};
+
+// kind is 'config' (settings only) or 'workspace' (settings, projects and overrides)
+export const createBundle = (kind, inputs) => ({
+    schemaVersion: BUNDLE_SCHEMA_VERSION,
+    kind,
+    exportedAt: new Date().toISOString(),
+    inputs: inputs.projectTasks ? { ...inputs, projectTasks: inputs.projectTasks.map(serializeTask) } : inputs,
+});
+
+// Returns a current-version bundle with project task dates revived as Date objects.
+// Throws if the file is from a newer version of the app or isn't a config/bundle at all.
+export const migrateBundle = (raw, { defaultTeamDefs }) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error("File does not contain a configuration object.");
+    }
+    let bundle = raw;
+    let version = Number(raw.schemaVersion) || 0;
+    if (version > BUNDLE_SCHEMA_VERSION) {
+        throw new Error(`File uses schema version ${version}, but this app only understands up to version ${BUNDLE_SCHEMA_VERSION}. Please update the app.`);
+    }
+    // Partial imports may carry any subset of sections, but there has to be at least one
+    if (version === 0 && !FLAT_CONFIG_KEYS.some(key => raw[key] !== undefined)) {
+        throw new Error("Invalid configuration file structure.");
+    }
+    while (version < BUNDLE_SCHEMA_VERSION) {
+        bundle = MIGRATIONS[version](bundle, { defaultTeamDefs });
+        version = bundle.schemaVersion;
+    }
+    const inputs = bundle.inputs || {};
+    return {
+        ...bundle,
+        inputs: Array.isArray(inputs.projectTasks) ? { ...inputs, projectTasks: inputs.projectTasks.map(reviveTask) } : inputs,
+    };
+};
@@ -0,0 +1,22 @@
+import { createBundle, migrateBundle } from './workspaceBundle';
+import { toDateKey } from './dateUtils';
+
+const defaultTeamDefs = { headcounts: [], mapping: [] };
+
+describe('workspace bundles', () => {
+    test('round-trip project dates without shifting them in time zones ahead of UTC', () => {
+        // Local midnight in UTC+12 is noon the day before in UTC
+        const start = new Date(2025, 6, 7);
+        const due = new Date(2025, 7, 1);
+        jest.spyOn(start, 'toISOString').mockReturnValue('2025-07-06T12:00:00.000Z');
+        jest.spyOn(due, 'toISOString').mockReturnValue('2025-07-31T12:00:00.000Z');
+        const task = { Project: 'J1', SKU: 'A', StartDate: start, DueDate: due, Crate: 'Large' };
+
+        const bundle = JSON.parse(JSON.stringify(createBundle('workspace', { projectTasks: [task] })));
+        expect(bundle.inputs.projectTasks[0]).toMatchObject({ StartDate: '2025-07-07', DueDate: '2025-08-01', Crate: 'Large' });
+
+        const [revived] = migrateBundle(bundle, { defaultTeamDefs }).inputs.projectTasks;
+        expect(revived.StartDate).toBeInstanceOf(Date);
+        expect([toDateKey(revived.StartDate), toDateKey(revived.DueDate)]).toEqual(['2025-07-07', '2025-08-01']);
+    });
+});
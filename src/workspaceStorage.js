@@ -0,0 +1,41 @@
+// IndexedDB persistence for the planning workspace (inputs plus the last run's results).
+// IndexedDB stores values with structured clone, so Date objects in project tasks survive as-is.
+
+const DB_NAME = 'scheduler-workspace';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspace';
+const WORKSPACE_KEY = 'current';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runTransaction = async (mode, action) => {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = action(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Workspace transaction was aborted.'));
+        });
+    } finally {
+        db.close();
+    }
+};
+
+export const loadWorkspace = () => runTransaction('readonly', store => store.get(WORKSPACE_KEY));
+
+export const saveWorkspace = (workspace) => runTransaction('readwrite', store => (
+    store.put({ ...workspace, savedAt: new Date().toISOString() }, WORKSPACE_KEY)
+));
+
+export const clearWorkspace = () => runTransaction('readwrite', store => store.delete(WORKSPACE_KEY));